@@ -1,73 +1,101 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, Area, AreaChart } from 'recharts';
-import { ethers } from 'ethers';
-
-// ============ 配置 ============
-const CONFIG = {
-  // 你的合约地址（Base Sepolia测试网）
-  contractAddress: '0xF4a8A48813b6edF75E53f21A993D9f72147d86C8',
-  // Base Sepolia测试网
-  chainId: 84532,
-  chainName: 'Base Sepolia',
-  rpcUrl: 'https://sepolia.base.org',
-  blockExplorer: 'https://sepolia.basescan.org',
-  // 切换到主网时使用：
-  // chainId: 8453,
-  // chainName: 'Base',
-  // rpcUrl: 'https://mainnet.base.org',
-  // blockExplorer: 'https://basescan.org',
-};
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { getFund, INTEGRITY_CONFIG } from './config';
+import { getContract } from './contract';
+import { loadNavHistory } from './navHistory';
+import { checkAdmin } from './admin';
+import { readLPPosition } from './lp';
+import { formatNumber, formatUSD, formatDate, shortenAddress } from './utils';
+import { fixed, toNumber, sub, mul, sign, readDecimals } from './money';
+import { diagnoseError } from './rpc';
+import { calcOverviewChanges } from './overview';
+import { checkNavIntegrity, integrityStatus } from './integrity';
+import FundSwitcher from './components/FundSwitcher';
+import NetworkBadge from './components/NetworkBadge';
+import MyFunds from './components/MyFunds';
+import NavChart from './components/NavChart';
+import AnalyticsPanel from './components/AnalyticsPanel';
+import BenchmarkPanel from './components/BenchmarkPanel';
+import ReportsPanel from './components/ReportsPanel';
+import LedgerPanel from './components/LedgerPanel';
+import PersonalPerformance from './components/PersonalPerformance';
+import FeeCalculator from './components/FeeCalculator';
+import StatementPanel from './components/StatementPanel';
+import AdminConsole from './components/AdminConsole';
+import LPRequestPanel from './components/LPRequestPanel';
+import PrivateDocuments from './components/PrivateDocuments';
+import useLedger from './hooks/useLedger';
+import useLiveUpdates from './hooks/useLiveUpdates';
+import useWallets from './hooks/useWallets';
+import WalletPicker from './components/WalletPicker';
+import PortfolioPanel from './components/PortfolioPanel';
+import ErrorState from './components/ErrorState';
+import FundStats from './components/FundStats';
+import IntegrityReport from './components/IntegrityReport';
+import PageNav from './components/PageNav';
+import RouteLink from './components/RouteLink';
+import NavHistoryTable from './components/NavHistoryTable';
+import SettingsPanel from './components/SettingsPanel';
+import NotFound from './components/NotFound';
+import LanguageSwitcher from './components/LanguageSwitcher';
+import SinceLastVisit from './components/SinceLastVisit';
+import useRoute from './hooks/useRoute';
+import useLocale from './hooks/useLocale';
+import useLastVisit from './hooks/useLastVisit';
+import useNavAlerts from './hooks/useNavAlerts';
+import useBenchmarks from './hooks/useBenchmarks';
+import { ROUTES } from './router';
+import { getRememberedWallet, rememberWallet, setActiveProvider } from './wallets';
+import { loadAlertSettings, saveAlertSettings } from './notifications';
+import { t } from './i18n';
 
-// ============ 合约ABI ============
-const FUND_TOKEN_ABI = [
-  "function name() view returns (string)",
-  "function symbol() view returns (string)",
-  "function decimals() view returns (uint8)",
-  "function balanceOf(address) view returns (uint256)",
-  "function totalSupply() view returns (uint256)",
-  "function whitelist(address) view returns (bool)",
-  "function getCurrentNAV() view returns (uint256)",
-  "function getNavHistoryLength() view returns (uint256)",
-  "function navHistory(uint256) view returns (uint256 timestamp, uint256 nav, uint256 totalShares, uint256 totalAssets, string ipfsHash)",
-  "function lpInfo(address) view returns (uint256 initialInvestment, uint256 investmentDate, bool isActive)",
-  "function getLPValue(address) view returns (uint256)",
-  "function getLPReturn(address) view returns (int256)",
-  "function getFundOverview() view returns (string name, string description, uint256 inceptionDate, uint256 currentNav, uint256 totalShares, uint256 totalAssets, uint256 lpCount)",
-  "function fundName() view returns (string)",
-  "function fundDescription() view returns (string)",
-  "function fundInceptionDate() view returns (uint256)"
-];
-
-// ============ 工具函数 ============
-const formatNumber = (num, decimals = 2) => {
-  if (num === null || num === undefined) return '-';
-  return new Intl.NumberFormat('en-US', {
-    minimumFractionDigits: decimals,
-    maximumFractionDigits: decimals
-  }).format(num);
+// 从 URL 读取当前选中的基金（?fund=<id>）
+const readFundIdFromUrl = () => {
+  const id = new URLSearchParams(window.location.search).get('fund');
+  return getFund(id).id;
 };
 
-const formatUSD = (num) => {
-  if (num === null || num === undefined) return '-';
-  if (num >= 1000000) return `$${formatNumber(num / 1000000)}M`;
-  if (num >= 1000) return `$${formatNumber(num / 1000)}K`;
-  return `$${formatNumber(num)}`;
-};
+// 链上净值记录转换为页面使用的数据点（图表和统计指标使用浮点数）
+const toNavPoint = (record, decimals) => ({
+  index: record.index,
+  date: formatDate(record.timestamp),
+  nav: toNumber(fixed(record.nav)),
+  totalShares: toNumber(fixed(record.totalShares, decimals)),
+  totalAssets: toNumber(fixed(record.totalAssets)),
+  ipfsHash: record.ipfsHash,
+  timestamp: record.timestamp
+});
 
-const formatDate = (timestamp) => {
-  if (!timestamp) return '-';
-  return new Date(timestamp * 1000).toLocaleDateString('en-US', {
-    year: 'numeric',
-    month: 'short',
-    day: 'numeric'
-  });
-};
+// getFundOverview() 的返回值转换为页面使用的基金数据（金额为定点数）；
+// getCurrentNAV() 和 totalSupply() 单独读取，用于净值校验
+const toFundData = (overview, decimals, contractNav, totalSupply) => ({
+  name: overview.name,
+  description: overview.description,
+  decimals,
+  currentNav: fixed(overview.currentNav),
+  totalShares: fixed(overview.totalShares, decimals),
+  totalAssets: fixed(overview.totalAssets),
+  lpCount: Number(overview.lpCount),
+  inceptionDate: Number(overview.inceptionDate),
+  contractNav: contractNav === null ? null : fixed(contractNav),
+  totalSupply: totalSupply === null ? null : fixed(totalSupply, decimals)
+});
+
+const AMOUNT_FIELDS = ['currentNav', 'totalShares', 'totalAssets', 'contractNav', 'totalSupply'];
 
-const shortenAddress = (address) => {
-  if (!address) return '';
-  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+const sameFundData = (a, b) => a.lpCount === b.lpCount
+  && AMOUNT_FIELDS.every((key) => a[key]?.value === b[key]?.value);
+
+const INTEGRITY_BADGES = {
+  ok: { color: '#00c896', label: () => t('integrity.badge.ok') },
+  warning: { color: '#ffc850', label: (findings) => t('integrity.badge.warning', { count: findings.filter((f) => f.severity === 'warning').length }) },
+  error: { color: '#ff6b6b', label: (findings) => t('integrity.badge.error', { count: findings.filter((f) => f.severity === 'error').length }) }
 };
 
+const ONE = fixed(1n, 0);
+const HUNDRED = fixed(100n, 0);
+
+const toChainHex = (chainId) => `0x${chainId.toString(16)}`;
+
 // ============ 主组件 ============
 export default function App() {
   const [account, setAccount] = useState(null);
@@ -77,136 +105,291 @@ export default function App() {
   const [lpData, setLpData] = useState(null);
   const [navHistory, setNavHistory] = useState([]);
   const [error, setError] = useState(null);
+  // 读取失败：{ kind, partial }，kind 见 rpc.js 的 RPC_ERROR_KINDS
+  const [loadError, setLoadError] = useState(null);
+  const [lpError, setLpError] = useState(null);
+  const [jumpThreshold, setJumpThreshold] = useState(INTEGRITY_CONFIG.jumpThreshold * 100);
+  const [alertSettings, setAlertSettings] = useState(loadAlertSettings);
   const [loading, setLoading] = useState(true);
+  const [historyProgress, setHistoryProgress] = useState(null);
+  const [fundId, setFundId] = useState(readFundIdFromUrl);
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [walletChainId, setWalletChainId] = useState(null);
+  const [walletProvider, setWalletProvider] = useState(null);
+  const [showWalletPicker, setShowWalletPicker] = useState(false);
+  const [watchAddress, setWatchAddress] = useState(null);
+  const [lpLoadedFor, setLpLoadedFor] = useState(null);
 
-  // 检测是否有钱包
-  const hasWallet = typeof window !== 'undefined' && window.ethereum;
+  // 实时更新时用于判断是否有变化
+  const historyLengthRef = useRef(0);
+  const balanceRef = useRef(null);
+  const autoConnectRef = useRef(false);
+  // 每次加载递增；切换基金或重新加载后，仍在进行的旧请求结果直接丢弃
+  const fundRequestRef = useRef(0);
+  const lpRequestRef = useRef(0);
 
-  // 获取只读provider
-  const getProvider = () => {
-    return new ethers.JsonRpcProvider(CONFIG.rpcUrl);
-  };
+  const fund = getFund(fundId);
+  // 当前页面；钱包和基金状态在各页面间共享
+  const route = useRoute();
+  // 切换语言时整页重新渲染
+  const [locale, setLocale] = useLocale();
+
+  // 页面展示的 LP 地址：只读查看的地址优先，否则为已连接的钱包
+  const lpAddress = watchAddress || account;
+  const isWatching = Boolean(watchAddress);
+  // 异步刷新完成时用于确认基金和地址仍是当前的
+  const currentRef = useRef(null);
+  currentRef.current = { fund, lpAddress };
+  // LP 数据已按当前地址加载完成，避免切换地址时短暂显示旧地址的状态
+  const lpReady = Boolean(lpAddress) && lpLoadedFor === lpAddress;
+  const showLP = lpReady && isWhitelisted;
+  // 净值从 1 起算
+  const sinceInception = fundData?.currentNav ? mul(sub(fundData.currentNav, ONE), HUNDRED) : null;
+  const changes = calcOverviewChanges(fundData, navHistory);
+  // 已知的记录数多于已加载的记录时，净值历史仍在加载
+  const historyPending = loading || historyLengthRef.current > navHistory.length;
+
+  // 净值校验，结果显示在净值卡片的徽章和校验报告中；说明文字按当前语言生成
+  // 阈值输入为空或无效时使用默认阈值，避免按 0 把每次变动都标为跳变
+  const integrity = useMemo(() => {
+    const threshold = String(jumpThreshold).trim() === '' ? NaN : Number(jumpThreshold);
+    const findings = checkNavIntegrity(navHistory, fundData, {
+      jumpThreshold: Number.isFinite(threshold) && threshold >= 0 ? threshold / 100 : INTEGRITY_CONFIG.jumpThreshold
+    });
+    return { findings, status: integrityStatus(findings) };
+  }, [navHistory, fundData, jumpThreshold, locale]);
+
+  const ledger = useLedger(fund, showLP ? lpAddress : null, navHistory);
+  const benchmarks = useBenchmarks(navHistory);
 
-  // 获取合约实例（只读）
-  const getContract = () => {
-    const provider = getProvider();
-    return new ethers.Contract(CONFIG.contractAddress, FUND_TOKEN_ABI, provider);
+  // 上次访问以来的变化和浏览器通知，持仓价值只统计在白名单内的地址
+  const positionValue = showLP && lpData ? toNumber(lpData.value) : null;
+  const lastVisit = useLastVisit(fund, navHistory, !historyPending, showLP ? lpAddress : null, positionValue);
+  useNavAlerts(fund, fundData?.name || fund.name, navHistory, !historyPending, showLP ? lpAddress : null, positionValue, alertSettings);
+
+  const updateAlertSettings = (settings) => {
+    saveAlertSettings(settings);
+    setAlertSettings(settings);
   };
 
+  // 检测可用的钱包（EIP-6963，兼容旧的 window.ethereum）
+  const wallets = useWallets();
+  const hasWallet = wallets.length > 0;
+
   // 加载基金数据
   const loadFundData = useCallback(async () => {
+    const requestId = ++fundRequestRef.current;
+    const isStale = () => requestId !== fundRequestRef.current;
     try {
       setLoading(true);
-      const contract = getContract();
-      
-      const [name, description, nav, totalSupply, inceptionDate, historyLength] = await Promise.all([
-        contract.fundName(),
-        contract.fundDescription(),
+      setLoadError(null);
+      const contract = getContract(fund);
+
+      // 概览一次读取；各项分别处理失败，部分失败时仍显示已取得的数据
+      const results = await Promise.allSettled([
+        contract.getFundOverview(),
+        contract.getNavHistoryLength(),
+        readDecimals(fund),
         contract.getCurrentNAV(),
-        contract.totalSupply(),
-        contract.fundInceptionDate(),
-        contract.getNavHistoryLength()
+        contract.totalSupply()
       ]);
+      if (isStale()) return;
+      const [overview, historyLength, decimals, contractNav, totalSupply] = results.map(
+        (r) => (r.status === 'fulfilled' ? r.value : null)
+      );
 
-      setFundData({
-        name,
-        description,
-        currentNav: parseFloat(ethers.formatEther(nav)),
-        totalShares: parseFloat(ethers.formatEther(totalSupply)),
-        inceptionDate: Number(inceptionDate)
-      });
-
-      // 加载净值历史
-      const historyLen = Number(historyLength);
-      const history = [];
-      for (let i = 0; i < historyLen; i++) {
-        const record = await contract.navHistory(i);
-        history.push({
-          date: formatDate(Number(record.timestamp)),
-          nav: parseFloat(ethers.formatEther(record.nav)),
-          timestamp: Number(record.timestamp)
-        });
+      const failure = results.find((r) => r.status === 'rejected');
+      if (failure) {
+        console.error('Error loading fund data:', failure.reason);
+        const partial = results.some((r) => r.status === 'fulfilled');
+        const kind = await diagnoseError(fund, failure.reason);
+        if (isStale()) return;
+        setLoadError({ kind, partial });
+        if (!partial) return;
       }
-      setNavHistory(history);
+
+      setFundData(overview && decimals !== null ? toFundData(overview, decimals, contractNav, totalSupply) : { decimals });
+
+      setLoading(false);
+      if (historyLength === null || decimals === null) return;
+
+      // 加载净值历史（优先读取本地缓存，只拉取新增记录）
+      historyLengthRef.current = Number(historyLength);
+      const records = await loadNavHistory(fund, contract, Number(historyLength), (loaded, total) => {
+        if (!isStale()) setHistoryProgress({ loaded, total });
+      });
+      if (isStale()) return;
+      setNavHistory(records.map((record) => toNavPoint(record, decimals)));
 
     } catch (err) {
-      console.error('Error loading fund data:', err);
-      setError('Failed to load fund data. Please check the contract address.');
+      console.error('Error loading NAV history:', err);
+      const kind = await diagnoseError(fund, err);
+      if (!isStale()) setLoadError({ kind, partial: true });
     } finally {
-      setLoading(false);
+      if (!isStale()) {
+        setLoading(false);
+        setHistoryProgress(null);
+      }
     }
-  }, []);
+  }, [fund]);
 
   // 加载LP数据
   const loadLPData = useCallback(async (address) => {
+    const requestId = ++lpRequestRef.current;
+    const isStale = () => requestId !== lpRequestRef.current;
     try {
-      const contract = getContract();
-      
-      const [isWL, balance, value, returnRate, info] = await Promise.all([
-        contract.whitelist(address),
-        contract.balanceOf(address),
-        contract.getLPValue(address),
-        contract.getLPReturn(address),
-        contract.lpInfo(address)
-      ]);
+      setLpError(null);
+      const position = await readLPPosition(fund, address);
+      if (isStale()) return;
+      setIsWhitelisted(position.isWhitelisted);
+      balanceRef.current = position.balance.toString();
+      setLpData(position.data);
+      setLpLoadedFor(address);
+    } catch (err) {
+      console.error('Error loading LP data:', err);
+      const kind = await diagnoseError(fund, err);
+      if (!isStale()) setLpError({ kind });
+    }
+  }, [fund]);
+
+  // 新区块到来时只刷新变化的部分：当前净值、新增的净值记录和 LP 份额
+  // 轮询期间切换了基金或地址时，旧的结果不再写入
+  const refreshOnBlock = async () => {
+    const isCurrent = () => currentRef.current.fund === fund && currentRef.current.lpAddress === lpAddress;
+    const contract = getContract(fund);
+    // 与 loadFundData 相同，各项分别处理失败，只更新读取成功的部分
+    const results = await Promise.allSettled([
+      contract.getFundOverview(),
+      contract.getNavHistoryLength(),
+      lpAddress ? contract.balanceOf(lpAddress) : null,
+      readDecimals(fund),
+      contract.getCurrentNAV(),
+      contract.totalSupply()
+    ]);
+    if (!isCurrent()) return;
+    const [overview, historyLength, balance, decimals, contractNav, totalSupply] = results.map(
+      (r) => (r.status === 'fulfilled' ? r.value : null)
+    );
+
+    const failure = results.find((r) => r.status === 'rejected');
+    if (failure) {
+      // 全部失败时抛出，由 useLiveUpdates 在下一轮重试
+      if (!results.some((r) => r.status === 'fulfilled' && r.value !== null)) throw failure.reason;
+      console.error('Error refreshing fund data:', failure.reason);
+    }
+
+    // 首次加载时读取失败的概览也在这里补齐；本次读取失败的字段保留原值
+    const updates = overview !== null && decimals !== null
+      ? toFundData(overview, decimals, contractNav, totalSupply)
+      : {
+        contractNav: contractNav === null ? null : fixed(contractNav),
+        totalSupply: totalSupply === null || decimals === null ? null : fixed(totalSupply, decimals)
+      };
+    const loaded = Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== null));
+    setFundData((prev) => {
+      if (!prev) return prev;
+      const next = { ...prev, ...loaded };
+      return sameFundData(prev, next) ? prev : next;
+    });
+
+    if (historyLength !== null && decimals !== null && Number(historyLength) > historyLengthRef.current) {
+      const records = await loadNavHistory(fund, contract, Number(historyLength));
+      if (!isCurrent()) return;
+      historyLengthRef.current = records.length;
+      setNavHistory(records.map((record) => toNavPoint(record, decimals)));
+    }
 
-      setIsWhitelisted(isWL);
-      
-      if (isWL) {
-        setLpData({
-          shares: parseFloat(ethers.formatEther(balance)),
-          value: parseFloat(ethers.formatEther(value)),
-          initialInvestment: parseFloat(ethers.formatEther(info.initialInvestment)),
-          returnRate: Number(returnRate) / 100,
-          investmentDate: Number(info.investmentDate)
+    if (lpAddress && balance !== null && balance.toString() !== balanceRef.current) {
+      await loadLPData(lpAddress);
+      ledger.reload();
+    }
+  };
+
+  const lastBlock = useLiveUpdates(fund, refreshOnBlock, Boolean(fundData));
+
+  // 检查管理员权限（合约 owner 或管理角色）
+  useEffect(() => {
+    setIsAdmin(false);
+    if (!account) return;
+    let cancelled = false;
+    checkAdmin(fund, account)
+      .then((result) => { if (!cancelled) setIsAdmin(result); })
+      .catch((err) => console.error('Error checking admin role:', err));
+    return () => { cancelled = true; };
+  }, [fund, account]);
+
+  // 管理操作上链后刷新相关数据
+  const handleAdminMined = (actionKey) => {
+    if (actionKey === 'updateNAV') {
+      loadFundData();
+    } else if (lpAddress) {
+      loadLPData(lpAddress);
+    }
+  };
+
+  // 选定钱包：记住选择，签名操作也使用该钱包
+  const selectWallet = (wallet) => {
+    const provider = wallet?.provider ?? null;
+    setWalletProvider(provider);
+    setActiveProvider(provider);
+    rememberWallet(wallet);
+  };
+
+  // 切换钱包到基金所在网络，钱包中没有该网络时先添加
+  const switchWalletChain = async (provider = walletProvider) => {
+    try {
+      await provider.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId: toChainHex(fund.chainId) }]
+      });
+    } catch (switchError) {
+      if (switchError.code === 4902) {
+        await provider.request({
+          method: 'wallet_addEthereumChain',
+          params: [{
+            chainId: toChainHex(fund.chainId),
+            chainName: fund.chainName,
+            rpcUrls: fund.rpcUrls,
+            blockExplorerUrls: fund.blockExplorer ? [fund.blockExplorer] : undefined
+          }]
         });
       }
-    } catch (err) {
-      console.error('Error loading LP data:', err);
     }
-  }, []);
+  };
 
-  // 连接钱包
-  const connectWallet = async () => {
+  // 连接钱包；安装了多个钱包时先让用户选择
+  const connectWallet = async (wallet) => {
     if (!hasWallet) {
-      setError('Please install MetaMask or another Web3 wallet');
+      setError(t('wallet.install'));
       return;
     }
+    if (!wallet) {
+      if (wallets.length > 1) {
+        setShowWalletPicker(true);
+        return;
+      }
+      wallet = wallets[0];
+    }
 
+    setShowWalletPicker(false);
     setIsConnecting(true);
     setError(null);
 
     try {
-      const accounts = await window.ethereum.request({
+      const provider = wallet.provider;
+      const accounts = await provider.request({
         method: 'eth_requestAccounts'
       });
 
       if (accounts.length > 0) {
         // 检查网络
-        const chainId = await window.ethereum.request({ method: 'eth_chainId' });
-        if (parseInt(chainId, 16) !== CONFIG.chainId) {
-          try {
-            await window.ethereum.request({
-              method: 'wallet_switchEthereumChain',
-              params: [{ chainId: `0x${CONFIG.chainId.toString(16)}` }]
-            });
-          } catch (switchError) {
-            if (switchError.code === 4902) {
-              await window.ethereum.request({
-                method: 'wallet_addEthereumChain',
-                params: [{
-                  chainId: `0x${CONFIG.chainId.toString(16)}`,
-                  chainName: CONFIG.chainName,
-                  rpcUrls: [CONFIG.rpcUrl],
-                  blockExplorerUrls: [CONFIG.blockExplorer]
-                }]
-              });
-            }
-          }
+        const chainId = await provider.request({ method: 'eth_chainId' });
+        if (parseInt(chainId, 16) !== fund.chainId) {
+          await switchWalletChain(provider);
         }
 
-        // 先加载LP数据，再更新账户状态，确保UI同步
-        await loadLPData(accounts[0]);
+        setWalletChainId(parseInt(await provider.request({ method: 'eth_chainId' }), 16));
+        selectWallet(wallet);
         setAccount(accounts[0]);
         setIsConnecting(false);
       }
@@ -219,48 +402,98 @@ export default function App() {
   // 断开连接
   const disconnectWallet = () => {
     setAccount(null);
-    setIsWhitelisted(false);
-    setLpData(null);
+    setWalletChainId(null);
+    selectWallet(null);
   };
 
-  // 初始加载
+  // 切换基金，并同步到 URL
+  const selectFund = (id) => {
+    if (id === fundId) return;
+    const url = new URL(window.location.href);
+    url.searchParams.set('fund', id);
+    window.history.pushState({}, '', url);
+    setFundId(id);
+  };
+
+  // 浏览器前进/后退时同步选中的基金
   useEffect(() => {
+    const onPopState = () => setFundId(readFundIdFromUrl());
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  // 初始加载（切换基金时重新加载）
+  useEffect(() => {
+    setFundData(null);
+    setNavHistory([]);
+    setLpData(null);
+    setLpError(null);
+    historyLengthRef.current = 0;
     loadFundData();
-    
-    // 自动检测已连接的钱包
+  }, [loadFundData]);
+
+  // 加载当前展示地址的LP数据（切换基金、钱包账户或查看的地址时重新加载）
+  useEffect(() => {
+    if (!lpAddress) {
+      // 丢弃断开前仍在进行的读取
+      lpRequestRef.current++;
+      setIsWhitelisted(false);
+      setLpData(null);
+      setLpLoadedFor(null);
+      setLpError(null);
+      return;
+    }
+    loadLPData(lpAddress);
+  }, [lpAddress, loadLPData]);
+
+  // 自动检测已连接的钱包：优先上次选择的钱包，只有一个钱包时直接检测它
+  // 只在页面加载时检测一次，用户主动断开后不再自动连接
+  useEffect(() => {
+    if (walletProvider || autoConnectRef.current) return;
+    const remembered = getRememberedWallet();
+    const wallet = wallets.find((w) => w.info.rdns === remembered) || (wallets.length === 1 ? wallets[0] : null);
+    if (!wallet) return;
+    autoConnectRef.current = true;
+
     const checkConnectedWallet = async () => {
-      if (hasWallet) {
-        try {
-          const accounts = await window.ethereum.request({ method: 'eth_accounts' });
-          if (accounts.length > 0) {
-            setAccount(accounts[0]);
-            await loadLPData(accounts[0]);
-          }
-        } catch (err) {
-          console.error('Error checking wallet:', err);
+      try {
+        const accounts = await wallet.provider.request({ method: 'eth_accounts' });
+        if (accounts.length > 0) {
+          selectWallet(wallet);
+          setWalletChainId(parseInt(await wallet.provider.request({ method: 'eth_chainId' }), 16));
+          setAccount(accounts[0]);
         }
+      } catch (err) {
+        console.error('Error checking wallet:', err);
       }
     };
     checkConnectedWallet();
-  }, [loadFundData, loadLPData, hasWallet]);
+  }, [wallets, walletProvider]);
 
-  // 监听账户变化
+  // 监听所选钱包的账户与网络变化，切换钱包或卸载时移除监听
   useEffect(() => {
-    if (hasWallet) {
-      window.ethereum.on('accountsChanged', (accounts) => {
-        if (accounts.length > 0) {
-          setAccount(accounts[0]);
-          loadLPData(accounts[0]);
-        } else {
-          disconnectWallet();
-        }
-      });
+    if (!walletProvider) return;
 
-      window.ethereum.on('chainChanged', () => {
-        window.location.reload();
-      });
-    }
-  }, [hasWallet, loadLPData]);
+    const handleAccountsChanged = (accounts) => {
+      if (accounts.length > 0) {
+        setAccount(accounts[0]);
+      } else {
+        disconnectWallet();
+      }
+    };
+
+    // 数据通过基金自己的 RPC 读取，钱包切换网络只影响签名操作，无需刷新页面
+    const handleChainChanged = (chainId) => {
+      setWalletChainId(parseInt(chainId, 16));
+    };
+
+    walletProvider.on('accountsChanged', handleAccountsChanged);
+    walletProvider.on('chainChanged', handleChainChanged);
+    return () => {
+      walletProvider.removeListener('accountsChanged', handleAccountsChanged);
+      walletProvider.removeListener('chainChanged', handleChainChanged);
+    };
+  }, [walletProvider]);
 
   // ============ 渲染 ============
   return (
@@ -307,64 +540,122 @@ export default function App() {
               WebkitTextFillColor: 'transparent',
               letterSpacing: '-0.5px'
             }}>
-              {fundData?.name || 'Fund Portal'}
+              {fundData?.name || fund.name}
             </h1>
-            <p style={{ color: '#666', margin: '8px 0 0', fontSize: '14px' }}>
-              LP Investment Portal
-            </p>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginTop: '8px' }}>
+              <p style={{ color: '#666', margin: 0, fontSize: '14px' }}>
+                {t('app.subtitle')}
+              </p>
+              <NetworkBadge />
+              {lastBlock && (
+                <span
+                  title={t('app.checkedAt', { time: new Date(lastBlock.updatedAt).toLocaleTimeString(locale) })}
+                  style={{ color: '#555', fontSize: '12px' }}
+                >
+                  <span style={{ color: '#00c896' }}>●</span> {t('app.updatedAtBlock', { block: formatNumber(lastBlock.number, 0) })}
+                </span>
+              )}
+            </div>
           </div>
 
-          {account ? (
-            <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
-              <div style={{
-                padding: '10px 16px',
-                background: 'rgba(0, 200, 150, 0.1)',
-                borderRadius: '12px',
-                border: '1px solid rgba(0, 200, 150, 0.2)',
-                fontSize: '14px'
-              }}>
-                <span style={{ color: '#00c896' }}>●</span>
-                <span style={{ marginLeft: '8px', fontFamily: 'monospace' }}>
-                  {shortenAddress(account)}
-                </span>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
+            <LanguageSwitcher locale={locale} onChange={setLocale} />
+            <FundSwitcher fundId={fundId} onChange={selectFund} />
+            {account ? (
+              <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
+                <div style={{
+                  padding: '10px 16px',
+                  background: 'rgba(0, 200, 150, 0.1)',
+                  borderRadius: '12px',
+                  border: '1px solid rgba(0, 200, 150, 0.2)',
+                  fontSize: '14px'
+                }}>
+                  <span style={{ color: '#00c896' }}>●</span>
+                  <span style={{ marginLeft: '8px', fontFamily: 'monospace' }}>
+                    {shortenAddress(account)}
+                  </span>
+                </div>
+                <button
+                  onClick={disconnectWallet}
+                  style={{
+                    padding: '10px 20px',
+                    background: 'rgba(255,255,255,0.05)',
+                    border: '1px solid rgba(255,255,255,0.1)',
+                    borderRadius: '12px',
+                    color: '#888',
+                    cursor: 'pointer',
+                    fontSize: '14px',
+                    transition: 'all 0.2s'
+                  }}
+                >
+                  {t('wallet.disconnect')}
+                </button>
               </div>
+            ) : (
               <button
-                onClick={disconnectWallet}
+                onClick={() => connectWallet()}
+                disabled={isConnecting}
                 style={{
-                  padding: '10px 20px',
-                  background: 'rgba(255,255,255,0.05)',
-                  border: '1px solid rgba(255,255,255,0.1)',
+                  padding: '12px 28px',
+                  background: 'linear-gradient(135deg, #7850ff 0%, #00c896 100%)',
+                  border: 'none',
                   borderRadius: '12px',
-                  color: '#888',
-                  cursor: 'pointer',
-                  fontSize: '14px',
-                  transition: 'all 0.2s'
+                  color: '#fff',
+                  fontWeight: '600',
+                  cursor: isConnecting ? 'wait' : 'pointer',
+                  fontSize: '15px',
+                  transition: 'transform 0.2s, box-shadow 0.2s',
+                  boxShadow: '0 4px 20px rgba(120, 80, 255, 0.3)'
                 }}
               >
-                Disconnect
+                {isConnecting ? t('wallet.connecting') : t('wallet.connect')}
               </button>
-            </div>
-          ) : (
+            )}
+          </div>
+        </header>
+
+        <PageNav current={route.name} />
+
+        {showWalletPicker && (
+          <WalletPicker
+            wallets={wallets}
+            onSelect={connectWallet}
+            onClose={() => setShowWalletPicker(false)}
+          />
+        )}
+
+        {/* 钱包网络与基金不一致 */}
+        {account && walletChainId !== null && walletChainId !== fund.chainId && (
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            gap: '16px',
+            padding: '16px 20px',
+            background: 'rgba(255, 200, 80, 0.1)',
+            border: '1px solid rgba(255, 200, 80, 0.2)',
+            borderRadius: '12px',
+            marginBottom: '24px',
+            color: '#ffc850'
+          }}>
+            <span>{t('wallet.wrongNetwork', { chain: fund.chainName })}</span>
             <button
-              onClick={connectWallet}
-              disabled={isConnecting}
+              onClick={() => switchWalletChain().catch((err) => setError(err.message))}
               style={{
-                padding: '12px 28px',
-                background: 'linear-gradient(135deg, #7850ff 0%, #00c896 100%)',
-                border: 'none',
-                borderRadius: '12px',
-                color: '#fff',
-                fontWeight: '600',
-                cursor: isConnecting ? 'wait' : 'pointer',
-                fontSize: '15px',
-                transition: 'transform 0.2s, box-shadow 0.2s',
-                boxShadow: '0 4px 20px rgba(120, 80, 255, 0.3)'
+                padding: '8px 16px',
+                background: 'rgba(255, 200, 80, 0.15)',
+                border: '1px solid rgba(255, 200, 80, 0.3)',
+                borderRadius: '8px',
+                color: '#ffc850',
+                cursor: 'pointer',
+                fontSize: '13px',
+                whiteSpace: 'nowrap'
               }}
             >
-              {isConnecting ? 'Connecting...' : 'Connect Wallet'}
+              {t('wallet.switchNetwork')}
             </button>
-          )}
-        </header>
+          </div>
+        )}
 
         {error && (
           <div style={{
@@ -379,77 +670,25 @@ export default function App() {
           </div>
         )}
 
-        {loading ? (
+        {loadError && (
+          <ErrorState
+            kind={loadError.kind}
+            subject={loadError.partial ? t('error.subject.fundData') : null}
+            onRetry={loadFundData}
+          />
+        )}
+
+        {route.name === 'notFound' ? (
+          <NotFound path={route.path} />
+        ) : loading && !fundData ? (
           <div style={{ textAlign: 'center', padding: '60px 0' }}>
             <div style={{ fontSize: '24px', marginBottom: '16px' }}>⏳</div>
-            <p style={{ color: '#666' }}>Loading fund data...</p>
+            <p style={{ color: '#666' }}>{t('app.loadingFund')}</p>
           </div>
         ) : (
           <>
-            {/* 基金概览卡片 */}
-            <div style={{
-              display: 'grid',
-              gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))',
-              gap: '20px',
-              marginBottom: '32px'
-            }}>
-              {/* 净值卡片 */}
-              <div style={{
-                background: 'linear-gradient(135deg, rgba(120, 80, 255, 0.15) 0%, rgba(120, 80, 255, 0.05) 100%)',
-                borderRadius: '20px',
-                padding: '28px',
-                border: '1px solid rgba(120, 80, 255, 0.2)'
-              }}>
-                <p style={{ color: '#888', fontSize: '13px', margin: '0 0 8px', textTransform: 'uppercase', letterSpacing: '1px' }}>
-                  Current NAV
-                </p>
-                <p style={{ fontSize: '42px', fontWeight: '700', margin: 0, color: '#fff' }}>
-                  ${formatNumber(fundData?.currentNav, 4)}
-                </p>
-                <p style={{ color: fundData?.currentNav >= 1 ? '#00c896' : '#ff6b6b', fontSize: '14px', marginTop: '8px' }}>
-                  {fundData?.currentNav >= 1 ? '+' : ''}{formatNumber((fundData?.currentNav - 1) * 100)}% since inception
-                </p>
-              </div>
-
-              {/* 总份额 */}
-              <div style={{
-                background: 'rgba(255,255,255,0.03)',
-                borderRadius: '20px',
-                padding: '28px',
-                border: '1px solid rgba(255,255,255,0.06)'
-              }}>
-                <p style={{ color: '#888', fontSize: '13px', margin: '0 0 8px', textTransform: 'uppercase', letterSpacing: '1px' }}>
-                  Total Shares
-                </p>
-                <p style={{ fontSize: '42px', fontWeight: '700', margin: 0, color: '#fff' }}>
-                  {formatNumber(fundData?.totalShares, 0)}
-                </p>
-                <p style={{ color: '#666', fontSize: '14px', marginTop: '8px' }}>
-                  Outstanding shares
-                </p>
-              </div>
-
-              {/* 成立时间 */}
-              <div style={{
-                background: 'rgba(255,255,255,0.03)',
-                borderRadius: '20px',
-                padding: '28px',
-                border: '1px solid rgba(255,255,255,0.06)'
-              }}>
-                <p style={{ color: '#888', fontSize: '13px', margin: '0 0 8px', textTransform: 'uppercase', letterSpacing: '1px' }}>
-                  Inception Date
-                </p>
-                <p style={{ fontSize: '28px', fontWeight: '600', margin: 0, color: '#fff' }}>
-                  {formatDate(fundData?.inceptionDate)}
-                </p>
-                <p style={{ color: '#666', fontSize: '14px', marginTop: '8px' }}>
-                  {fundData?.inceptionDate ? Math.floor((Date.now() / 1000 - fundData.inceptionDate) / (24 * 60 * 60)) : 0} days track record
-                </p>
-              </div>
-            </div>
-
-            {/* 净值走势图 */}
-            {navHistory.length > 1 && (
+            {/* 净值历史加载进度 */}
+            {historyProgress && historyProgress.loaded < historyProgress.total && (
               <div style={{
                 background: 'rgba(255,255,255,0.02)',
                 borderRadius: '20px',
@@ -457,162 +696,426 @@ export default function App() {
                 border: '1px solid rgba(255,255,255,0.06)',
                 marginBottom: '32px'
               }}>
-                <h2 style={{ fontSize: '18px', fontWeight: '600', margin: '0 0 24px', color: '#fff' }}>
-                  NAV Performance
-                </h2>
-                <div style={{ height: '300px' }}>
-                  <ResponsiveContainer width="100%" height="100%">
-                    <AreaChart data={navHistory}>
-                      <defs>
-                        <linearGradient id="navGradient" x1="0" y1="0" x2="0" y2="1">
-                          <stop offset="5%" stopColor="#7850ff" stopOpacity={0.3}/>
-                          <stop offset="95%" stopColor="#7850ff" stopOpacity={0}/>
-                        </linearGradient>
-                      </defs>
-                      <XAxis 
-                        dataKey="date" 
-                        stroke="#444" 
-                        fontSize={12}
-                        tickLine={false}
-                        axisLine={{ stroke: '#333' }}
-                      />
-                      <YAxis 
-                        stroke="#444" 
-                        fontSize={12}
-                        tickLine={false}
-                        axisLine={false}
-                        domain={['auto', 'auto']}
-                        tickFormatter={(v) => `$${v.toFixed(2)}`}
-                      />
-                      <Tooltip 
-                        contentStyle={{
-                          background: '#1a1a2e',
-                          border: '1px solid #333',
-                          borderRadius: '8px',
-                          color: '#fff'
-                        }}
-                        formatter={(value) => [`$${value.toFixed(4)}`, 'NAV']}
-                      />
-                      <Area 
-                        type="monotone" 
-                        dataKey="nav" 
-                        stroke="#7850ff" 
-                        strokeWidth={2}
-                        fill="url(#navGradient)"
-                      />
-                    </AreaChart>
-                  </ResponsiveContainer>
+                <p style={{ color: '#888', fontSize: '14px', margin: '0 0 12px' }}>
+                  {t('overview.loadingHistory', { loaded: historyProgress.loaded, total: historyProgress.total })}
+                </p>
+                <div style={{ height: '6px', background: 'rgba(255,255,255,0.06)', borderRadius: '3px', overflow: 'hidden' }}>
+                  <div style={{
+                    width: `${(historyProgress.loaded / historyProgress.total) * 100}%`,
+                    height: '100%',
+                    background: 'linear-gradient(90deg, #7850ff 0%, #00c896 100%)',
+                    transition: 'width 0.3s'
+                  }} />
                 </div>
               </div>
             )}
 
-            {/* LP个人信息（连接钱包后显示）*/}
-            {account && isWhitelisted && lpData && lpData.shares > 0 && (
-              <div style={{
-                background: 'linear-gradient(135deg, rgba(0, 200, 150, 0.1) 0%, rgba(0, 200, 150, 0.02) 100%)',
-                borderRadius: '20px',
-                padding: '32px',
-                border: '1px solid rgba(0, 200, 150, 0.2)',
-                marginBottom: '32px'
-              }}>
-                <h2 style={{ fontSize: '18px', fontWeight: '600', margin: '0 0 24px', color: '#fff' }}>
-                  Your Investment
-                </h2>
+            {route.name === 'overview' && (
+              <>
+                {/* 上次访问以来的变化 */}
+                {lastVisit.summary && (
+                  <SinceLastVisit summary={lastVisit.summary} onDismiss={lastVisit.dismiss} />
+                )}
+
+                {/* 基金概览卡片 */}
                 <div style={{
                   display: 'grid',
-                  gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
-                  gap: '24px'
+                  gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))',
+                  gap: '20px',
+                  marginBottom: '32px'
                 }}>
-                  <div>
-                    <p style={{ color: '#888', fontSize: '13px', margin: '0 0 4px' }}>Current Value</p>
-                    <p style={{ fontSize: '32px', fontWeight: '700', margin: 0, color: '#00c896' }}>
-                      {formatUSD(lpData.value)}
+                  {/* 净值卡片 */}
+                  <div style={{
+                    background: 'linear-gradient(135deg, rgba(120, 80, 255, 0.15) 0%, rgba(120, 80, 255, 0.05) 100%)',
+                    borderRadius: '20px',
+                    padding: '28px',
+                    border: '1px solid rgba(120, 80, 255, 0.2)'
+                  }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', margin: '0 0 8px' }}>
+                      <p style={{ color: '#888', fontSize: '13px', margin: 0, textTransform: 'uppercase', letterSpacing: '1px' }}>
+                        {t('overview.currentNav')}
+                      </p>
+                      {navHistory.length > 0 && (
+                        <a
+                          href="#nav-integrity"
+                          title={t('overview.integrityLink')}
+                          style={{
+                            padding: '4px 10px',
+                            borderRadius: '999px',
+                            fontSize: '12px',
+                            textDecoration: 'none',
+                            color: INTEGRITY_BADGES[integrity.status].color,
+                            background: `${INTEGRITY_BADGES[integrity.status].color}1a`,
+                            border: `1px solid ${INTEGRITY_BADGES[integrity.status].color}4d`
+                          }}
+                        >
+                          {INTEGRITY_BADGES[integrity.status].label(integrity.findings)}
+                        </a>
+                      )}
+                    </div>
+                    <p style={{ fontSize: '42px', fontWeight: '700', margin: 0, color: '#fff' }}>
+                      ${formatNumber(fundData?.currentNav, 4)}
                     </p>
+                    {sinceInception && (
+                      <p style={{ color: sign(sinceInception) >= 0 ? '#00c896' : '#ff6b6b', fontSize: '14px', marginTop: '8px' }}>
+                        {t('overview.sinceInception', { change: `${sign(sinceInception) >= 0 ? '+' : ''}${formatNumber(sinceInception)}` })}
+                      </p>
+                    )}
+                    {changes?.nav !== null && changes?.nav !== undefined && (
+                      <p style={{ color: changes.nav >= 0 ? '#00c896' : '#ff6b6b', fontSize: '14px', margin: '4px 0 0' }}>
+                        {t('common.sinceDate', { change: `${changes.nav >= 0 ? '+' : ''}${formatNumber(changes.nav * 100)}`, date: formatDate(changes.since) })}
+                      </p>
+                    )}
                   </div>
-                  <div>
-                    <p style={{ color: '#888', fontSize: '13px', margin: '0 0 4px' }}>Your Shares</p>
-                    <p style={{ fontSize: '28px', fontWeight: '600', margin: 0, color: '#fff' }}>
-                      {formatNumber(lpData.shares, 0)}
+
+                  {/* 总份额 */}
+                  <div style={{
+                    background: 'rgba(255,255,255,0.03)',
+                    borderRadius: '20px',
+                    padding: '28px',
+                    border: '1px solid rgba(255,255,255,0.06)'
+                  }}>
+                    <p style={{ color: '#888', fontSize: '13px', margin: '0 0 8px', textTransform: 'uppercase', letterSpacing: '1px' }}>
+                      {t('overview.totalShares')}
+                    </p>
+                    <p style={{ fontSize: '42px', fontWeight: '700', margin: 0, color: '#fff' }}>
+                      {formatNumber(fundData?.totalShares, 0)}
+                    </p>
+                    <p style={{ color: '#666', fontSize: '14px', marginTop: '8px' }}>
+                      {t('overview.outstandingShares')}
                     </p>
                   </div>
-                  <div>
-                    <p style={{ color: '#888', fontSize: '13px', margin: '0 0 4px' }}>Initial Investment</p>
+
+                  {/* 成立时间 */}
+                  <div style={{
+                    background: 'rgba(255,255,255,0.03)',
+                    borderRadius: '20px',
+                    padding: '28px',
+                    border: '1px solid rgba(255,255,255,0.06)'
+                  }}>
+                    <p style={{ color: '#888', fontSize: '13px', margin: '0 0 8px', textTransform: 'uppercase', letterSpacing: '1px' }}>
+                      {t('overview.inceptionDate')}
+                    </p>
                     <p style={{ fontSize: '28px', fontWeight: '600', margin: 0, color: '#fff' }}>
-                      {formatUSD(lpData.initialInvestment)}
+                      {formatDate(fundData?.inceptionDate)}
                     </p>
-                  </div>
-                  <div>
-                    <p style={{ color: '#888', fontSize: '13px', margin: '0 0 4px' }}>Total Return</p>
-                    <p style={{ 
-                      fontSize: '28px', 
-                      fontWeight: '600', 
-                      margin: 0, 
-                      color: lpData.returnRate >= 0 ? '#00c896' : '#ff6b6b' 
-                    }}>
-                      {lpData.returnRate >= 0 ? '+' : ''}{formatNumber(lpData.returnRate)}%
+                    <p style={{ color: '#666', fontSize: '14px', marginTop: '8px' }}>
+                      {t('overview.trackRecord', {
+                        days: fundData?.inceptionDate ? Math.floor((Date.now() / 1000 - fundData.inceptionDate) / (24 * 60 * 60)) : 0
+                      })}
                     </p>
                   </div>
                 </div>
-                <div style={{ marginTop: '24px', paddingTop: '24px', borderTop: '1px solid rgba(255,255,255,0.1)' }}>
-                  <p style={{ color: '#666', fontSize: '13px', margin: 0 }}>
-                    Investment Date: {formatDate(lpData.investmentDate)}
-                  </p>
-                </div>
-              </div>
+
+                {/* 规模与投资人 */}
+                <FundStats fundData={fundData} changes={changes} />
+
+                {/* 基金简介 */}
+                {fundData?.description && (
+                  <div style={{
+                    background: 'rgba(255,255,255,0.02)',
+                    borderRadius: '20px',
+                    padding: '28px',
+                    border: '1px solid rgba(255,255,255,0.06)',
+                    marginBottom: '32px'
+                  }}>
+                    <h2 style={{ fontSize: '18px', fontWeight: '600', margin: '0 0 16px', color: '#fff' }}>
+                      {t('overview.about')}
+                    </h2>
+                    <p style={{ color: '#aaa', fontSize: '14px', lineHeight: 1.7, margin: 0, whiteSpace: 'pre-line' }}>
+                      {fundData.description}
+                    </p>
+                  </div>
+                )}
+
+                {/* 净值走势图 */}
+                {navHistory.length > 1 && (
+                  <NavChart navHistory={navHistory} benchmarks={benchmarks.series} />
+                )}
+
+                {/* 业绩分析 */}
+                {navHistory.length > 1 && (
+                  <AnalyticsPanel navHistory={navHistory} />
+                )}
+
+                {/* 基准比较 */}
+                {navHistory.length > 1 && (
+                  <BenchmarkPanel navHistory={navHistory} benchmarks={benchmarks} />
+                )}
+
+                {/* 净值校验 */}
+                {navHistory.length > 0 && (
+                  <IntegrityReport
+                    findings={integrity.findings}
+                    recordCount={navHistory.length}
+                    jumpThreshold={jumpThreshold}
+                    onJumpThresholdChange={setJumpThreshold}
+                  />
+                )}
+              </>
             )}
 
-            {/* 未连接钱包提示 */}
-            {!account && (
-              <div style={{
-                background: 'rgba(255,255,255,0.02)',
-                borderRadius: '20px',
-                padding: '48px',
-                border: '1px solid rgba(255,255,255,0.06)',
-                textAlign: 'center'
-              }}>
-                <div style={{ fontSize: '48px', marginBottom: '16px' }}>🔐</div>
-                <h3 style={{ fontSize: '20px', fontWeight: '600', margin: '0 0 8px', color: '#fff' }}>
-                  Connect Your Wallet
-                </h3>
-                <p style={{ color: '#666', margin: '0 0 24px', maxWidth: '400px', marginInline: 'auto' }}>
-                  Connect your whitelisted wallet to view your investment details, share balance, and performance.
-                </p>
-                <button
-                  onClick={connectWallet}
-                  style={{
-                    padding: '14px 36px',
-                    background: 'linear-gradient(135deg, #7850ff 0%, #00c896 100%)',
-                    border: 'none',
+            {route.name === 'investment' && (
+              <>
+                {/* 关注地址与组合 */}
+                <PortfolioPanel fund={fund} watchAddress={watchAddress} onWatch={setWatchAddress} />
+
+                {/* 只读查看提示 */}
+                {isWatching && (
+                  <div style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    gap: '16px',
+                    padding: '16px 20px',
+                    background: 'rgba(120, 80, 255, 0.1)',
+                    border: '1px solid rgba(120, 80, 255, 0.2)',
                     borderRadius: '12px',
-                    color: '#fff',
-                    fontWeight: '600',
-                    cursor: 'pointer',
-                    fontSize: '16px'
-                  }}
-                >
-                  Connect Wallet
-                </button>
-              </div>
+                    marginBottom: '32px',
+                    color: '#b8a4ff'
+                  }}>
+                    <span>
+                      👁 {t('investment.watching', { address: <span style={{ fontFamily: 'monospace' }}>{watchAddress}</span> })}
+                    </span>
+                    <button
+                      onClick={() => setWatchAddress(null)}
+                      style={{
+                        padding: '8px 16px',
+                        background: 'rgba(120, 80, 255, 0.15)',
+                        border: '1px solid rgba(120, 80, 255, 0.3)',
+                        borderRadius: '8px',
+                        color: '#fff',
+                        cursor: 'pointer',
+                        fontSize: '13px',
+                        whiteSpace: 'nowrap'
+                      }}
+                    >
+                      {account ? t('investment.backToWallet') : t('investment.exitWatch')}
+                    </button>
+                  </div>
+                )}
+
+                {/* LP数据读取失败 */}
+                {lpAddress && lpError && (
+                  <ErrorState
+                    kind={lpError.kind}
+                    subject={t(isWatching ? 'error.subject.position' : 'error.subject.yourPosition')}
+                    onRetry={() => loadLPData(lpAddress)}
+                  />
+                )}
+
+                {/* 我的基金（连接钱包或查看地址时显示）*/}
+                {lpAddress && (
+                  <MyFunds account={lpAddress} fundId={fundId} onSelect={selectFund} />
+                )}
+
+                {/* LP个人信息（连接钱包或查看地址时显示）*/}
+                {showLP && lpData && sign(lpData.shares) > 0 && (
+                  <div style={{
+                    background: 'linear-gradient(135deg, rgba(0, 200, 150, 0.1) 0%, rgba(0, 200, 150, 0.02) 100%)',
+                    borderRadius: '20px',
+                    padding: '32px',
+                    border: '1px solid rgba(0, 200, 150, 0.2)',
+                    marginBottom: '32px'
+                  }}>
+                    <h2 style={{ fontSize: '18px', fontWeight: '600', margin: '0 0 24px', color: '#fff' }}>
+                      {isWatching ? t('investment.title') : t('investment.yourTitle')}
+                    </h2>
+                    <div style={{
+                      display: 'grid',
+                      gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+                      gap: '24px'
+                    }}>
+                      <div>
+                        <p style={{ color: '#888', fontSize: '13px', margin: '0 0 4px' }}>{t('investment.currentValue')}</p>
+                        <p style={{ fontSize: '32px', fontWeight: '700', margin: 0, color: '#00c896' }}>
+                          {formatUSD(lpData.value)}
+                        </p>
+                      </div>
+                      <div>
+                        <p style={{ color: '#888', fontSize: '13px', margin: '0 0 4px' }}>{t('investment.yourShares')}</p>
+                        <p style={{ fontSize: '28px', fontWeight: '600', margin: 0, color: '#fff' }}>
+                          {formatNumber(lpData.shares, 0)}
+                        </p>
+                      </div>
+                      <div>
+                        <p style={{ color: '#888', fontSize: '13px', margin: '0 0 4px' }}>{t('investment.initialInvestment')}</p>
+                        <p style={{ fontSize: '28px', fontWeight: '600', margin: 0, color: '#fff' }}>
+                          {formatUSD(lpData.initialInvestment)}
+                        </p>
+                      </div>
+                      <div>
+                        <p style={{ color: '#888', fontSize: '13px', margin: '0 0 4px' }}>{t('investment.totalReturn')}</p>
+                        <p style={{ 
+                          fontSize: '28px', 
+                          fontWeight: '600', 
+                          margin: 0, 
+                          color: sign(lpData.returnRate) >= 0 ? '#00c896' : '#ff6b6b' 
+                        }}>
+                          {sign(lpData.returnRate) >= 0 ? '+' : ''}{formatNumber(lpData.returnRate)}%
+                        </p>
+                      </div>
+                    </div>
+                    <div style={{ marginTop: '24px', paddingTop: '24px', borderTop: '1px solid rgba(255,255,255,0.1)' }}>
+                      <p style={{ color: '#666', fontSize: '13px', margin: 0 }}>
+                        {t('investment.investmentDate', { date: formatDate(lpData.investmentDate) })}
+                      </p>
+                    </div>
+                  </div>
+                )}
+
+                {/* 申购/赎回申请 */}
+                {account && !isWatching && showLP && fundData?.currentNav && (
+                  <LPRequestPanel
+                    fund={fund}
+                    account={account}
+                    currentNav={fundData.currentNav}
+                    decimals={fundData.decimals}
+                    lpData={lpData}
+                  />
+                )}
+
+                {/* LP个人业绩 */}
+                {showLP && ledger.entries && fundData?.currentNav && (
+                  <PersonalPerformance
+                    entries={ledger.entries}
+                    navHistory={navHistory}
+                    currentNav={fundData.currentNav}
+                    lpData={lpData}
+                  />
+                )}
+
+                {/* 费用与高水位 */}
+                {showLP && lpData && sign(lpData.shares) > 0 && navHistory.length > 1 && (
+                  <FeeCalculator fund={fund} navHistory={navHistory} lpData={lpData} />
+                )}
+
+                {/* 对账单下载 */}
+                {showLP && ledger.entries && fundData?.currentNav && (
+                  <StatementPanel
+                    fund={fund}
+                    fundData={fundData}
+                    navHistory={navHistory}
+                    entries={ledger.entries}
+                    account={lpAddress}
+                  />
+                )}
+
+                {/* LP交易记录 */}
+                {showLP && (
+                  <LedgerPanel fund={fund} {...ledger} />
+                )}
+
+                {/* 未连接钱包提示 */}
+                {!lpAddress && (
+                  <div style={{
+                    background: 'rgba(255,255,255,0.02)',
+                    borderRadius: '20px',
+                    padding: '48px',
+                    border: '1px solid rgba(255,255,255,0.06)',
+                    textAlign: 'center'
+                  }}>
+                    <div style={{ fontSize: '48px', marginBottom: '16px' }}>🔐</div>
+                    <h3 style={{ fontSize: '20px', fontWeight: '600', margin: '0 0 8px', color: '#fff' }}>
+                      {t('investment.connectTitle')}
+                    </h3>
+                    <p style={{ color: '#666', margin: '0 0 24px', maxWidth: '400px', marginInline: 'auto' }}>
+                      {t('investment.connectMessage')}
+                    </p>
+                    <button
+                      onClick={() => connectWallet()}
+                      style={{
+                        padding: '14px 36px',
+                        background: 'linear-gradient(135deg, #7850ff 0%, #00c896 100%)',
+                        border: 'none',
+                        borderRadius: '12px',
+                        color: '#fff',
+                        fontWeight: '600',
+                        cursor: 'pointer',
+                        fontSize: '16px'
+                      }}
+                    >
+                      {t('wallet.connect')}
+                    </button>
+                  </div>
+                )}
+
+                {/* 已连接（或查看的地址）但不在白名单 */}
+                {lpReady && !isWhitelisted && (
+                  <div style={{
+                    background: 'rgba(255, 200, 80, 0.1)',
+                    borderRadius: '20px',
+                    padding: '48px',
+                    border: '1px solid rgba(255, 200, 80, 0.2)',
+                    textAlign: 'center'
+                  }}>
+                    <div style={{ fontSize: '48px', marginBottom: '16px' }}>⚠️</div>
+                    <h3 style={{ fontSize: '20px', fontWeight: '600', margin: '0 0 8px', color: '#fff' }}>
+                      {isWatching ? t('investment.addressNotWhitelisted') : t('investment.walletNotWhitelisted')}
+                    </h3>
+                    <p style={{ color: '#888', margin: 0, maxWidth: '400px', marginInline: 'auto' }}>
+                      {isWatching
+                        ? t('investment.addressNotRegistered', { address: shortenAddress(watchAddress) })
+                        : t('investment.walletNotRegistered', { address: shortenAddress(account) })}
+                    </p>
+                  </div>
+                )}
+              </>
             )}
 
-            {/* 已连接但不在白名单 */}
-            {account && !isWhitelisted && (
-              <div style={{
-                background: 'rgba(255, 200, 80, 0.1)',
-                borderRadius: '20px',
-                padding: '48px',
-                border: '1px solid rgba(255, 200, 80, 0.2)',
-                textAlign: 'center'
-              }}>
-                <div style={{ fontSize: '48px', marginBottom: '16px' }}>⚠️</div>
-                <h3 style={{ fontSize: '20px', fontWeight: '600', margin: '0 0 8px', color: '#fff' }}>
-                  Wallet Not Whitelisted
-                </h3>
-                <p style={{ color: '#888', margin: 0, maxWidth: '400px', marginInline: 'auto' }}>
-                  Your connected wallet ({shortenAddress(account)}) is not registered as an LP. 
-                  Please contact the fund administrator if you believe this is an error.
-                </p>
-              </div>
+            {/* 净值记录表（深链接到指定记录）*/}
+            {route.name === 'history' && (
+              <NavHistoryTable
+                navHistory={navHistory}
+                record={route.record}
+                findings={integrity.findings}
+                loading={historyPending}
+              />
+            )}
+
+            {route.name === 'documents' && (
+              <>
+                {/* 净值报告 */}
+                {navHistory.length > 0 && (
+                  <ReportsPanel navHistory={navHistory} />
+                )}
+
+                {/* 私有文档（需签名登录）*/}
+                {account && !isWatching && showLP ? (
+                  <PrivateDocuments fund={fund} account={account} />
+                ) : (
+                  <p style={{ color: '#666', fontSize: '14px', margin: 0, textAlign: 'center' }}>
+                    {t('documents.signInHint', {
+                      link: <RouteLink to={ROUTES.investment.path} style={{ color: '#b8a4ff' }}>{t(ROUTES.investment.label)}</RouteLink>
+                    })}
+                  </p>
+                )}
+              </>
+            )}
+
+            {route.name === 'settings' && (
+              <>
+                {/* 钱包、网络与偏好设置 */}
+                <SettingsPanel
+                  fund={fund}
+                  account={account}
+                  walletChainId={walletChainId}
+                  onConnect={() => connectWallet()}
+                  onDisconnect={disconnectWallet}
+                  onSwitchNetwork={() => switchWalletChain().catch((err) => setError(err.message))}
+                  jumpThreshold={jumpThreshold}
+                  onJumpThresholdChange={setJumpThreshold}
+                  locale={locale}
+                  onLocaleChange={setLocale}
+                  alertSettings={alertSettings}
+                  onAlertSettingsChange={updateAlertSettings}
+                />
+
+                {/* 管理后台（仅合约 owner / 管理员可见）*/}
+                {account && isAdmin && (
+                  <AdminConsole fund={fund} onMined={handleAdminMined} />
+                )}
+              </>
             )}
           </>
         )}
@@ -630,19 +1133,27 @@ export default function App() {
         }}>
           <div>
             <p style={{ margin: 0 }}>
-              Contract: <a 
-                href={`${CONFIG.blockExplorer}/address/${CONFIG.contractAddress}`}
-                target="_blank"
-                rel="noopener noreferrer"
-                style={{ color: '#666', fontFamily: 'monospace' }}
-              >
-                {shortenAddress(CONFIG.contractAddress)}
-              </a>
+              {t('app.footerContract', {
+                address: fund.blockExplorer ? (
+                  <a
+                    href={`${fund.blockExplorer}/address/${fund.contractAddress}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    style={{ color: '#666', fontFamily: 'monospace' }}
+                  >
+                    {shortenAddress(fund.contractAddress)}
+                  </a>
+                ) : (
+                  <span style={{ color: '#666', fontFamily: 'monospace' }}>
+                    {shortenAddress(fund.contractAddress)}
+                  </span>
+                )
+              })}
             </p>
           </div>
           <div>
             <p style={{ margin: 0 }}>
-              Network: {CONFIG.chainName}
+              {t('app.footerNetwork', { chain: fund.chainName })}
             </p>
           </div>
         </footer>
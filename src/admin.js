@@ -0,0 +1,78 @@
+import { ethers } from 'ethers';
+import { FUND_ADMIN_ABI, ADMIN_ROLES } from './config';
+import { getContract } from './contract';
+import { PRICE_DECIMALS, fixed, div } from './money';
+import { formatNumber } from './utils';
+import { t } from './i18n';
+
+// ============ 管理员权限 ============
+const roleId = (role) => (role === 'DEFAULT_ADMIN_ROLE' ? ethers.ZeroHash : ethers.id(role));
+
+// 合约 owner 或持有任一管理角色即视为管理员；合约未实现的方法按无权限处理
+export const checkAdmin = async (fund, address) => {
+  const contract = getContract(fund, FUND_ADMIN_ABI);
+  const checks = [
+    contract.owner().then((owner) => owner.toLowerCase() === address.toLowerCase()),
+    ...ADMIN_ROLES.map((role) => contract.hasRole(roleId(role), address))
+  ];
+  const results = await Promise.allSettled(checks);
+  return results.some((r) => r.status === 'fulfilled' && r.value === true);
+};
+
+// ============ 管理操作 ============
+// 每个操作描述如何把表单转换为合约调用，以及确认页上展示的内容；
+// title 和 summary 的标签为文案 key，build 的第二个参数提供份额的小数位数
+export const ADMIN_ACTIONS = {
+  addToWhitelist: {
+    title: 'admin.action.addToWhitelist',
+    build: ({ address }) => ({
+      method: 'addToWhitelist',
+      args: [ethers.getAddress(address)],
+      summary: [['admin.field.lpAddress', ethers.getAddress(address)]]
+    })
+  },
+  removeFromWhitelist: {
+    title: 'admin.action.removeFromWhitelist',
+    build: ({ address }) => ({
+      method: 'removeFromWhitelist',
+      args: [ethers.getAddress(address)],
+      summary: [['admin.field.lpAddress', ethers.getAddress(address)]]
+    })
+  },
+  registerLP: {
+    title: 'admin.action.registerLP',
+    build: ({ address, initialInvestment, investmentDate }) => {
+      const timestamp = Math.floor(Date.parse(`${investmentDate}T00:00:00Z`) / 1000);
+      if (!Number.isFinite(timestamp)) throw new Error(t('admin.invalidDate'));
+      return {
+        method: 'registerLP',
+        args: [ethers.getAddress(address), ethers.parseUnits(String(initialInvestment), PRICE_DECIMALS), timestamp],
+        summary: [
+          ['admin.field.lpAddress', ethers.getAddress(address)],
+          ['admin.field.initialInvestment', `$${initialInvestment}`],
+          ['admin.field.investmentDate', investmentDate]
+        ]
+      };
+    }
+  },
+  updateNAV: {
+    title: 'admin.action.updateNAV',
+    build: ({ totalAssets, totalShares, ipfsHash }, { decimals }) => {
+      const assets = ethers.parseUnits(String(totalAssets), PRICE_DECIMALS);
+      const shares = ethers.parseUnits(String(totalShares), decimals);
+      if (shares === 0n) throw new Error(t('admin.zeroShares'));
+      // 确认页展示据此推算的单位净值，便于发现输入错误
+      const nav = div(fixed(assets), fixed(shares, decimals));
+      return {
+        method: 'updateNAV',
+        args: [assets, shares, ipfsHash.trim()],
+        summary: [
+          ['admin.field.totalAssets', `$${totalAssets}`],
+          ['admin.field.totalShares', totalShares],
+          ['admin.field.impliedNav', `$${formatNumber(nav, 6)}`],
+          ['admin.field.ipfsHash', ipfsHash.trim() || t('admin.none')]
+        ]
+      };
+    }
+  }
+};
@@ -0,0 +1,207 @@
+// ============ 业绩分析 ============
+// 所有指标都基于 navHistory 的 (timestamp, nav) 序列计算。
+// 净值点间隔不固定，因此年化按实际经过的时间（年）而不是按点数计算。
+const SECONDS_PER_YEAR = 365.25 * 24 * 60 * 60;
+
+// 相邻两个净值点之间的区间
+const toPeriods = (series) => {
+  const periods = [];
+  for (let i = 1; i < series.length; i++) {
+    const prev = series[i - 1];
+    const curr = series[i];
+    const dt = (curr.timestamp - prev.timestamp) / SECONDS_PER_YEAR;
+    if (dt <= 0 || prev.nav <= 0 || curr.nav <= 0) continue;
+    periods.push({
+      start: prev.timestamp,
+      end: curr.timestamp,
+      dt,
+      ret: curr.nav / prev.nav - 1,
+      logRet: Math.log(curr.nav / prev.nav)
+    });
+  }
+  return periods;
+};
+
+// 年化收益率（CAGR）
+export const calcCAGR = (series) => {
+  if (series.length < 2) return null;
+  const first = series[0];
+  const last = series[series.length - 1];
+  const years = (last.timestamp - first.timestamp) / SECONDS_PER_YEAR;
+  if (years <= 0 || first.nav <= 0) return null;
+  return Math.pow(last.nav / first.nav, 1 / years) - 1;
+};
+
+// 年化波动率：对数收益按区间长度加权，等价于 σ² = Σ (r - μ·dt)² / dt / (n - 1)
+export const calcVolatility = (periods) => {
+  if (periods.length < 2) return null;
+  const totalTime = periods.reduce((sum, p) => sum + p.dt, 0);
+  const drift = periods.reduce((sum, p) => sum + p.logRet, 0) / totalTime;
+  const variance = periods.reduce((sum, p) => sum + (p.logRet - drift * p.dt) ** 2 / p.dt, 0) / (periods.length - 1);
+  return Math.sqrt(variance);
+};
+
+// 年化下行偏差：只统计低于无风险收益的部分。与 calcVolatility 一样除以 n - 1（样本估计），
+// 使 Sortino 与 Sharpe 的分母口径一致
+export const calcDownsideDeviation = (periods, riskFreeRate) => {
+  if (periods.length < 2) return null;
+  const rfLog = Math.log(1 + riskFreeRate);
+  const sum = periods.reduce((acc, p) => {
+    const shortfall = Math.min(0, p.logRet - rfLog * p.dt);
+    return acc + shortfall ** 2 / p.dt;
+  }, 0);
+  return Math.sqrt(sum / (periods.length - 1));
+};
+
+// 最大回撤及其峰值、谷底日期
+export const calcMaxDrawdown = (series) => {
+  if (series.length < 2) return null;
+  let peak = series[0];
+  let result = { drawdown: 0, peak: series[0].timestamp, trough: series[0].timestamp };
+  series.forEach((point) => {
+    if (point.nav > peak.nav) peak = point;
+    const drawdown = point.nav / peak.nav - 1;
+    if (drawdown < result.drawdown) {
+      result = { drawdown, peak: peak.timestamp, trough: point.timestamp };
+    }
+  });
+  return result;
+};
+
+// 按月、按年统计收益：以每个自然月（UTC）内最后一个净值点为月末净值；
+// 某月没有净值点时该月留空，收益计入下一个有数据的月份
+export const calcCalendarReturns = (series) => {
+  if (series.length < 2) return [];
+  const years = new Map();
+  let prevMonthEnd = series[0];
+  let prevYearEnd = series[0];
+
+  for (let i = 1; i < series.length; i++) {
+    const point = series[i];
+    const next = series[i + 1];
+    const date = new Date(point.timestamp * 1000);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const nextDate = next ? new Date(next.timestamp * 1000) : null;
+
+    if (!years.has(year)) years.set(year, { year, months: Array(12).fill(null), total: null });
+    const row = years.get(year);
+
+    // 本月最后一个点
+    if (!nextDate || nextDate.getUTCFullYear() !== year || nextDate.getUTCMonth() !== month) {
+      row.months[month] = point.nav / prevMonthEnd.nav - 1;
+      prevMonthEnd = point;
+    }
+    // 本年最后一个点
+    if (!nextDate || nextDate.getUTCFullYear() !== year) {
+      row.total = point.nav / prevYearEnd.nav - 1;
+      prevYearEnd = point;
+    }
+  }
+
+  return Array.from(years.values()).sort((a, b) => b.year - a.year);
+};
+
+// 汇总全部指标；riskFreeRate 为年化小数（如 0.04）
+export const calcAnalytics = (series, riskFreeRate = 0) => {
+  const sorted = [...series].sort((a, b) => a.timestamp - b.timestamp);
+  const periods = toPeriods(sorted);
+  if (periods.length === 0) return null;
+
+  const cagr = calcCAGR(sorted);
+  const volatility = calcVolatility(periods);
+  const downside = calcDownsideDeviation(periods, riskFreeRate);
+  const best = periods.reduce((a, b) => (b.ret > a.ret ? b : a));
+  const worst = periods.reduce((a, b) => (b.ret < a.ret ? b : a));
+
+  return {
+    cagr,
+    volatility,
+    sharpe: cagr !== null && volatility ? (cagr - riskFreeRate) / volatility : null,
+    sortino: cagr !== null && downside ? (cagr - riskFreeRate) / downside : null,
+    maxDrawdown: calcMaxDrawdown(sorted),
+    bestPeriod: best,
+    worstPeriod: worst,
+    calendar: calcCalendarReturns(sorted)
+  };
+};
+
+// 回撤序列：每个净值点相对此前最高净值的跌幅
+export const calcDrawdownSeries = (series) => {
+  let peak = -Infinity;
+  return series.map((point) => {
+    peak = Math.max(peak, point.nav);
+    return { timestamp: point.timestamp, drawdown: peak > 0 ? point.nav / peak - 1 : 0 };
+  });
+};
+
+// ============ 基准比较 ============
+// benchmark 为与 series 逐点对齐的基准值（缺失为 null），只使用两者都有值的相邻区间
+const toPairedPeriods = (series, benchmark) => {
+  const periods = [];
+  for (let i = 1; i < series.length; i++) {
+    const prev = series[i - 1];
+    const curr = series[i];
+    const prevBench = benchmark[i - 1];
+    const currBench = benchmark[i];
+    const dt = (curr.timestamp - prev.timestamp) / SECONDS_PER_YEAR;
+    if (dt <= 0 || prev.nav <= 0 || curr.nav <= 0 || !(prevBench > 0) || !(currBench > 0)) continue;
+    periods.push({
+      start: prev.timestamp,
+      end: curr.timestamp,
+      dt,
+      ret: curr.nav / prev.nav - 1,
+      logRet: Math.log(curr.nav / prev.nav),
+      benchRet: currBench / prevBench - 1,
+      benchLogRet: Math.log(currBench / prevBench)
+    });
+  }
+  return periods;
+};
+
+// 年化协方差，估计方式与 calcVolatility 相同（对数收益按区间长度加权）
+const calcCovariance = (periods, x, y) => {
+  const totalTime = periods.reduce((sum, p) => sum + p.dt, 0);
+  const driftX = periods.reduce((sum, p) => sum + x(p), 0) / totalTime;
+  const driftY = periods.reduce((sum, p) => sum + y(p), 0) / totalTime;
+  return periods.reduce((sum, p) => sum + (x(p) - driftX * p.dt) * (y(p) - driftY * p.dt) / p.dt, 0)
+    / (periods.length - 1);
+};
+
+// 上涨/下跌捕获率：基准上涨（下跌）的区间内，基金累计收益与基准累计收益之比
+const calcCapture = (periods, predicate) => {
+  const selected = periods.filter(predicate);
+  if (selected.length === 0) return null;
+  const fund = selected.reduce((acc, p) => acc * (1 + p.ret), 1) - 1;
+  const bench = selected.reduce((acc, p) => acc * (1 + p.benchRet), 1) - 1;
+  return bench === 0 ? null : fund / bench;
+};
+
+// 相对基准的指标：超额收益为两者年化收益之差，跟踪误差为主动对数收益的年化波动率
+export const calcRelativeStats = (series, benchmark) => {
+  const periods = toPairedPeriods(series, benchmark);
+  if (periods.length < 2) return null;
+
+  const years = periods.reduce((sum, p) => sum + p.dt, 0);
+  const annualize = (logTotal) => Math.exp(logTotal / years) - 1;
+  const fundReturn = annualize(periods.reduce((sum, p) => sum + p.logRet, 0));
+  const benchmarkReturn = annualize(periods.reduce((sum, p) => sum + p.benchLogRet, 0));
+
+  const fundVariance = calcCovariance(periods, (p) => p.logRet, (p) => p.logRet);
+  const benchVariance = calcCovariance(periods, (p) => p.benchLogRet, (p) => p.benchLogRet);
+  const covariance = calcCovariance(periods, (p) => p.logRet, (p) => p.benchLogRet);
+  const active = (p) => p.logRet - p.benchLogRet;
+
+  return {
+    start: periods[0].start,
+    end: periods[periods.length - 1].end,
+    fundReturn,
+    benchmarkReturn,
+    excessReturn: fundReturn - benchmarkReturn,
+    trackingError: Math.sqrt(Math.max(0, calcCovariance(periods, active, active))),
+    beta: benchVariance > 0 ? covariance / benchVariance : null,
+    correlation: fundVariance > 0 && benchVariance > 0 ? covariance / Math.sqrt(fundVariance * benchVariance) : null,
+    upCapture: calcCapture(periods, (p) => p.benchRet > 0),
+    downCapture: calcCapture(periods, (p) => p.benchRet < 0)
+  };
+};
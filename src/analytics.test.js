@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { calcAnalytics, calcRelativeStats } from './analytics';
+
+const YEAR = 365.25 * 24 * 60 * 60;
+const series = (navs) => navs.map((nav, i) => ({ timestamp: i * YEAR, nav }));
+
+describe('calcAnalytics', () => {
+  it('uses the same n - 1 denominator for volatility and downside deviation', () => {
+    // 两个区间对数收益 +x、-x：波动率 = x·√2；无风险利率为 0 时下行偏差 = x
+    const x = Math.log(1.1);
+    const result = calcAnalytics(series([1, 1.1, 1]), 0);
+    expect(result.volatility).toBeCloseTo(x * Math.SQRT2, 10);
+    expect(result.sortino).toBeCloseTo(0, 10);
+    const downside = calcAnalytics(series([1, 1.1, 1, 1.1]), 0);
+    // 三个区间 +x、-x、+x：Σ shortfall² = x²，除以 n - 1 = 2
+    expect(downside.sortino).toBeCloseTo(downside.cagr / (x / Math.SQRT2), 10);
+  });
+});
+
+describe('calcRelativeStats', () => {
+  // 基金净值为基准的平方：对数收益恒为基准的两倍
+  const benchmark = [100, 110, 99, 108.9];
+  const fund = series(benchmark.map((value) => (value / 100) ** 2));
+
+  it('measures beta and correlation against the benchmark', () => {
+    const stats = calcRelativeStats(fund, benchmark);
+    expect(stats.beta).toBeCloseTo(2, 10);
+    expect(stats.correlation).toBeCloseTo(1, 10);
+    expect(stats.excessReturn).toBeCloseTo(stats.fundReturn - stats.benchmarkReturn, 12);
+  });
+
+  it('compounds up and down capture over the matching periods', () => {
+    const stats = calcRelativeStats(fund, benchmark);
+    // 上涨区间：基金 1.21² - 1 = 0.4641，基准 1.1² - 1 = 0.21；下跌区间：-19% 对 -10%
+    expect(stats.upCapture).toBeCloseTo(0.4641 / 0.21, 10);
+    expect(stats.downCapture).toBeCloseTo(1.9, 10);
+  });
+
+  it('skips periods where the benchmark is missing', () => {
+    const stats = calcRelativeStats(fund, [100, 110, null, 108.9]);
+    expect(stats).toBeNull();
+    const partial = calcRelativeStats(series([1, 1.21, 0.9801, 1.185921, 1.4349644]), [100, 110, 99, 108.9, null]);
+    expect(partial.end).toBe(3 * YEAR);
+    expect(partial.beta).toBeCloseTo(2, 10);
+  });
+});
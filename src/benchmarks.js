@@ -0,0 +1,171 @@
+import { t } from './i18n';
+
+// ============ 基准指数 ============
+// 基准序列来自用户上传的文件或 BENCHMARK_SOURCES 中的预置文件，解析为按时间升序的
+// [{ timestamp, value }]（timestamp 为秒），上传的序列仅保存在本地浏览器。
+// 支持的格式：
+//   CSV：第一列日期、第二列数值；有表头时按列名识别（date/time 与 close/value/price/nav/index）
+//   JSON：[{ date, close }]、[[timestamp, value]] 或 { name, data: [...] }
+const BENCHMARKS_KEY = 'fund-portal:benchmarks';
+
+const DAY = 24 * 60 * 60;
+
+// 净值记录之后超过该时长没有基准数据时视为缺失（基准每周至少更新一次）
+const MIN_STALE_AFTER = 7 * DAY;
+
+const DATE_COLUMN = /date|time|日期|时间/i;
+const VALUE_COLUMN = /close|value|price|nav|index|收盘|净值|点位/i;
+
+export const loadBenchmarks = () => {
+  try {
+    return JSON.parse(localStorage.getItem(BENCHMARKS_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveBenchmarks = (list) => {
+  try {
+    localStorage.setItem(BENCHMARKS_KEY, JSON.stringify(list));
+  } catch (err) {
+    // 序列较长时可能超出 localStorage 配额，本次会话内仍可使用
+    console.error('Error saving benchmarks:', err);
+  }
+};
+
+// ============ 解析 ============
+// 日期支持 ISO 字符串和 Unix 时间戳（秒或毫秒），返回秒；无法识别时返回 null
+const parseTime = (raw) => {
+  if (typeof raw === 'string') raw = raw.trim();
+  if (raw === '' || raw === null || raw === undefined) return null;
+  const number = Number(raw);
+  if (Number.isFinite(number)) {
+    // 8 位数字视为 YYYYMMDD
+    if (/^\d{8}$/.test(String(raw))) return parseTime(String(raw).replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3'));
+    return Math.floor(number > 1e11 ? number / 1000 : number);
+  }
+  const ms = Date.parse(raw);
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : null;
+};
+
+const parseValue = (raw) => {
+  const value = typeof raw === 'number' ? raw : Number(String(raw ?? '').trim().replace(/,/g, ''));
+  return Number.isFinite(value) ? value : null;
+};
+
+// 按时间排序，同一时间保留最后一条，丢弃非正数值
+const normalizePoints = (points) => {
+  const byTime = new Map();
+  points.forEach((p) => { if (p.value > 0) byTime.set(p.timestamp, p.value); });
+  const result = [...byTime.entries()]
+    .map(([timestamp, value]) => ({ timestamp, value }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+  if (result.length < 2) throw new Error(t('benchmark.noData'));
+  return result;
+};
+
+const splitRow = (line, separator) => line.split(separator).map((cell) => cell.trim().replace(/^"(.*)"$/, '$1'));
+
+const parseCsv = (text) => {
+  const lines = text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  if (lines.length === 0) throw new Error(t('benchmark.noData'));
+  const separator = ['\t', ';', ','].find((s) => lines[0].includes(s)) || ',';
+
+  let rows = lines.map((line) => splitRow(line, separator));
+  let dateColumn = 0;
+  let valueColumn = 1;
+  let firstRow = 1;
+  const header = rows[0];
+  if (parseValue(header[1]) === null) {
+    const dateIndex = header.findIndex((cell) => DATE_COLUMN.test(cell));
+    const valueIndex = header.findIndex((cell, i) => i !== dateIndex && VALUE_COLUMN.test(cell));
+    if (dateIndex >= 0) dateColumn = dateIndex;
+    if (valueIndex >= 0) valueColumn = valueIndex;
+    rows = rows.slice(1);
+    firstRow = 2;
+  }
+
+  return rows.map((row, i) => {
+    const timestamp = parseTime(row[dateColumn]);
+    const value = parseValue(row[valueColumn]);
+    if (timestamp === null || value === null) {
+      throw new Error(t('benchmark.invalidRow', { row: i + firstRow, content: row.join(separator) }));
+    }
+    return { timestamp, value };
+  });
+};
+
+const parseJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(t('benchmark.invalidJSON'));
+  }
+  const items = Array.isArray(data) ? data : data?.data;
+  if (!Array.isArray(items)) throw new Error(t('benchmark.invalidJSON'));
+
+  return items.map((item, i) => {
+    let timestamp;
+    let value;
+    if (Array.isArray(item)) {
+      timestamp = parseTime(item[0]);
+      value = parseValue(item[1]);
+    } else if (item && typeof item === 'object') {
+      const keys = Object.keys(item);
+      const dateKey = keys.find((key) => DATE_COLUMN.test(key));
+      const valueKey = keys.find((key) => key !== dateKey && VALUE_COLUMN.test(key));
+      timestamp = dateKey ? parseTime(item[dateKey]) : null;
+      value = valueKey ? parseValue(item[valueKey]) : null;
+    }
+    if (timestamp === null || timestamp === undefined || value === null || value === undefined) {
+      throw new Error(t('benchmark.invalidRow', { row: i + 1, content: JSON.stringify(item) }));
+    }
+    return { timestamp, value };
+  });
+};
+
+// 解析上传或下载的基准文件，按扩展名或内容判断格式
+export const parseBenchmarkFile = (fileName, text) => {
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+  return normalizePoints(isJson ? parseJson(text) : parseCsv(text));
+};
+
+// 下载预置的基准文件
+export const fetchBenchmark = async (source) => {
+  const response = await fetch(source.url);
+  if (!response.ok) throw new Error(t('benchmark.fetchFailed', { status: response.status, name: source.name }));
+  const text = await response.text();
+  return { name: source.name, source: source.url, points: parseBenchmarkFile(source.url, text) };
+};
+
+// ============ 对齐 ============
+// 相邻数据点间隔的中位数，用于判断基准数据是否过期
+const medianGap = (points) => {
+  const gaps = points.slice(1).map((p, i) => p.timestamp - points[i].timestamp).sort((a, b) => a - b);
+  return gaps[Math.floor(gaps.length / 2)] || 0;
+};
+
+// 将基准对齐到净值记录的时间点：取该时间点及之前最近的基准值（as-of），
+// 早于基准第一条数据或距最近数据过久时为 null
+export const alignBenchmark = (points, navHistory) => {
+  const staleAfter = Math.max(MIN_STALE_AFTER, medianGap(points) * 2);
+  let j = -1;
+  return navHistory.map((record) => {
+    while (j + 1 < points.length && points[j + 1].timestamp <= record.timestamp) j++;
+    if (j < 0 || record.timestamp - points[j].timestamp > staleAfter) return null;
+    return points[j].value;
+  });
+};
+
+// 将对齐后的基准缩放到与基金净值同一起点：第一个有值的时间点上等于基金当时的净值
+// （基准覆盖基金成立日时即为成立时的净值）
+export const rebaseBenchmark = (aligned, navHistory) => {
+  const first = aligned.findIndex((value) => value !== null);
+  if (first < 0) return aligned;
+  const factor = navHistory[first].nav / aligned[first];
+  return aligned.map((value) => (value === null ? null : value * factor));
+};
+
+// 图表和列表中基准曲线的颜色，按添加顺序循环使用
+export const BENCHMARK_COLORS = ['#4dabf7', '#ff8787', '#ffd43b', '#da77f2', '#69db7c'];
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { parseBenchmarkFile, alignBenchmark, rebaseBenchmark } from './benchmarks';
+
+const DAY = 24 * 60 * 60;
+const JAN_1 = Date.parse('2024-01-01') / 1000;
+
+describe('parseBenchmarkFile', () => {
+  it('reads a headerless CSV as date, value', () => {
+    expect(parseBenchmarkFile('spx.csv', '2024-01-02,4742.83\n2024-01-01,4769.83\n')).toEqual([
+      { timestamp: JAN_1, value: 4769.83 },
+      { timestamp: JAN_1 + DAY, value: 4742.83 }
+    ]);
+  });
+
+  it('detects the header and picks columns by name', () => {
+    const text = 'Open;Close;Date\n1;"1,010.5";20240101\n2;1020;20240102\n';
+    expect(parseBenchmarkFile('index.csv', text)).toEqual([
+      { timestamp: JAN_1, value: 1010.5 },
+      { timestamp: JAN_1 + DAY, value: 1020 }
+    ]);
+  });
+
+  it('rejects rows it cannot parse', () => {
+    expect(() => parseBenchmarkFile('index.csv', 'date,close\n2024-01-01,100\nnot a date,101\n')).toThrow();
+  });
+
+  it('reads JSON pairs and objects', () => {
+    const expected = [{ timestamp: JAN_1, value: 100 }, { timestamp: JAN_1 + DAY, value: 101 }];
+    expect(parseBenchmarkFile('a.json', JSON.stringify([[JAN_1 * 1000, 100], [JAN_1 + DAY, 101]]))).toEqual(expected);
+    expect(parseBenchmarkFile('b.json', JSON.stringify({ data: [{ date: '2024-01-01', close: 100 }, { date: '2024-01-02', close: 101 }] })))
+      .toEqual(expected);
+  });
+});
+
+describe('alignBenchmark', () => {
+  // 每周一条数据，过期阈值为两倍中位间隔（14 天）
+  const points = [0, 7, 14, 21].map((d, i) => ({ timestamp: JAN_1 + d * DAY, value: 100 + i }));
+  const at = (days, nav = 1) => ({ timestamp: JAN_1 + days * DAY, nav });
+
+  it('takes the latest value at or before each NAV record', () => {
+    expect(alignBenchmark(points, [at(-1), at(0), at(6), at(7), at(20)])).toEqual([null, 100, 100, 101, 102]);
+  });
+
+  it('leaves records after a stale gap empty', () => {
+    expect(alignBenchmark(points, [at(21), at(35), at(36)])).toEqual([103, 103, null]);
+  });
+
+  it('rebases to the fund NAV at the first aligned point', () => {
+    const navHistory = [at(-1, 1), at(0, 1.5), at(7, 1.6)];
+    const aligned = alignBenchmark(points, navHistory);
+    expect(rebaseBenchmark(aligned, navHistory)).toEqual([null, 1.5, 1.515]);
+  });
+});
@@ -0,0 +1,283 @@
+import React, { useState } from 'react';
+import { FUND_ADMIN_ABI } from '../config';
+import { getWritableContract } from '../contract';
+import { ADMIN_ACTIONS } from '../admin';
+import { readDecimals } from '../money';
+import { shortenAddress } from '../utils';
+import { t } from '../i18n';
+
+const STATUS_STYLES = {
+  pending: { text: 'admin.status.pending', color: '#ffc850' },
+  mined: { text: 'admin.status.mined', color: '#00c896' },
+  failed: { text: 'admin.status.failed', color: '#ff6b6b' }
+};
+
+const inputStyle = {
+  padding: '10px 12px',
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.1)',
+  borderRadius: '8px',
+  color: '#fff',
+  fontSize: '13px',
+  fontFamily: 'inherit',
+  colorScheme: 'dark',
+  minWidth: 0
+};
+
+const buttonStyle = {
+  padding: '10px 16px',
+  background: 'rgba(120, 80, 255, 0.15)',
+  border: '1px solid rgba(120, 80, 255, 0.3)',
+  borderRadius: '8px',
+  color: '#fff',
+  cursor: 'pointer',
+  fontSize: '13px',
+  fontFamily: 'inherit'
+};
+
+const Section = ({ title, children }) => (
+  <div style={{ marginBottom: '24px' }}>
+    <p style={{ color: '#888', fontSize: '13px', margin: '0 0 8px', textTransform: 'uppercase', letterSpacing: '1px' }}>
+      {title}
+    </p>
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>{children}</div>
+  </div>
+);
+
+// 读取错误中对用户有意义的部分
+const errorMessage = (err) => err?.shortMessage || err?.reason || err?.message || t('admin.txFailed');
+
+// ============ 管理后台 ============
+export default function AdminConsole({ fund, onMined }) {
+  const [form, setForm] = useState({
+    whitelistAddress: '',
+    lpAddress: '',
+    initialInvestment: '',
+    investmentDate: new Date().toISOString().slice(0, 10),
+    totalAssets: '',
+    totalShares: '',
+    ipfsHash: ''
+  });
+  const [preview, setPreview] = useState(null);
+  const [transactions, setTransactions] = useState([]);
+
+  const update = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+
+  const updateTransaction = (id, changes) => {
+    setTransactions((prev) => prev.map((tx) => (tx.id === id ? { ...tx, ...changes } : tx)));
+  };
+
+  // 生成确认预览，并预估 gas 以提前发现会回滚的调用
+  const requestAction = async (actionKey, values) => {
+    const action = ADMIN_ACTIONS[actionKey];
+    let call;
+    try {
+      call = action.build(values, { decimals: await readDecimals(fund) });
+    } catch (err) {
+      setPreview({ actionKey, title: action.title, error: errorMessage(err) });
+      return;
+    }
+    setPreview({ actionKey, title: action.title, call, estimating: true });
+    try {
+      const contract = await getWritableContract(fund, FUND_ADMIN_ABI);
+      const gas = await contract[call.method].estimateGas(...call.args);
+      setPreview({ actionKey, title: action.title, call, gas });
+    } catch (err) {
+      setPreview({ actionKey, title: action.title, call, error: errorMessage(err) });
+    }
+  };
+
+  const confirm = async () => {
+    const { actionKey, title, call } = preview;
+    setPreview(null);
+    const id = Date.now();
+    setTransactions((prev) => [{ id, title, status: 'pending' }, ...prev]);
+
+    try {
+      const contract = await getWritableContract(fund, FUND_ADMIN_ABI);
+      const tx = await contract[call.method](...call.args);
+      updateTransaction(id, { hash: tx.hash });
+      const receipt = await tx.wait();
+      updateTransaction(id, { status: 'mined', blockNumber: receipt.blockNumber });
+      onMined?.(actionKey);
+    } catch (err) {
+      console.error(`Error sending ${call.method}:`, err);
+      updateTransaction(id, { status: 'failed', error: errorMessage(err) });
+    }
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(255, 200, 80, 0.04)',
+      borderRadius: '20px',
+      padding: '28px',
+      border: '1px solid rgba(255, 200, 80, 0.2)',
+      marginBottom: '32px'
+    }}>
+      <h2 style={{ fontSize: '18px', fontWeight: '600', margin: '0 0 24px', color: '#fff' }}>
+        {t('admin.title')}
+      </h2>
+
+      <Section title={t('admin.whitelist')}>
+        <input
+          placeholder={t('admin.lpAddressPlaceholder')}
+          value={form.whitelistAddress}
+          onChange={update('whitelistAddress')}
+          style={{ ...inputStyle, flex: '1 1 320px', fontFamily: 'monospace' }}
+        />
+        <button onClick={() => requestAction('addToWhitelist', { address: form.whitelistAddress })} style={buttonStyle}>
+          {t('admin.add')}
+        </button>
+        <button onClick={() => requestAction('removeFromWhitelist', { address: form.whitelistAddress })} style={buttonStyle}>
+          {t('common.remove')}
+        </button>
+      </Section>
+
+      <Section title={t('admin.registerLP')}>
+        <input
+          placeholder={t('admin.lpAddressPlaceholder')}
+          value={form.lpAddress}
+          onChange={update('lpAddress')}
+          style={{ ...inputStyle, flex: '1 1 320px', fontFamily: 'monospace' }}
+        />
+        <input
+          type="number"
+          placeholder={t('admin.initialInvestmentPlaceholder')}
+          value={form.initialInvestment}
+          onChange={update('initialInvestment')}
+          style={{ ...inputStyle, flex: '0 1 200px' }}
+        />
+        <input type="date" value={form.investmentDate} onChange={update('investmentDate')} style={inputStyle} />
+        <button
+          onClick={() => requestAction('registerLP', {
+            address: form.lpAddress,
+            initialInvestment: form.initialInvestment,
+            investmentDate: form.investmentDate
+          })}
+          style={buttonStyle}
+        >
+          {t('admin.register')}
+        </button>
+      </Section>
+
+      <Section title={t('admin.publishNAV')}>
+        <input
+          type="number"
+          placeholder={t('admin.totalAssetsPlaceholder')}
+          value={form.totalAssets}
+          onChange={update('totalAssets')}
+          style={{ ...inputStyle, flex: '0 1 200px' }}
+        />
+        <input
+          type="number"
+          placeholder={t('admin.totalSharesPlaceholder')}
+          value={form.totalShares}
+          onChange={update('totalShares')}
+          style={{ ...inputStyle, flex: '0 1 200px' }}
+        />
+        <input
+          placeholder={t('admin.ipfsPlaceholder')}
+          value={form.ipfsHash}
+          onChange={update('ipfsHash')}
+          style={{ ...inputStyle, flex: '1 1 280px', fontFamily: 'monospace' }}
+        />
+        <button
+          onClick={() => requestAction('updateNAV', {
+            totalAssets: form.totalAssets,
+            totalShares: form.totalShares,
+            ipfsHash: form.ipfsHash
+          })}
+          style={buttonStyle}
+        >
+          {t('admin.publish')}
+        </button>
+      </Section>
+
+      {/* 交易确认预览 */}
+      {preview && (
+        <div style={{
+          padding: '20px',
+          background: 'rgba(0,0,0,0.3)',
+          border: '1px solid rgba(255,255,255,0.1)',
+          borderRadius: '12px',
+          marginBottom: '24px'
+        }}>
+          <p style={{ color: '#fff', fontWeight: '600', margin: '0 0 12px' }}>{t('admin.confirmTitle', { title: t(preview.title) })}</p>
+          {preview.call && (
+            <table style={{ fontSize: '13px', color: '#ccc', marginBottom: '12px' }}>
+              <tbody>
+                <tr>
+                  <td style={{ color: '#888', paddingRight: '24px' }}>{t('admin.contract')}</td>
+                  <td style={{ fontFamily: 'monospace' }}>{fund.contractAddress} ({fund.chainName})</td>
+                </tr>
+                <tr>
+                  <td style={{ color: '#888', paddingRight: '24px' }}>{t('admin.function')}</td>
+                  <td style={{ fontFamily: 'monospace' }}>{preview.call.method}</td>
+                </tr>
+                {preview.call.summary.map(([label, value]) => (
+                  <tr key={label}>
+                    <td style={{ color: '#888', paddingRight: '24px' }}>{t(label)}</td>
+                    <td style={{ fontFamily: 'monospace' }}>{value}</td>
+                  </tr>
+                ))}
+                <tr>
+                  <td style={{ color: '#888', paddingRight: '24px' }}>{t('admin.estimatedGas')}</td>
+                  <td>{preview.estimating ? t('admin.estimating') : preview.gas?.toString() ?? '-'}</td>
+                </tr>
+              </tbody>
+            </table>
+          )}
+          {preview.error && (
+            <p style={{ color: '#ff6b6b', fontSize: '13px', margin: '0 0 12px' }}>{preview.error}</p>
+          )}
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button
+              onClick={confirm}
+              disabled={!preview.call || preview.estimating || Boolean(preview.error)}
+              style={buttonStyle}
+            >
+              {t('admin.confirm')}
+            </button>
+            <button
+              onClick={() => setPreview(null)}
+              style={{ ...buttonStyle, background: 'rgba(255,255,255,0.05)', border: '1px solid rgba(255,255,255,0.1)' }}
+            >
+              {t('common.cancel')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* 交易状态 */}
+      {transactions.length > 0 && (
+        <div>
+          {transactions.map((tx) => (
+            <div
+              key={tx.id}
+              style={{ display: 'flex', gap: '16px', alignItems: 'center', fontSize: '13px', padding: '6px 0' }}
+            >
+              <span style={{ color: STATUS_STYLES[tx.status].color, minWidth: '64px' }}>{t(STATUS_STYLES[tx.status].text)}</span>
+              <span style={{ color: '#ccc' }}>{t(tx.title)}</span>
+              {tx.hash && (
+                fund.blockExplorer ? (
+                  <a
+                    href={`${fund.blockExplorer}/tx/${tx.hash}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    style={{ color: '#888', fontFamily: 'monospace' }}
+                  >
+                    {shortenAddress(tx.hash)}
+                  </a>
+                ) : (
+                  <span style={{ color: '#888', fontFamily: 'monospace' }}>{shortenAddress(tx.hash)}</span>
+                )
+              )}
+              {tx.blockNumber && <span style={{ color: '#666' }}>{t('admin.block', { block: tx.blockNumber })}</span>}
+              {tx.error && <span style={{ color: '#ff6b6b' }}>{tx.error}</span>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+import React, { useState, useMemo } from 'react';
+import { DEFAULT_RISK_FREE_RATE } from '../config';
+import { calcAnalytics } from '../analytics';
+import { formatNumber, formatDate, formatPercent, percentColor } from '../utils';
+import { getLocale, t } from '../i18n';
+import Stat from './Stat';
+
+// 月份简称随当前语言变化
+const monthNames = () => {
+  const format = new Intl.DateTimeFormat(getLocale(), { month: 'short', timeZone: 'UTC' });
+  return Array.from({ length: 12 }, (_, i) => format.format(Date.UTC(2000, i, 1)));
+};
+
+// ============ 业绩分析面板 ============
+export default function AnalyticsPanel({ navHistory }) {
+  const [riskFreeRate, setRiskFreeRate] = useState(DEFAULT_RISK_FREE_RATE * 100);
+
+  const stats = useMemo(
+    () => calcAnalytics(navHistory, (Number(riskFreeRate) || 0) / 100),
+    [navHistory, riskFreeRate]
+  );
+
+  if (!stats) return null;
+
+  const cellStyle = { padding: '8px 6px', textAlign: 'right', fontSize: '12px', whiteSpace: 'nowrap' };
+
+  return (
+    <div style={{
+      background: 'rgba(255,255,255,0.02)',
+      borderRadius: '20px',
+      padding: '28px',
+      border: '1px solid rgba(255,255,255,0.06)',
+      marginBottom: '32px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '24px' }}>
+        <h2 style={{ fontSize: '18px', fontWeight: '600', margin: 0, color: '#fff' }}>
+          {t('analytics.title')}
+        </h2>
+        <label style={{ color: '#888', fontSize: '13px' }}>
+          {t('analytics.riskFreeRate', {
+            input: (
+              <input
+                type="number"
+                step="0.1"
+                value={riskFreeRate}
+                onChange={(e) => setRiskFreeRate(e.target.value)}
+                style={{
+                  width: '64px',
+                  padding: '6px 8px',
+                  background: 'rgba(255,255,255,0.05)',
+                  border: '1px solid rgba(255,255,255,0.1)',
+                  borderRadius: '8px',
+                  color: '#fff',
+                  fontFamily: 'inherit'
+                }}
+              />
+            )
+          })}
+        </label>
+      </div>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+        gap: '24px',
+        marginBottom: '32px'
+      }}>
+        <Stat label={t('analytics.cagr')} value={formatPercent(stats.cagr)} color={percentColor(stats.cagr)} />
+        <Stat label={t('analytics.volatility')} value={formatPercent(stats.volatility, false)} />
+        <Stat label={t('analytics.sharpe')} value={stats.sharpe === null ? '-' : formatNumber(stats.sharpe)} />
+        <Stat label={t('analytics.sortino')} value={stats.sortino === null ? '-' : formatNumber(stats.sortino)} />
+        <Stat
+          label={t('analytics.maxDrawdown')}
+          value={formatPercent(stats.maxDrawdown.drawdown)}
+          color={stats.maxDrawdown.drawdown < 0 ? '#ff6b6b' : '#fff'}
+          sub={stats.maxDrawdown.drawdown < 0
+            ? t('common.dateRange', { start: formatDate(stats.maxDrawdown.peak), end: formatDate(stats.maxDrawdown.trough) })
+            : null}
+        />
+        <Stat
+          label={t('analytics.bestPeriod')}
+          value={formatPercent(stats.bestPeriod.ret)}
+          color={percentColor(stats.bestPeriod.ret)}
+          sub={t('common.dateRange', { start: formatDate(stats.bestPeriod.start), end: formatDate(stats.bestPeriod.end) })}
+        />
+        <Stat
+          label={t('analytics.worstPeriod')}
+          value={formatPercent(stats.worstPeriod.ret)}
+          color={percentColor(stats.worstPeriod.ret)}
+          sub={t('common.dateRange', { start: formatDate(stats.worstPeriod.start), end: formatDate(stats.worstPeriod.end) })}
+        />
+      </div>
+
+      {stats.calendar.length > 0 && (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', color: '#ccc' }}>
+            <thead>
+              <tr style={{ color: '#666', borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
+                <th style={{ ...cellStyle, textAlign: 'left' }}>{t('analytics.year')}</th>
+                {monthNames().map((m) => <th key={m} style={cellStyle}>{m}</th>)}
+                <th style={cellStyle}>{t('analytics.year')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.calendar.map((row) => (
+                <tr key={row.year} style={{ borderBottom: '1px solid rgba(255,255,255,0.03)' }}>
+                  <td style={{ ...cellStyle, textAlign: 'left', color: '#fff' }}>{row.year}</td>
+                  {row.months.map((value, i) => (
+                    <td key={i} style={{ ...cellStyle, color: percentColor(value) }}>{formatPercent(value)}</td>
+                  ))}
+                  <td style={{ ...cellStyle, fontWeight: '600', color: percentColor(row.total) }}>
+                    {formatPercent(row.total)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p style={{ color: '#555', fontSize: '12px', margin: '12px 0 0' }}>
+            {t('analytics.calendarNote')}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
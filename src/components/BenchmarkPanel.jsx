@@ -0,0 +1,153 @@
+import React, { useMemo } from 'react';
+import { BENCHMARK_SOURCES } from '../config';
+import { calcRelativeStats } from '../analytics';
+import { formatNumber, formatDate, formatPercent, percentColor } from '../utils';
+import { t } from '../i18n';
+
+const formatRatio = (value) => (value === null || !isFinite(value) ? '-' : formatNumber(value));
+
+const buttonStyle = {
+  padding: '8px 14px',
+  background: 'rgba(120, 80, 255, 0.15)',
+  border: '1px solid rgba(120, 80, 255, 0.3)',
+  borderRadius: '8px',
+  color: '#fff',
+  cursor: 'pointer',
+  fontSize: '13px',
+  fontFamily: 'inherit'
+};
+
+// ============ 基准比较 ============
+export default function BenchmarkPanel({ navHistory, benchmarks }) {
+  const { series, loading, error, addFiles, addSource, remove } = benchmarks;
+
+  const rows = useMemo(
+    () => series.map((b) => ({ ...b, stats: calcRelativeStats(navHistory, b.values) })),
+    [navHistory, series]
+  );
+
+  const handleFiles = (e) => {
+    if (e.target.files.length > 0) addFiles(e.target.files);
+    // 允许再次选择同一文件
+    e.target.value = '';
+  };
+
+  const cellStyle = { padding: '10px 8px', textAlign: 'right', fontSize: '13px', whiteSpace: 'nowrap' };
+
+  return (
+    <div style={{
+      background: 'rgba(255,255,255,0.02)',
+      borderRadius: '20px',
+      padding: '28px',
+      border: '1px solid rgba(255,255,255,0.06)',
+      marginBottom: '32px'
+    }}>
+      <div style={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        gap: '12px',
+        marginBottom: '24px'
+      }}>
+        <h2 style={{ fontSize: '18px', fontWeight: '600', margin: 0, color: '#fff' }}>
+          {t('benchmark.title')}
+        </h2>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+          {BENCHMARK_SOURCES.map((source) => (
+            <button
+              key={source.url}
+              onClick={() => addSource(source)}
+              disabled={loading}
+              style={{ ...buttonStyle, opacity: loading ? 0.5 : 1 }}
+            >
+              {t('benchmark.addSource', { name: source.name })}
+            </button>
+          ))}
+          <label style={{ ...buttonStyle, opacity: loading ? 0.5 : 1 }}>
+            {t('benchmark.upload')}
+            <input
+              type="file"
+              accept=".csv,.json,.txt,text/csv,application/json"
+              multiple
+              disabled={loading}
+              onChange={handleFiles}
+              style={{ display: 'none' }}
+            />
+          </label>
+        </div>
+      </div>
+
+      {error && <p style={{ color: '#ff6b6b', fontSize: '13px', margin: '0 0 16px' }}>{error}</p>}
+
+      {rows.length === 0 ? (
+        <p style={{ color: '#666', fontSize: '13px', margin: 0 }}>{t('benchmark.empty')}</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', color: '#ccc' }}>
+            <thead>
+              <tr style={{ color: '#666', borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
+                <th style={{ ...cellStyle, textAlign: 'left' }}>{t('benchmark.name')}</th>
+                <th style={cellStyle}>{t('benchmark.fundReturn')}</th>
+                <th style={cellStyle}>{t('benchmark.benchmarkReturn')}</th>
+                <th style={cellStyle}>{t('benchmark.excessReturn')}</th>
+                <th style={cellStyle}>{t('benchmark.trackingError')}</th>
+                <th style={cellStyle}>{t('benchmark.beta')}</th>
+                <th style={cellStyle}>{t('benchmark.correlation')}</th>
+                <th style={cellStyle}>{t('benchmark.upCapture')}</th>
+                <th style={cellStyle}>{t('benchmark.downCapture')}</th>
+                <th style={cellStyle} />
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ name, color, start, end, stats }) => (
+                <tr key={name} style={{ borderBottom: '1px solid rgba(255,255,255,0.03)' }}>
+                  <td style={{ ...cellStyle, textAlign: 'left' }}>
+                    <span style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#fff' }}>
+                      <span style={{ width: '14px', height: '0', borderTop: `2px dashed ${color}` }} />
+                      {name}
+                    </span>
+                    <div style={{ color: '#555', fontSize: '12px', marginTop: '2px' }}>
+                      {stats
+                        ? t('common.dateRange', { start: formatDate(stats.start), end: formatDate(stats.end) })
+                        : t('benchmark.noOverlap', {
+                          range: t('common.dateRange', { start: formatDate(start), end: formatDate(end) })
+                        })}
+                    </div>
+                  </td>
+                  {stats ? (
+                    <>
+                      <td style={{ ...cellStyle, color: percentColor(stats.fundReturn) }}>{formatPercent(stats.fundReturn)}</td>
+                      <td style={{ ...cellStyle, color: percentColor(stats.benchmarkReturn) }}>{formatPercent(stats.benchmarkReturn)}</td>
+                      <td style={{ ...cellStyle, fontWeight: '600', color: percentColor(stats.excessReturn) }}>
+                        {formatPercent(stats.excessReturn)}
+                      </td>
+                      <td style={cellStyle}>{formatPercent(stats.trackingError, false)}</td>
+                      <td style={cellStyle}>{formatRatio(stats.beta)}</td>
+                      <td style={cellStyle}>{formatRatio(stats.correlation)}</td>
+                      <td style={cellStyle}>{formatPercent(stats.upCapture, false)}</td>
+                      <td style={cellStyle}>{formatPercent(stats.downCapture, false)}</td>
+                    </>
+                  ) : (
+                    <td colSpan={8} style={{ ...cellStyle, color: '#666' }}>-</td>
+                  )}
+                  <td style={cellStyle}>
+                    <button
+                      onClick={() => remove(name)}
+                      style={{ background: 'none', border: 'none', color: '#888', cursor: 'pointer', fontSize: '12px' }}
+                    >
+                      {t('common.remove')}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p style={{ color: '#555', fontSize: '12px', margin: '12px 0 0' }}>
+            {t('benchmark.note')}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
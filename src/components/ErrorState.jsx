@@ -0,0 +1,57 @@
+import React from 'react';
+import { RPC_ERROR_KINDS } from '../rpc';
+import { t } from '../i18n';
+
+const KIND_STYLES = {
+  network: { icon: '📡', color: '#ffc850' },
+  rateLimited: { icon: '⏱', color: '#ffc850' },
+  wrongChain: { icon: '⛓', color: '#ff6b6b' },
+  notDeployed: { icon: '∅', color: '#ff6b6b' },
+  unknown: { icon: '⚠', color: '#ff6b6b' }
+};
+
+// ============ 读取失败提示 ============
+// 按错误类别显示；subject 说明哪部分数据读取失败，其余内容照常显示
+export default function ErrorState({ kind, subject, onRetry }) {
+  const { title, message } = RPC_ERROR_KINDS[kind] || RPC_ERROR_KINDS.unknown;
+  const { icon, color } = KIND_STYLES[kind] || KIND_STYLES.unknown;
+
+  return (
+    <div style={{
+      display: 'flex',
+      alignItems: 'center',
+      gap: '16px',
+      padding: '16px 20px',
+      background: 'rgba(255,255,255,0.02)',
+      border: `1px solid ${color}33`,
+      borderLeft: `3px solid ${color}`,
+      borderRadius: '12px',
+      marginBottom: '24px'
+    }}>
+      <span style={{ fontSize: '20px', color }}>{icon}</span>
+      <div style={{ flex: 1 }}>
+        <p style={{ color, fontSize: '14px', fontWeight: '600', margin: '0 0 4px' }}>
+          {subject ? t('error.partial', { title: t(title), subject }) : t(title)}
+        </p>
+        <p style={{ color: '#888', fontSize: '13px', margin: 0 }}>{t(message)}</p>
+      </div>
+      {onRetry && (
+        <button
+          onClick={onRetry}
+          style={{
+            padding: '8px 16px',
+            background: 'rgba(255,255,255,0.05)',
+            border: '1px solid rgba(255,255,255,0.1)',
+            borderRadius: '8px',
+            color: '#ccc',
+            cursor: 'pointer',
+            fontSize: '13px',
+            fontFamily: 'inherit'
+          }}
+        >
+          {t('common.retry')}
+        </button>
+      )}
+    </div>
+  );
+}
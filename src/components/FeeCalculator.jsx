@@ -0,0 +1,227 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { ComposedChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import {
+  CRYSTALLIZATION_FREQUENCIES, loadFeeSettings, saveFeeSettings, resetFeeSettings, simulateFees
+} from '../fees';
+import { formatNumber, formatUSD, formatDate, formatPercent, percentColor } from '../utils';
+import { toNumber } from '../money';
+import { t } from '../i18n';
+import Stat from './Stat';
+
+const inputStyle = {
+  width: '72px',
+  padding: '6px 8px',
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.1)',
+  borderRadius: '8px',
+  color: '#fff',
+  fontSize: '13px',
+  fontFamily: 'inherit'
+};
+
+const SERIES_LABELS = {
+  gross: 'fees.grossReturn',
+  net: 'fees.netReturn',
+  highWaterMark: 'fees.highWaterMark'
+};
+
+const Field = ({ label, children }) => (
+  <label style={{ display: 'flex', flexDirection: 'column', gap: '6px', color: '#888', fontSize: '13px' }}>
+    {label}
+    <span style={{ color: '#ccc' }}>{children}</span>
+  </label>
+);
+
+// ============ 费用与高水位计算器 ============
+export default function FeeCalculator({ fund, navHistory, lpData }) {
+  const [settings, setSettings] = useState(() => loadFeeSettings(fund));
+
+  useEffect(() => setSettings(loadFeeSettings(fund)), [fund]);
+
+  const update = (changes) => {
+    const next = { ...settings, ...changes };
+    saveFeeSettings(fund, next);
+    setSettings(next);
+  };
+
+  const result = useMemo(() => simulateFees(
+    navHistory,
+    { timestamp: lpData.investmentDate, amount: toNumber(lpData.initialInvestment) },
+    settings
+  ), [navHistory, lpData, settings]);
+
+  return (
+    <div style={{
+      background: 'rgba(255,255,255,0.02)',
+      borderRadius: '20px',
+      padding: '28px',
+      border: '1px solid rgba(255,255,255,0.06)',
+      marginBottom: '32px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '24px' }}>
+        <h2 style={{ fontSize: '18px', fontWeight: '600', margin: 0, color: '#fff' }}>
+          {t('fees.title')}
+        </h2>
+        <button
+          onClick={() => setSettings(resetFeeSettings(fund))}
+          style={{ background: 'none', border: 'none', color: '#888', cursor: 'pointer', fontSize: '13px' }}
+        >
+          {t('fees.reset')}
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '20px 32px', marginBottom: '32px' }}>
+        <Field label={t('fees.managementFee')}>
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            value={settings.managementFee}
+            onChange={(e) => update({ managementFee: e.target.value })}
+            style={inputStyle}
+          />{' '}{t('fees.perYear')}
+        </Field>
+        <Field label={t('fees.performanceFee')}>
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={settings.performanceFee}
+            onChange={(e) => update({ performanceFee: e.target.value })}
+            style={inputStyle}
+          />{' '}%
+        </Field>
+        <Field label={t('fees.hurdle')}>
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={settings.hurdle}
+            onChange={(e) => update({ hurdle: e.target.value })}
+            style={inputStyle}
+          />{' '}{t('fees.perYear')}
+        </Field>
+        <Field label={t('fees.crystallization')}>
+          <select
+            value={settings.crystallization}
+            onChange={(e) => update({ crystallization: e.target.value })}
+            style={{ ...inputStyle, width: 'auto', cursor: 'pointer' }}
+          >
+            {CRYSTALLIZATION_FREQUENCIES.map((frequency) => (
+              <option key={frequency} value={frequency} style={{ background: '#1a1a2e' }}>
+                {t(`fees.frequency.${frequency}`)}
+              </option>
+            ))}
+          </select>
+        </Field>
+        <Field label={t('fees.highWaterMark')}>
+          <span style={{ display: 'inline-flex', alignItems: 'center', gap: '8px', padding: '6px 0' }}>
+            <input
+              type="checkbox"
+              checked={settings.highWaterMark}
+              onChange={(e) => update({ highWaterMark: e.target.checked })}
+            />
+            {t('fees.applyHighWaterMark')}
+          </span>
+        </Field>
+      </div>
+
+      {!result ? (
+        <p style={{ color: '#666', fontSize: '13px', margin: 0 }}>{t('fees.notEnoughData')}</p>
+      ) : (
+        <>
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))',
+            gap: '24px',
+            marginBottom: '32px'
+          }}>
+            <Stat
+              label={t('fees.grossReturn')}
+              value={formatPercent(result.grossReturn)}
+              color={percentColor(result.grossReturn)}
+              sub={formatUSD(result.grossValue)}
+            />
+            <Stat
+              label={t('fees.netReturn')}
+              value={formatPercent(result.netReturn)}
+              color={percentColor(result.netReturn)}
+              sub={formatUSD(result.netValue)}
+            />
+            <Stat
+              label={t('fees.totalFees')}
+              value={formatUSD(result.totalFees)}
+              sub={t('fees.feeDrag', { drag: formatPercent(result.feeDrag, false) })}
+            />
+            <Stat
+              label={t('fees.managementFees')}
+              value={formatUSD(result.managementFees)}
+            />
+            <Stat
+              label={t('fees.performanceFees')}
+              value={formatUSD(result.performanceFeesCrystallized + result.performanceFeesAccrued)}
+              sub={t('fees.performanceFeesDetail', {
+                crystallized: formatUSD(result.performanceFeesCrystallized),
+                accrued: formatUSD(result.performanceFeesAccrued)
+              })}
+            />
+            <Stat
+              label={t('fees.highWaterMarkNav')}
+              value={`$${formatNumber(result.highWaterMark, 4)}`}
+              color={result.distanceToHighWaterMark >= 0 ? '#00c896' : '#ffc850'}
+              sub={result.distanceToHighWaterMark >= 0
+                ? t('fees.aboveHighWaterMark', { distance: formatPercent(result.distanceToHighWaterMark, false) })
+                : t('fees.belowHighWaterMark', {
+                  distance: formatPercent(-result.distanceToHighWaterMark, false),
+                  required: formatPercent(-result.distanceToHighWaterMark / (1 + result.distanceToHighWaterMark))
+                })}
+            />
+          </div>
+
+          <div style={{ height: '240px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={result.series}>
+                <XAxis
+                  dataKey="timestamp"
+                  type="number"
+                  scale="time"
+                  domain={['dataMin', 'dataMax']}
+                  tickFormatter={formatDate}
+                  stroke="#444"
+                  fontSize={12}
+                  tickLine={false}
+                  axisLine={{ stroke: '#333' }}
+                />
+                <YAxis
+                  stroke="#444"
+                  fontSize={12}
+                  tickLine={false}
+                  axisLine={false}
+                  domain={['auto', 'auto']}
+                  tickFormatter={(v) => `${(v * 100).toFixed(0)}%`}
+                />
+                <Tooltip
+                  contentStyle={{
+                    background: '#1a1a2e',
+                    border: '1px solid #333',
+                    borderRadius: '8px',
+                    color: '#fff'
+                  }}
+                  labelFormatter={formatDate}
+                  formatter={(value, name) => [formatPercent(value), t(SERIES_LABELS[name])]}
+                />
+                <Line type="monotone" dataKey="gross" stroke="#7850ff" strokeWidth={2} dot={false} />
+                <Line type="monotone" dataKey="net" stroke="#00c896" strokeWidth={2} dot={false} />
+                <Line type="stepAfter" dataKey="highWaterMark" stroke="#ffc850" strokeDasharray="4 4" strokeWidth={1.5} dot={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+
+          <p style={{ color: '#555', fontSize: '12px', margin: '16px 0 0', lineHeight: 1.6 }}>
+            {t('fees.note', { date: formatDate(result.entryTimestamp), nav: `$${formatNumber(result.entryNav, 4)}` })}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import React from 'react';
+import { calcAverageTicket } from '../overview';
+import { formatNumber, formatUSD, formatDate } from '../utils';
+import { t } from '../i18n';
+
+const cardStyle = {
+  background: 'rgba(255,255,255,0.03)',
+  borderRadius: '20px',
+  padding: '28px',
+  border: '1px solid rgba(255,255,255,0.06)'
+};
+
+const labelStyle = { color: '#888', fontSize: '13px', margin: '0 0 8px', textTransform: 'uppercase', letterSpacing: '1px' };
+
+const ChangeNote = ({ value, since }) => {
+  if (value === null || value === undefined) return null;
+  return (
+    <p style={{ color: value >= 0 ? '#00c896' : '#ff6b6b', fontSize: '14px', margin: '8px 0 0' }}>
+      {t('common.sinceDate', { change: `${value >= 0 ? '+' : ''}${formatNumber(value * 100)}`, date: formatDate(since) })}
+    </p>
+  );
+};
+
+// ============ 规模与投资人 ============
+export default function FundStats({ fundData, changes }) {
+  const averageTicket = calcAverageTicket(fundData);
+
+  return (
+    <div style={{
+      display: 'grid',
+      gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))',
+      gap: '20px',
+      marginBottom: '32px'
+    }}>
+      <div style={cardStyle}>
+        <p style={labelStyle}>{t('stats.aum')}</p>
+        <p style={{ fontSize: '32px', fontWeight: '700', margin: 0, color: '#fff' }}>
+          {formatUSD(fundData?.totalAssets)}
+        </p>
+        {changes ? (
+          <ChangeNote value={changes.aum} since={changes.since} />
+        ) : (
+          <p style={{ color: '#666', fontSize: '14px', margin: '8px 0 0' }}>{t('stats.totalAssets')}</p>
+        )}
+      </div>
+
+      <div style={cardStyle}>
+        <p style={labelStyle}>{t('stats.investors')}</p>
+        <p style={{ fontSize: '32px', fontWeight: '700', margin: 0, color: '#fff' }}>
+          {fundData?.lpCount ?? '-'}
+        </p>
+        <p style={{ color: '#666', fontSize: '14px', margin: '8px 0 0' }}>
+          {t('stats.registeredLPs')}
+        </p>
+      </div>
+
+      <div style={cardStyle}>
+        <p style={labelStyle}>{t('stats.averageTicket')}</p>
+        <p style={{ fontSize: '32px', fontWeight: '700', margin: 0, color: '#fff' }}>
+          {formatUSD(averageTicket)}
+        </p>
+        <p style={{ color: '#666', fontSize: '14px', margin: '8px 0 0' }}>
+          {t('stats.aumPerLP')}
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+import React from 'react';
+import { FUNDS } from '../config';
+
+// ============ 基金切换器 ============
+export default function FundSwitcher({ fundId, onChange }) {
+  return (
+    <select
+      value={fundId}
+      onChange={(e) => onChange(e.target.value)}
+      style={{
+        padding: '10px 16px',
+        background: 'rgba(255,255,255,0.05)',
+        border: '1px solid rgba(255,255,255,0.1)',
+        borderRadius: '12px',
+        color: '#e0e0e0',
+        fontSize: '14px',
+        fontFamily: 'inherit',
+        cursor: 'pointer'
+      }}
+    >
+      {FUNDS.map((f) => (
+        <option key={f.id} value={f.id} style={{ background: '#1a1a2e' }}>
+          {f.name} · {f.chainName}
+        </option>
+      ))}
+    </select>
+  );
+}
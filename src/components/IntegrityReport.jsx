@@ -0,0 +1,93 @@
+import React from 'react';
+import { INTEGRITY_CHECKS } from '../integrity';
+import { historyPath } from '../router';
+import RouteLink from './RouteLink';
+import { t } from '../i18n';
+
+const SEVERITY_STYLES = {
+  error: { label: 'integrity.severity.error', color: '#ff6b6b' },
+  warning: { label: 'integrity.severity.warning', color: '#ffc850' },
+  info: { label: 'integrity.severity.info', color: '#888' }
+};
+
+// ============ 净值校验报告 ============
+export default function IntegrityReport({ findings, recordCount, jumpThreshold, onJumpThresholdChange }) {
+  const cellStyle = { padding: '8px', fontSize: '13px', verticalAlign: 'top' };
+
+  return (
+    <div id="nav-integrity" style={{
+      background: 'rgba(255,255,255,0.02)',
+      borderRadius: '20px',
+      padding: '28px',
+      border: '1px solid rgba(255,255,255,0.06)',
+      marginBottom: '32px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px', gap: '12px', flexWrap: 'wrap' }}>
+        <h2 style={{ fontSize: '18px', fontWeight: '600', margin: 0, color: '#fff' }}>
+          {t('integrity.title')}
+        </h2>
+        <label style={{ color: '#888', fontSize: '13px' }}>
+          {t('integrity.threshold', {
+            input: (
+              <input
+                type="number"
+                step="1"
+                min="0"
+                value={jumpThreshold}
+                onChange={(e) => onJumpThresholdChange(e.target.value)}
+                style={{
+                  width: '64px',
+                  padding: '6px 8px',
+                  background: 'rgba(255,255,255,0.05)',
+                  border: '1px solid rgba(255,255,255,0.1)',
+                  borderRadius: '8px',
+                  color: '#fff',
+                  fontSize: '13px',
+                  fontFamily: 'inherit'
+                }}
+              />
+            )
+          })}
+        </label>
+      </div>
+
+      <p style={{ color: '#666', fontSize: '13px', margin: '0 0 16px' }}>
+        {t('integrity.summary', { count: recordCount })}
+      </p>
+
+      {findings.length === 0 ? (
+        <p style={{ color: '#00c896', fontSize: '14px', margin: 0 }}>{t('integrity.noIssues')}</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', color: '#ccc' }}>
+            <thead>
+              <tr style={{ color: '#666', textAlign: 'left', borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
+                <th style={cellStyle}>{t('integrity.severity')}</th>
+                <th style={cellStyle}>{t('integrity.record')}</th>
+                <th style={cellStyle}>{t('integrity.check')}</th>
+                <th style={cellStyle}>{t('integrity.details')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {findings.map((finding, i) => {
+                const severity = SEVERITY_STYLES[finding.severity];
+                return (
+                  <tr key={i} style={{ borderBottom: '1px solid rgba(255,255,255,0.03)' }}>
+                    <td style={{ ...cellStyle, color: severity.color, whiteSpace: 'nowrap' }}>{t(severity.label)}</td>
+                    <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>
+                      {finding.index === null ? t('integrity.current') : (
+                        <RouteLink to={historyPath(finding.index)} style={{ color: '#b8a4ff' }}>#{finding.index}</RouteLink>
+                      )}
+                    </td>
+                    <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>{t(INTEGRITY_CHECKS[finding.check])}</td>
+                    <td style={cellStyle}>{finding.message}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { LP_REQUEST_CONFIG } from '../config';
+import {
+  REQUEST_KINDS, estimateRequest, submitRequest, loadRequests, saveRequests, mergeRequestStatuses, getTransport
+} from '../lpRequests';
+import { formatNumber, formatUSD, formatDate, shortenAddress } from '../utils';
+import { fixed } from '../money';
+import { t } from '../i18n';
+
+const STATUS_COLORS = {
+  signed: '#888',
+  submitted: '#ffc850',
+  pending: '#ffc850',
+  approved: '#00c896',
+  confirmed: '#00c896',
+  settled: '#00c896',
+  rejected: '#ff6b6b',
+  failed: '#ff6b6b'
+};
+
+const inputStyle = {
+  padding: '10px 12px',
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.1)',
+  borderRadius: '8px',
+  color: '#fff',
+  fontSize: '14px',
+  fontFamily: 'inherit'
+};
+
+const ToggleButton = ({ active, onClick, children }) => (
+  <button
+    onClick={onClick}
+    style={{
+      ...inputStyle,
+      background: active ? 'rgba(0, 200, 150, 0.15)' : 'rgba(255,255,255,0.03)',
+      border: `1px solid ${active ? 'rgba(0, 200, 150, 0.4)' : 'rgba(255,255,255,0.08)'}`,
+      color: active ? '#fff' : '#888',
+      cursor: 'pointer'
+    }}
+  >
+    {children}
+  </button>
+);
+
+// ============ 申购/赎回申请 ============
+export default function LPRequestPanel({ fund, account, currentNav, decimals, lpData }) {
+  const [kind, setKind] = useState('subscription');
+  const [unit, setUnit] = useState('usd');
+  const [value, setValue] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [requests, setRequests] = useState(() => loadRequests(fund, account));
+
+  // 切换基金或账户时读取对应的申请记录，并刷新未完结申请的状态
+  useEffect(() => {
+    let cancelled = false;
+    const stored = loadRequests(fund, account);
+    setRequests(stored);
+
+    Promise.all(stored.map(async (request) => {
+      try {
+        return { ...request, status: await getTransport(request.mode).refresh(fund, request) };
+      } catch (err) {
+        console.error(`Error refreshing request ${request.id}:`, err);
+        return request;
+      }
+    })).then((refreshed) => {
+      if (cancelled) return;
+      // 刷新期间可能提交了新申请：以最新的状态和本地记录为准合并
+      setRequests((prev) => mergeRequestStatuses(prev, refreshed));
+      saveRequests(fund, account, mergeRequestStatuses(loadRequests(fund, account), refreshed));
+    });
+
+    return () => { cancelled = true; };
+  }, [fund, account]);
+
+  // 按页面上的净值实时估算，提交时会重新读取链上净值
+  let estimate = null;
+  try {
+    estimate = value ? estimateRequest(unit, value, currentNav.value, decimals) : null;
+  } catch {
+    // 输入不完整或超出精度时不估算
+  }
+  const isEmpty = !estimate || estimate.amount <= 0n || estimate.shares <= 0n;
+  const estimatedUSD = fixed(estimate ? estimate.amount : 0n);
+  const estimatedShares = fixed(estimate ? estimate.shares : 0n, decimals);
+  const exceedsBalance = kind === 'redemption' && lpData && estimate && estimate.shares > lpData.shares.value;
+
+  const submit = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const request = await submitRequest(fund, account, kind, unit, value);
+      setRequests((prev) => [request, ...prev]);
+      saveRequests(fund, account, [request, ...loadRequests(fund, account)]);
+      setValue('');
+    } catch (err) {
+      console.error('Error submitting request:', err);
+      setError(err.shortMessage || err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(255,255,255,0.02)',
+      borderRadius: '20px',
+      padding: '28px',
+      border: '1px solid rgba(255,255,255,0.06)',
+      marginBottom: '32px'
+    }}>
+      <h2 style={{ fontSize: '18px', fontWeight: '600', margin: '0 0 24px', color: '#fff' }}>
+        {t('lpRequest.title')}
+      </h2>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '16px' }}>
+        <ToggleButton active={kind === 'subscription'} onClick={() => setKind('subscription')}>{t('lpRequest.subscribe')}</ToggleButton>
+        <ToggleButton active={kind === 'redemption'} onClick={() => setKind('redemption')}>{t('lpRequest.redeem')}</ToggleButton>
+        <span style={{ width: '16px' }} />
+        <ToggleButton active={unit === 'usd'} onClick={() => setUnit('usd')}>{t('lpRequest.usd')}</ToggleButton>
+        <ToggleButton active={unit === 'shares'} onClick={() => setUnit('shares')}>{t('common.shares')}</ToggleButton>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '12px', marginBottom: '8px' }}>
+        <input
+          type="number"
+          min="0"
+          placeholder={t(unit === 'usd' ? 'lpRequest.amountPlaceholder' : 'lpRequest.sharesPlaceholder')}
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          style={{ ...inputStyle, width: '220px' }}
+        />
+        <button
+          onClick={submit}
+          disabled={submitting || isEmpty || exceedsBalance}
+          style={{
+            ...inputStyle,
+            background: 'linear-gradient(135deg, #7850ff 0%, #00c896 100%)',
+            border: 'none',
+            fontWeight: '600',
+            cursor: submitting ? 'wait' : 'pointer'
+          }}
+        >
+          {submitting ? t('common.waitingForSignature') : t('lpRequest.sign', { kind: t(REQUEST_KINDS[kind]) })}
+        </button>
+      </div>
+
+      <p style={{ color: '#888', fontSize: '13px', margin: '0 0 8px' }}>
+        {t('lpRequest.estimate', {
+          nav: `$${formatNumber(currentNav, 4)}`,
+          amount: formatUSD(estimatedUSD),
+          shares: formatNumber(estimatedShares, 4)
+        })}
+      </p>
+      {exceedsBalance && (
+        <p style={{ color: '#ff6b6b', fontSize: '13px', margin: '0 0 8px' }}>
+          {t('lpRequest.exceedsBalance', { shares: formatNumber(lpData.shares, 4) })}
+        </p>
+      )}
+      {error && <p style={{ color: '#ff6b6b', fontSize: '13px', margin: '0 0 8px' }}>{error}</p>}
+      {LP_REQUEST_CONFIG.mode === 'backend' && !LP_REQUEST_CONFIG.endpoint && (
+        <p style={{ color: '#666', fontSize: '12px', margin: '0 0 8px' }}>
+          {t('lpRequest.noEndpoint')}
+        </p>
+      )}
+
+      {requests.length > 0 && (
+        <div style={{ overflowX: 'auto', marginTop: '24px' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', color: '#ccc' }}>
+            <thead>
+              <tr style={{ color: '#666', textAlign: 'left', borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
+                <th style={{ padding: '8px' }}>{t('common.date')}</th>
+                <th style={{ padding: '8px' }}>{t('common.type')}</th>
+                <th style={{ padding: '8px', textAlign: 'right' }}>{t('lpRequest.amount')}</th>
+                <th style={{ padding: '8px', textAlign: 'right' }}>{t('common.shares')}</th>
+                <th style={{ padding: '8px', textAlign: 'right' }}>{t('common.nav')}</th>
+                <th style={{ padding: '8px' }}>{t('common.status')}</th>
+                <th style={{ padding: '8px' }}>{t('lpRequest.reference')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {requests.map((request) => (
+                <tr key={request.id} style={{ borderBottom: '1px solid rgba(255,255,255,0.03)' }}>
+                  <td style={{ padding: '8px' }}>{formatDate(request.createdAt)}</td>
+                  <td style={{ padding: '8px' }}>{t(REQUEST_KINDS[request.kind])}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{formatUSD(fixed(request.amount))}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{formatNumber(fixed(request.shares, request.decimals ?? 18), 4)}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>${formatNumber(fixed(request.nav), 4)}</td>
+                  <td style={{ padding: '8px', color: STATUS_COLORS[request.status] || '#ccc', textTransform: 'capitalize' }}>
+                    {/* 后端可能返回其他状态，没有对应文案时原样显示 */}
+                    {STATUS_COLORS[request.status] ? t(`lpRequest.status.${request.status}`) : request.status}
+                  </td>
+                  <td style={{ padding: '8px', fontFamily: 'monospace' }}>
+                    {request.txHash && fund.blockExplorer ? (
+                      <a
+                        href={`${fund.blockExplorer}/tx/${request.txHash}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        style={{ color: '#888' }}
+                      >
+                        {shortenAddress(request.txHash)}
+                      </a>
+                    ) : (
+                      <span style={{ color: '#888' }}>{request.id.length > 20 ? shortenAddress(request.id) : request.id}</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+import React from 'react';
+import { LOCALES, t } from '../i18n';
+
+// ============ 语言切换 ============
+export default function LanguageSwitcher({ locale, onChange }) {
+  return (
+    <select
+      value={locale}
+      onChange={(e) => onChange(e.target.value)}
+      aria-label={t('language.label')}
+      style={{
+        padding: '10px 16px',
+        background: 'rgba(255,255,255,0.05)',
+        border: '1px solid rgba(255,255,255,0.1)',
+        borderRadius: '12px',
+        color: '#e0e0e0',
+        fontSize: '14px',
+        fontFamily: 'inherit',
+        cursor: 'pointer'
+      }}
+    >
+      {Object.entries(LOCALES).map(([key, { label }]) => (
+        <option key={key} value={key} style={{ background: '#1a1a2e' }}>
+          {label}
+        </option>
+      ))}
+    </select>
+  );
+}
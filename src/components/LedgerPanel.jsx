@@ -0,0 +1,78 @@
+import React from 'react';
+import { LEDGER_TYPES } from '../ledger';
+import { formatNumber, formatUSD, formatDate, shortenAddress } from '../utils';
+import { t } from '../i18n';
+
+// ============ 交易记录 ============
+export default function LedgerPanel({ fund, entries, progress, error }) {
+  const cellStyle = { padding: '8px', whiteSpace: 'nowrap' };
+
+  return (
+    <div style={{
+      background: 'rgba(255,255,255,0.02)',
+      borderRadius: '20px',
+      padding: '28px',
+      border: '1px solid rgba(255,255,255,0.06)',
+      marginBottom: '32px'
+    }}>
+      <h2 style={{ fontSize: '18px', fontWeight: '600', margin: '0 0 24px', color: '#fff' }}>
+        {t('ledger.title')}
+      </h2>
+
+      {error ? (
+        <p style={{ color: '#ff6b6b', fontSize: '14px', margin: 0 }}>{error}</p>
+      ) : entries === null ? (
+        <p style={{ color: '#666', fontSize: '14px', margin: 0 }}>
+          {t('ledger.scanning')}
+          {progress && ` ${formatNumber((progress.done / progress.total) * 100, 0)}%`}
+        </p>
+      ) : entries.length === 0 ? (
+        <p style={{ color: '#666', fontSize: '14px', margin: 0 }}>{t('ledger.empty')}</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', color: '#ccc' }}>
+            <thead>
+              <tr style={{ color: '#666', textAlign: 'left', borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
+                <th style={cellStyle}>{t('common.date')}</th>
+                <th style={cellStyle}>{t('common.type')}</th>
+                <th style={{ ...cellStyle, textAlign: 'right' }}>{t('common.shares')}</th>
+                <th style={{ ...cellStyle, textAlign: 'right' }}>{t('common.nav')}</th>
+                <th style={{ ...cellStyle, textAlign: 'right' }}>{t('common.value')}</th>
+                <th style={cellStyle}>{t('ledger.counterparty')}</th>
+                <th style={cellStyle}>{t('ledger.tx')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...entries].reverse().map((entry) => (
+                <tr key={entry.id} style={{ borderBottom: '1px solid rgba(255,255,255,0.03)' }}>
+                  <td style={cellStyle}>{formatDate(entry.timestamp)}</td>
+                  <td style={cellStyle}>{t(LEDGER_TYPES[entry.type])}</td>
+                  <td style={{ ...cellStyle, textAlign: 'right', color: entry.shares >= 0 ? '#00c896' : '#ff6b6b' }}>
+                    {entry.shares >= 0 ? '+' : ''}{formatNumber(entry.shares)}
+                  </td>
+                  <td style={{ ...cellStyle, textAlign: 'right' }}>
+                    {entry.nav === null ? '-' : `$${formatNumber(entry.nav, 4)}`}
+                  </td>
+                  <td style={{ ...cellStyle, textAlign: 'right' }}>{formatUSD(entry.value)}</td>
+                  <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{shortenAddress(entry.counterparty) || '-'}</td>
+                  <td style={{ ...cellStyle, fontFamily: 'monospace' }}>
+                    {fund.blockExplorer ? (
+                      <a
+                        href={`${fund.blockExplorer}/tx/${entry.transactionHash}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        style={{ color: '#888' }}
+                      >
+                        {shortenAddress(entry.transactionHash)}
+                      </a>
+                    ) : shortenAddress(entry.transactionHash)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
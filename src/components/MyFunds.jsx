@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from 'react';
+import { FUNDS } from '../config';
+import { getContract } from '../contract';
+import { t } from '../i18n';
+
+// ============ 我的基金 ============
+// 在注册表中的每只基金上查询 whitelist(address)，列出该钱包参与的基金
+export default function MyFunds({ account, fundId, onSelect }) {
+  const [funds, setFunds] = useState(null);
+
+  useEffect(() => {
+    if (!account) return;
+    let cancelled = false;
+    setFunds(null);
+
+    const checkFunds = async () => {
+      const results = await Promise.all(FUNDS.map(async (f) => {
+        try {
+          return (await getContract(f).whitelist(account)) ? f : null;
+        } catch (err) {
+          console.error(`Error checking whitelist on ${f.id}:`, err);
+          return null;
+        }
+      }));
+      if (!cancelled) setFunds(results.filter(Boolean));
+    };
+    checkFunds();
+
+    return () => { cancelled = true; };
+  }, [account]);
+
+  return (
+    <div style={{
+      background: 'rgba(255,255,255,0.02)',
+      borderRadius: '20px',
+      padding: '28px',
+      border: '1px solid rgba(255,255,255,0.06)',
+      marginBottom: '32px'
+    }}>
+      <h2 style={{ fontSize: '18px', fontWeight: '600', margin: '0 0 16px', color: '#fff' }}>
+        {t('myFunds.title')}
+      </h2>
+      {funds === null ? (
+        <p style={{ color: '#666', fontSize: '14px', margin: 0 }}>{t('myFunds.checking')}</p>
+      ) : funds.length === 0 ? (
+        <p style={{ color: '#666', fontSize: '14px', margin: 0 }}>
+          {t('myFunds.none')}
+        </p>
+      ) : (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px' }}>
+          {funds.map((f) => (
+            <button
+              key={f.id}
+              onClick={() => onSelect(f.id)}
+              style={{
+                padding: '12px 20px',
+                background: f.id === fundId ? 'rgba(120, 80, 255, 0.15)' : 'rgba(255,255,255,0.03)',
+                border: `1px solid ${f.id === fundId ? 'rgba(120, 80, 255, 0.4)' : 'rgba(255,255,255,0.08)'}`,
+                borderRadius: '12px',
+                color: '#fff',
+                cursor: 'pointer',
+                fontSize: '14px',
+                textAlign: 'left'
+              }}
+            >
+              <div style={{ fontWeight: '600' }}>{f.name}</div>
+              <div style={{ color: '#666', fontSize: '12px', marginTop: '4px' }}>{f.chainName}</div>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
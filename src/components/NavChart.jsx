@@ -0,0 +1,254 @@
+import React, { useState, useMemo } from 'react';
+import {
+  ComposedChart, AreaChart, Area, Line, XAxis, YAxis, Tooltip, ResponsiveContainer
+} from 'recharts';
+import { calcDrawdownSeries } from '../analytics';
+import { formatNumber, formatUSD, formatDate } from '../utils';
+import { t } from '../i18n';
+
+const DAY = 24 * 60 * 60;
+
+// 时间区间预设：返回区间起点（秒），null 表示全部
+const RANGES = {
+  '1M': (now) => now - 30 * DAY,
+  '3M': (now) => now - 91 * DAY,
+  'YTD': (now) => Date.UTC(new Date(now * 1000).getUTCFullYear(), 0, 1) / 1000,
+  '1Y': (now) => now - 365 * DAY,
+  'All': () => null
+};
+
+const GROWTH_BASE = 10000;
+
+const tooltipStyle = {
+  background: '#1a1a2e',
+  border: '1px solid #333',
+  borderRadius: '8px',
+  color: '#fff'
+};
+
+const ToggleButton = ({ active, onClick, children, color = '#7850ff' }) => (
+  <button
+    onClick={onClick}
+    style={{
+      padding: '6px 12px',
+      background: active ? `${color}33` : 'rgba(255,255,255,0.03)',
+      border: `1px solid ${active ? `${color}88` : 'rgba(255,255,255,0.08)'}`,
+      borderRadius: '8px',
+      color: active ? '#fff' : '#888',
+      cursor: 'pointer',
+      fontSize: '12px',
+      fontFamily: 'inherit'
+    }}
+  >
+    {children}
+  </button>
+);
+
+// ============ 净值走势图 ============
+// benchmarks：与 navHistory 逐点对齐的基准序列 [{ name, color, values }]，以虚线叠加显示
+export default function NavChart({ navHistory, benchmarks = [] }) {
+  const [range, setRange] = useState('All');
+  const [mode, setMode] = useState('nav');
+  const [showAUM, setShowAUM] = useState(false);
+  const [showShares, setShowShares] = useState(false);
+
+  // 按区间截取数据；保留区间起点之前的最后一个点，使曲线从区间起点开始
+  const data = useMemo(() => {
+    const drawdowns = calcDrawdownSeries(navHistory);
+    const withDrawdown = navHistory.map((point, i) => {
+      const row = { ...point, drawdown: drawdowns[i].drawdown };
+      benchmarks.forEach((b, j) => { row[`benchmark${j}`] = b.values[i]; });
+      return row;
+    });
+
+    const start = RANGES[range](Math.floor(Date.now() / 1000));
+    let visible = withDrawdown;
+    if (start !== null) {
+      const firstIndex = withDrawdown.findIndex((point) => point.timestamp >= start);
+      visible = firstIndex === -1
+        ? withDrawdown.slice(-1)
+        : withDrawdown.slice(Math.max(0, firstIndex - 1));
+    }
+
+    // 基准的增长曲线从区间内第一个有值的点开始
+    const baseNav = visible[0]?.nav;
+    const benchmarkBases = benchmarks.map((_, j) => visible.find((point) => point[`benchmark${j}`] !== null)?.[`benchmark${j}`]);
+    return visible.map((point) => {
+      const row = { ...point, growth: baseNav ? (point.nav / baseNav) * GROWTH_BASE : null };
+      benchmarks.forEach((_, j) => {
+        const value = point[`benchmark${j}`];
+        row[`benchmark${j}Growth`] = value !== null && benchmarkBases[j] ? (value / benchmarkBases[j]) * GROWTH_BASE : null;
+      });
+      return row;
+    });
+  }, [navHistory, benchmarks, range]);
+
+  const valueKey = mode === 'growth' ? 'growth' : 'nav';
+  const formatValue = (v) => (mode === 'growth' ? `$${formatNumber(v)}` : `$${formatNumber(v, 4)}`);
+
+  const tooltipFormatter = (value, name, item) => {
+    if (name === 'nav') return [formatValue(value), t('common.nav')];
+    if (name === 'growth') return [formatValue(value), t('chart.growthOf', { amount: `$${formatNumber(GROWTH_BASE, 0)}` })];
+    if (name === 'totalAssets') return [formatUSD(value), t('chart.aum')];
+    if (name === 'totalShares') return [formatNumber(value, 0), t('chart.sharesOutstanding')];
+    if (name === 'drawdown') return [`${formatNumber(value * 100)}%`, t('chart.drawdown')];
+    if (String(item?.dataKey).startsWith('benchmark')) return [formatValue(value), name];
+    return [value, name];
+  };
+
+  const xAxisProps = {
+    dataKey: 'timestamp',
+    type: 'number',
+    scale: 'time',
+    domain: ['dataMin', 'dataMax'],
+    tickFormatter: formatDate,
+    stroke: '#444',
+    fontSize: 12,
+    tickLine: false
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(255,255,255,0.02)',
+      borderRadius: '20px',
+      padding: '28px',
+      border: '1px solid rgba(255,255,255,0.06)',
+      marginBottom: '32px'
+    }}>
+      <div style={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        gap: '12px',
+        marginBottom: '24px'
+      }}>
+        <h2 style={{ fontSize: '18px', fontWeight: '600', margin: 0, color: '#fff' }}>
+          {t('chart.title')}
+        </h2>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+          {Object.keys(RANGES).map((key) => (
+            <ToggleButton key={key} active={range === key} onClick={() => setRange(key)}>
+              {t(`chart.range.${key}`)}
+            </ToggleButton>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '16px' }}>
+        <ToggleButton active={mode === 'nav'} onClick={() => setMode('nav')}>{t('common.nav')}</ToggleButton>
+        <ToggleButton active={mode === 'growth'} onClick={() => setMode('growth')}>
+          {t('chart.growthOf', { amount: `$${formatNumber(GROWTH_BASE, 0)}` })}
+        </ToggleButton>
+        <span style={{ width: '12px' }} />
+        <ToggleButton active={showAUM} onClick={() => setShowAUM(!showAUM)} color="#00c896">{t('chart.aum')}</ToggleButton>
+        <ToggleButton active={showShares} onClick={() => setShowShares(!showShares)} color="#ffc850">
+          {t('chart.sharesOutstanding')}
+        </ToggleButton>
+      </div>
+
+      <div style={{ height: '300px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={data}>
+            <defs>
+              <linearGradient id="navGradient" x1="0" y1="0" x2="0" y2="1">
+                <stop offset="5%" stopColor="#7850ff" stopOpacity={0.3}/>
+                <stop offset="95%" stopColor="#7850ff" stopOpacity={0}/>
+              </linearGradient>
+            </defs>
+            <XAxis {...xAxisProps} axisLine={{ stroke: '#333' }} />
+            <YAxis
+              yAxisId="value"
+              stroke="#444"
+              fontSize={12}
+              tickLine={false}
+              axisLine={false}
+              domain={['auto', 'auto']}
+              tickFormatter={(v) => (mode === 'growth' ? formatUSD(v) : `$${v.toFixed(2)}`)}
+            />
+            {showAUM && (
+              <YAxis
+                yAxisId="aum"
+                orientation="right"
+                stroke="#00c896"
+                fontSize={12}
+                tickLine={false}
+                axisLine={false}
+                domain={['auto', 'auto']}
+                tickFormatter={formatUSD}
+              />
+            )}
+            {showShares && (
+              <YAxis
+                yAxisId="shares"
+                orientation="right"
+                stroke="#ffc850"
+                fontSize={12}
+                tickLine={false}
+                axisLine={false}
+                domain={['auto', 'auto']}
+                tickFormatter={(v) => formatNumber(v, 0)}
+              />
+            )}
+            <Tooltip
+              contentStyle={tooltipStyle}
+              labelFormatter={formatDate}
+              formatter={tooltipFormatter}
+            />
+            <Area
+              yAxisId="value"
+              type="monotone"
+              dataKey={valueKey}
+              stroke="#7850ff"
+              strokeWidth={2}
+              fill="url(#navGradient)"
+            />
+            {benchmarks.map((b, j) => (
+              <Line
+                key={b.name}
+                yAxisId="value"
+                type="monotone"
+                dataKey={mode === 'growth' ? `benchmark${j}Growth` : `benchmark${j}`}
+                name={b.name}
+                stroke={b.color}
+                strokeWidth={1.5}
+                strokeDasharray="4 3"
+                dot={false}
+              />
+            ))}
+            {showAUM && (
+              <Line yAxisId="aum" type="stepAfter" dataKey="totalAssets" stroke="#00c896" strokeWidth={1.5} dot={false} />
+            )}
+            {showShares && (
+              <Line yAxisId="shares" type="stepAfter" dataKey="totalShares" stroke="#ffc850" strokeWidth={1.5} dot={false} />
+            )}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* 回撤子图 */}
+      <p style={{ color: '#888', fontSize: '13px', margin: '24px 0 8px' }}>{t('chart.drawdown')}</p>
+      <div style={{ height: '120px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <AreaChart data={data}>
+            <XAxis {...xAxisProps} axisLine={{ stroke: '#333' }} />
+            <YAxis
+              stroke="#444"
+              fontSize={12}
+              tickLine={false}
+              axisLine={false}
+              domain={['auto', 0]}
+              tickFormatter={(v) => `${(v * 100).toFixed(0)}%`}
+            />
+            <Tooltip
+              contentStyle={tooltipStyle}
+              labelFormatter={formatDate}
+              formatter={tooltipFormatter}
+            />
+            <Area type="monotone" dataKey="drawdown" stroke="#ff6b6b" strokeWidth={1.5} fill="rgba(255, 107, 107, 0.15)" />
+          </AreaChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
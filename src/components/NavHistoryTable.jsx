@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { getGateway, gatewayUrl, normalizeCid } from '../ipfs';
+import { INTEGRITY_CHECKS } from '../integrity';
+import { navigate, historyPath } from '../router';
+import { formatNumber, formatUSD, formatDate, formatDateTime } from '../utils';
+import { t } from '../i18n';
+
+const PAGE_SIZE = 20;
+
+const COLUMNS = [
+  { key: 'index', label: 'history.index' },
+  { key: 'timestamp', label: 'common.date' },
+  { key: 'nav', label: 'common.nav', numeric: true },
+  { key: 'change', label: 'history.change', numeric: true },
+  { key: 'totalAssets', label: 'history.totalAssets', numeric: true },
+  { key: 'totalShares', label: 'history.totalShares', numeric: true },
+  { key: 'ipfsHash', label: 'history.report' }
+];
+
+const SEVERITY_COLORS = { error: '#ff6b6b', warning: '#ffc850', info: '#888' };
+
+const buttonStyle = {
+  padding: '6px 12px',
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.1)',
+  borderRadius: '8px',
+  color: '#ccc',
+  cursor: 'pointer',
+  fontSize: '12px',
+  fontFamily: 'inherit'
+};
+
+// 相对上一条记录的净值变化（第一条为 null）
+const withChanges = (navHistory) => navHistory.map((record, i) => ({
+  ...record,
+  change: i > 0 && navHistory[i - 1].nav > 0 ? record.nav / navHistory[i - 1].nav - 1 : null
+}));
+
+// null 始终排在最后
+const sortRecords = (records, { key, direction }) => [...records].sort((a, b) => {
+  if (a[key] === b[key]) return a.index - b.index;
+  if (a[key] === null) return 1;
+  if (b[key] === null) return -1;
+  const order = a[key] < b[key] ? -1 : 1;
+  return direction === 'asc' ? order : -order;
+});
+
+// ============ 净值历史 ============
+// 可排序、分页的净值记录表；record 为深链接指定的记录序号，自动翻到所在页并展开详情
+export default function NavHistoryTable({ navHistory, record, findings, loading }) {
+  const [sort, setSort] = useState({ key: 'index', direction: 'desc' });
+  const [page, setPage] = useState(0);
+  const selectedRef = useRef(null);
+
+  const rows = useMemo(() => sortRecords(withChanges(navHistory), sort), [navHistory, sort]);
+  const pageCount = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const selected = record === null ? null : rows.find((r) => r.index === record) || null;
+
+  useEffect(() => {
+    if (record === null) return;
+    const position = rows.findIndex((r) => r.index === record);
+    if (position >= 0) setPage(Math.floor(position / PAGE_SIZE));
+  }, [record, rows]);
+
+  useEffect(() => {
+    selectedRef.current?.scrollIntoView({ block: 'center' });
+  }, [record, currentPage]);
+
+  const changeSort = (key) => {
+    setSort((prev) => ({
+      key,
+      direction: prev.key === key && prev.direction === 'desc' ? 'asc' : 'desc'
+    }));
+    setPage(0);
+  };
+
+  const selectRecord = (index) => navigate(historyPath(index === record ? null : index));
+
+  const cellStyle = { padding: '8px', whiteSpace: 'nowrap' };
+  const cid = selected && normalizeCid(selected.ipfsHash);
+  const selectedFindings = selected ? findings.filter((f) => f.index === selected.index) : [];
+
+  return (
+    <div style={{
+      background: 'rgba(255,255,255,0.02)',
+      borderRadius: '20px',
+      padding: '28px',
+      border: '1px solid rgba(255,255,255,0.06)',
+      marginBottom: '32px'
+    }}>
+      <h2 style={{ fontSize: '18px', fontWeight: '600', margin: '0 0 24px', color: '#fff' }}>
+        {t('history.title')}
+      </h2>
+
+      {record !== null && !selected && !loading && (
+        <p style={{ color: '#ffc850', fontSize: '14px', margin: '0 0 16px' }}>
+          {t('history.notFound', { index: record, count: navHistory.length })}
+        </p>
+      )}
+
+      {selected && (
+        <div style={{
+          padding: '20px',
+          background: 'rgba(120, 80, 255, 0.08)',
+          border: '1px solid rgba(120, 80, 255, 0.2)',
+          borderRadius: '12px',
+          marginBottom: '24px'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', marginBottom: '16px' }}>
+            <h3 style={{ fontSize: '16px', fontWeight: '600', margin: 0, color: '#fff' }}>
+              {t('history.record', { index: selected.index })}
+            </h3>
+            <button onClick={() => navigate(historyPath())} style={buttonStyle}>{t('common.close')}</button>
+          </div>
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))',
+            gap: '16px',
+            fontSize: '14px'
+          }}>
+            <div>
+              <p style={{ color: '#888', fontSize: '13px', margin: '0 0 4px' }}>{t('history.published')}</p>
+              <p style={{ margin: 0, color: '#fff' }}>{formatDateTime(selected.timestamp * 1000)}</p>
+            </div>
+            <div>
+              <p style={{ color: '#888', fontSize: '13px', margin: '0 0 4px' }}>{t('common.nav')}</p>
+              <p style={{ margin: 0, color: '#fff' }}>${formatNumber(selected.nav, 4)}</p>
+            </div>
+            <div>
+              <p style={{ color: '#888', fontSize: '13px', margin: '0 0 4px' }}>{t('history.change')}</p>
+              <p style={{ margin: 0, color: selected.change === null ? '#666' : selected.change >= 0 ? '#00c896' : '#ff6b6b' }}>
+                {selected.change === null ? '-' : `${selected.change >= 0 ? '+' : ''}${formatNumber(selected.change * 100)}%`}
+              </p>
+            </div>
+            <div>
+              <p style={{ color: '#888', fontSize: '13px', margin: '0 0 4px' }}>{t('history.totalAssets')}</p>
+              <p style={{ margin: 0, color: '#fff' }}>{formatUSD(selected.totalAssets)}</p>
+            </div>
+            <div>
+              <p style={{ color: '#888', fontSize: '13px', margin: '0 0 4px' }}>{t('history.totalShares')}</p>
+              <p style={{ margin: 0, color: '#fff' }}>{formatNumber(selected.totalShares)}</p>
+            </div>
+          </div>
+          <p style={{ color: '#888', fontSize: '13px', margin: '16px 0 0' }}>
+            {t('history.reportLink', {
+              link: cid ? (
+                <a
+                  href={gatewayUrl(cid, getGateway())}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  style={{ color: '#b8a4ff', fontFamily: 'monospace' }}
+                >
+                  {cid}
+                </a>
+              ) : (
+                <span style={{ color: '#555' }}>{t('history.noReport')}</span>
+              )
+            })}
+          </p>
+          {selectedFindings.map((finding, i) => (
+            <p key={i} style={{ color: SEVERITY_COLORS[finding.severity], fontSize: '13px', margin: '8px 0 0' }}>
+              {t(INTEGRITY_CHECKS[finding.check])}: {finding.message}
+            </p>
+          ))}
+        </div>
+      )}
+
+      {navHistory.length === 0 ? (
+        <p style={{ color: '#666', fontSize: '14px', margin: 0 }}>
+          {loading ? t('history.loading') : t('history.empty')}
+        </p>
+      ) : (
+        <>
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', color: '#ccc' }}>
+              <thead>
+                <tr style={{ color: '#666', textAlign: 'left', borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
+                  {COLUMNS.map((column) => (
+                    <th
+                      key={column.key}
+                      onClick={() => changeSort(column.key)}
+                      aria-sort={sort.key === column.key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : undefined}
+                      style={{
+                        ...cellStyle,
+                        textAlign: column.numeric ? 'right' : 'left',
+                        cursor: 'pointer',
+                        userSelect: 'none',
+                        color: sort.key === column.key ? '#ccc' : '#666'
+                      }}
+                    >
+                      {t(column.label)}
+                      {sort.key === column.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE).map((row) => {
+                  const isSelected = row.index === record;
+                  return (
+                    <tr
+                      key={row.index}
+                      ref={isSelected ? selectedRef : null}
+                      onClick={() => selectRecord(row.index)}
+                      style={{
+                        borderBottom: '1px solid rgba(255,255,255,0.03)',
+                        background: isSelected ? 'rgba(120, 80, 255, 0.12)' : 'transparent',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      <td style={{ ...cellStyle, color: '#888' }}>#{row.index}</td>
+                      <td style={cellStyle}>{formatDate(row.timestamp)}</td>
+                      <td style={{ ...cellStyle, textAlign: 'right' }}>${formatNumber(row.nav, 4)}</td>
+                      <td style={{
+                        ...cellStyle,
+                        textAlign: 'right',
+                        color: row.change === null ? '#555' : row.change >= 0 ? '#00c896' : '#ff6b6b'
+                      }}>
+                        {row.change === null ? '-' : `${row.change >= 0 ? '+' : ''}${formatNumber(row.change * 100)}%`}
+                      </td>
+                      <td style={{ ...cellStyle, textAlign: 'right' }}>{formatUSD(row.totalAssets)}</td>
+                      <td style={{ ...cellStyle, textAlign: 'right' }}>{formatNumber(row.totalShares, 0)}</td>
+                      <td style={{ ...cellStyle, color: row.ipfsHash ? '#00c896' : '#555' }}>{row.ipfsHash ? '✓' : '-'}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', marginTop: '16px' }}>
+            <span style={{ color: '#666', fontSize: '13px' }}>
+              {t('history.pageInfo', { count: rows.length, page: currentPage + 1, pages: pageCount })}
+            </span>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button onClick={() => setPage(currentPage - 1)} disabled={currentPage === 0} style={buttonStyle}>
+                {t('history.previous')}
+              </button>
+              <button onClick={() => setPage(currentPage + 1)} disabled={currentPage >= pageCount - 1} style={buttonStyle}>
+                {t('history.next')}
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+import React from 'react';
+import { NETWORK } from '../config';
+import { t } from '../i18n';
+
+// ============ 网络标识 ============
+// 非主网时显示醒目的提示，避免把测试数据误认为真实持仓
+export default function NetworkBadge() {
+  if (NETWORK.isMainnet) return null;
+
+  return (
+    <span
+      title={t('network.badgeTitle', { chain: NETWORK.chainName, chainId: NETWORK.chainId })}
+      style={{
+        display: 'inline-block',
+        padding: '4px 10px',
+        background: 'rgba(255, 200, 80, 0.1)',
+        border: '1px solid rgba(255, 200, 80, 0.3)',
+        borderRadius: '8px',
+        color: '#ffc850',
+        fontSize: '12px',
+        fontWeight: '600',
+        letterSpacing: '0.5px',
+        textTransform: 'uppercase'
+      }}
+    >
+      {t(`network.${NETWORK.key}`)} · {NETWORK.chainName}
+    </span>
+  );
+}
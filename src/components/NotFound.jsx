@@ -0,0 +1,40 @@
+import React from 'react';
+import { ROUTES } from '../router';
+import { t } from '../i18n';
+import RouteLink from './RouteLink';
+
+// ============ 页面不存在 ============
+export default function NotFound({ path }) {
+  return (
+    <div style={{
+      background: 'rgba(255,255,255,0.02)',
+      borderRadius: '20px',
+      padding: '48px',
+      border: '1px solid rgba(255,255,255,0.06)',
+      textAlign: 'center'
+    }}>
+      <div style={{ fontSize: '48px', fontWeight: '700', marginBottom: '16px', color: '#7850ff' }}>404</div>
+      <h3 style={{ fontSize: '20px', fontWeight: '600', margin: '0 0 8px', color: '#fff' }}>
+        {t('notFound.title')}
+      </h3>
+      <p style={{ color: '#666', margin: '0 0 24px', maxWidth: '400px', marginInline: 'auto' }}>
+        {t('notFound.message', { path: <span style={{ fontFamily: 'monospace', color: '#888' }}>{path}</span> })}
+      </p>
+      <RouteLink
+        to={ROUTES.overview.path}
+        style={{
+          display: 'inline-block',
+          padding: '14px 36px',
+          background: 'linear-gradient(135deg, #7850ff 0%, #00c896 100%)',
+          borderRadius: '12px',
+          color: '#fff',
+          fontWeight: '600',
+          fontSize: '16px',
+          textDecoration: 'none'
+        }}
+      >
+        {t('notFound.back')}
+      </RouteLink>
+    </div>
+  );
+}
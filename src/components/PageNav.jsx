@@ -0,0 +1,39 @@
+import React from 'react';
+import { ROUTES } from '../router';
+import { t } from '../i18n';
+import RouteLink from './RouteLink';
+
+// ============ 页面导航 ============
+export default function PageNav({ current }) {
+  return (
+    <nav style={{
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: '8px',
+      marginBottom: '32px'
+    }}>
+      {Object.entries(ROUTES).map(([name, route]) => {
+        const active = name === current;
+        return (
+          <RouteLink
+            key={name}
+            to={route.path}
+            aria-current={active ? 'page' : undefined}
+            style={{
+              padding: '8px 16px',
+              borderRadius: '10px',
+              fontSize: '14px',
+              textDecoration: 'none',
+              color: active ? '#fff' : '#888',
+              background: active ? 'rgba(120, 80, 255, 0.15)' : 'transparent',
+              border: `1px solid ${active ? 'rgba(120, 80, 255, 0.3)' : 'transparent'}`,
+              transition: 'all 0.2s'
+            }}
+          >
+            {t(route.label)}
+          </RouteLink>
+        );
+      })}
+    </nav>
+  );
+}
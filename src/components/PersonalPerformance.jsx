@@ -0,0 +1,117 @@
+import React, { useMemo } from 'react';
+import { ComposedChart, Area, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { calcPositionSeries, buildCashFlows, calcXIRR, calcTWR } from '../returns';
+import { formatUSD, formatDate, formatPercent, percentColor } from '../utils';
+import { toNumber } from '../money';
+import { t } from '../i18n';
+
+const ReturnStat = ({ label, value, note, children }) => (
+  <div>
+    <p style={{ color: '#888', fontSize: '13px', margin: '0 0 4px' }}>{label}</p>
+    <p style={{ fontSize: '28px', fontWeight: '600', margin: 0, color: percentColor(value) }}>
+      {children ?? formatPercent(value)}
+    </p>
+    <p style={{ color: '#666', fontSize: '12px', margin: '8px 0 0', lineHeight: 1.5 }}>{note}</p>
+  </div>
+);
+
+// ============ 个人业绩 ============
+export default function PersonalPerformance({ entries, navHistory, currentNav, lpData }) {
+  const result = useMemo(() => {
+    const now = Date.now() / 1000;
+    const nav = toNumber(currentNav);
+    const series = calcPositionSeries(navHistory, entries, nav, now);
+    const currentValue = series.length ? series[series.length - 1].value : 0;
+    return {
+      series,
+      xirr: calcXIRR(buildCashFlows(entries, currentValue, now)),
+      twr: calcTWR(navHistory, entries, nav, now)
+    };
+  }, [entries, navHistory, currentNav]);
+
+  if (result.series.length < 2) return null;
+
+  const contractReturn = lpData ? toNumber(lpData.returnRate) / 100 : null;
+
+  return (
+    <div style={{
+      background: 'rgba(255,255,255,0.02)',
+      borderRadius: '20px',
+      padding: '28px',
+      border: '1px solid rgba(255,255,255,0.06)',
+      marginBottom: '32px'
+    }}>
+      <h2 style={{ fontSize: '18px', fontWeight: '600', margin: '0 0 24px', color: '#fff' }}>
+        {t('performance.title')}
+      </h2>
+
+      <div style={{ height: '260px', marginBottom: '32px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={result.series}>
+            <defs>
+              <linearGradient id="positionGradient" x1="0" y1="0" x2="0" y2="1">
+                <stop offset="5%" stopColor="#00c896" stopOpacity={0.3}/>
+                <stop offset="95%" stopColor="#00c896" stopOpacity={0}/>
+              </linearGradient>
+            </defs>
+            <XAxis
+              dataKey="timestamp"
+              type="number"
+              scale="time"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={formatDate}
+              stroke="#444"
+              fontSize={12}
+              tickLine={false}
+              axisLine={{ stroke: '#333' }}
+            />
+            <YAxis
+              stroke="#444"
+              fontSize={12}
+              tickLine={false}
+              axisLine={false}
+              domain={['auto', 'auto']}
+              tickFormatter={formatUSD}
+            />
+            <Tooltip
+              contentStyle={{
+                background: '#1a1a2e',
+                border: '1px solid #333',
+                borderRadius: '8px',
+                color: '#fff'
+              }}
+              labelFormatter={formatDate}
+              formatter={(value, name) => [formatUSD(value), t(name === 'value' ? 'performance.positionValue' : 'performance.netInvested')]}
+            />
+            <Area type="stepAfter" dataKey="value" stroke="#00c896" strokeWidth={2} fill="url(#positionGradient)" />
+            <Line type="stepAfter" dataKey="invested" stroke="#888" strokeDasharray="4 4" strokeWidth={1.5} dot={false} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))',
+        gap: '24px'
+      }}>
+        <ReturnStat
+          label={t('performance.xirr')}
+          value={result.xirr}
+          note={t('performance.xirrNote')}
+        />
+        <ReturnStat
+          label={t('performance.twr')}
+          value={result.twr?.cumulative}
+          note={result.twr?.annualized !== null && result.twr?.annualized !== undefined
+            ? t('performance.twrNoteAnnualized', { annualized: formatPercent(result.twr.annualized) })
+            : t('performance.twrNote')}
+        />
+        <ReturnStat
+          label={t('performance.contract')}
+          value={contractReturn}
+          note={t('performance.contractNote')}
+        />
+      </div>
+    </div>
+  );
+}
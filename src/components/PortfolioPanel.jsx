@@ -0,0 +1,238 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { readLPPosition } from '../lp';
+import { loadWatchlist, addToWatchlist, removeFromWatchlist } from '../watchlist';
+import { formatNumber, formatUSD, shortenAddress } from '../utils';
+import { fixed, add, sub, mul, div, sign } from '../money';
+import { t } from '../i18n';
+
+const inputStyle = {
+  padding: '10px 12px',
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.1)',
+  borderRadius: '8px',
+  color: '#fff',
+  fontSize: '13px',
+  fontFamily: 'inherit'
+};
+
+const linkButtonStyle = {
+  padding: '4px 10px',
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.1)',
+  borderRadius: '6px',
+  color: '#ccc',
+  cursor: 'pointer',
+  fontSize: '12px',
+  fontFamily: 'inherit'
+};
+
+const ZERO = fixed(0n, 0);
+const HUNDRED = fixed(100n, 0);
+
+// 收益率为百分比定点数
+const formatReturn = (value) => {
+  if (value === null || value === undefined) return '-';
+  return `${sign(value) >= 0 ? '+' : ''}${formatNumber(value)}%`;
+};
+
+// ============ 关注地址与组合汇总 ============
+// 任意地址都可以只读查看；保存的多个地址汇总为一个组合
+export default function PortfolioPanel({ fund, watchAddress, onWatch }) {
+  const [watchlist, setWatchlist] = useState(loadWatchlist);
+  const [positions, setPositions] = useState({});
+  const [addressInput, setAddressInput] = useState('');
+  const [labelInput, setLabelInput] = useState('');
+  const [inputError, setInputError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setPositions({});
+
+    watchlist.forEach(async ({ address }) => {
+      try {
+        const position = await readLPPosition(fund, address);
+        if (!cancelled) setPositions((prev) => ({ ...prev, [address]: position }));
+      } catch (err) {
+        console.error(`Error loading position for ${address}:`, err);
+        if (!cancelled) setPositions((prev) => ({ ...prev, [address]: { error: true } }));
+      }
+    });
+
+    return () => { cancelled = true; };
+  }, [fund, watchlist]);
+
+  const addAddress = () => {
+    try {
+      setWatchlist(addToWatchlist(addressInput, labelInput));
+      setAddressInput('');
+      setLabelInput('');
+      setInputError(null);
+    } catch {
+      setInputError(t('portfolio.invalidAddress'));
+    }
+  };
+
+  // 只读查看，不保存到组合
+  const watch = () => {
+    try {
+      onWatch(ethers.getAddress(addressInput.trim()));
+      setAddressInput('');
+      setLabelInput('');
+      setInputError(null);
+    } catch {
+      setInputError(t('portfolio.invalidAddress'));
+    }
+  };
+
+  // 汇总：已加载且在白名单内的地址
+  const held = watchlist
+    .map(({ address }) => positions[address]?.data)
+    .filter(Boolean);
+  const totals = held.reduce((sum, p) => ({
+    shares: add(sum.shares, p.shares),
+    value: add(sum.value, p.value),
+    initialInvestment: add(sum.initialInvestment, p.initialInvestment)
+  }), { shares: ZERO, value: ZERO, initialInvestment: ZERO });
+  // 组合收益按初始投资加权：总盈亏 / 总初始投资
+  const blendedReturn = sign(totals.initialInvestment) > 0
+    ? mul(div(sub(totals.value, totals.initialInvestment), totals.initialInvestment), HUNDRED)
+    : null;
+
+  const cellStyle = { padding: '8px', whiteSpace: 'nowrap' };
+
+  return (
+    <div style={{
+      background: 'rgba(255,255,255,0.02)',
+      borderRadius: '20px',
+      padding: '28px',
+      border: '1px solid rgba(255,255,255,0.06)',
+      marginBottom: '32px'
+    }}>
+      <h2 style={{ fontSize: '18px', fontWeight: '600', margin: '0 0 8px', color: '#fff' }}>
+        {t('portfolio.title')}
+      </h2>
+      <p style={{ color: '#666', fontSize: '13px', margin: '0 0 20px' }}>
+        {t('portfolio.intro')}
+      </p>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '8px' }}>
+        <input
+          placeholder={t('portfolio.addressPlaceholder')}
+          value={addressInput}
+          onChange={(e) => setAddressInput(e.target.value)}
+          style={{ ...inputStyle, flex: '1 1 320px', fontFamily: 'monospace' }}
+        />
+        <input
+          placeholder={t('portfolio.labelPlaceholder')}
+          value={labelInput}
+          onChange={(e) => setLabelInput(e.target.value)}
+          style={{ ...inputStyle, flex: '0 1 180px' }}
+        />
+        <button onClick={watch} disabled={!addressInput} style={{ ...inputStyle, cursor: 'pointer' }}>
+          {t('portfolio.watch')}
+        </button>
+        <button onClick={addAddress} disabled={!addressInput} style={{ ...inputStyle, cursor: 'pointer' }}>
+          {t('portfolio.save')}
+        </button>
+      </div>
+      {inputError && <p style={{ color: '#ff6b6b', fontSize: '13px', margin: '0 0 8px' }}>{inputError}</p>}
+
+      {watchlist.length > 0 && (
+        <>
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+            gap: '24px',
+            margin: '24px 0'
+          }}>
+            <div>
+              <p style={{ color: '#888', fontSize: '13px', margin: '0 0 4px' }}>{t('portfolio.value')}</p>
+              <p style={{ fontSize: '28px', fontWeight: '700', margin: 0, color: '#00c896' }}>{formatUSD(totals.value)}</p>
+            </div>
+            <div>
+              <p style={{ color: '#888', fontSize: '13px', margin: '0 0 4px' }}>{t('portfolio.totalShares')}</p>
+              <p style={{ fontSize: '24px', fontWeight: '600', margin: 0, color: '#fff' }}>{formatNumber(totals.shares, 0)}</p>
+            </div>
+            <div>
+              <p style={{ color: '#888', fontSize: '13px', margin: '0 0 4px' }}>{t('portfolio.initialInvestment')}</p>
+              <p style={{ fontSize: '24px', fontWeight: '600', margin: 0, color: '#fff' }}>{formatUSD(totals.initialInvestment)}</p>
+            </div>
+            <div>
+              <p style={{ color: '#888', fontSize: '13px', margin: '0 0 4px' }}>{t('portfolio.blendedReturn')}</p>
+              <p style={{
+                fontSize: '24px',
+                fontWeight: '600',
+                margin: 0,
+                color: blendedReturn === null ? '#666' : sign(blendedReturn) >= 0 ? '#00c896' : '#ff6b6b'
+              }}>
+                {formatReturn(blendedReturn)}
+              </p>
+            </div>
+          </div>
+
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', color: '#ccc' }}>
+              <thead>
+                <tr style={{ color: '#666', textAlign: 'left', borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
+                  <th style={cellStyle}>{t('common.address')}</th>
+                  <th style={{ ...cellStyle, textAlign: 'right' }}>{t('common.shares')}</th>
+                  <th style={{ ...cellStyle, textAlign: 'right' }}>{t('common.value')}</th>
+                  <th style={{ ...cellStyle, textAlign: 'right' }}>{t('portfolio.initial')}</th>
+                  <th style={{ ...cellStyle, textAlign: 'right' }}>{t('portfolio.return')}</th>
+                  <th style={{ ...cellStyle, textAlign: 'right' }}>{t('portfolio.share')}</th>
+                  <th style={cellStyle} />
+                </tr>
+              </thead>
+              <tbody>
+                {watchlist.map(({ address, label }) => {
+                  const position = positions[address];
+                  const data = position?.data;
+                  return (
+                    <tr
+                      key={address}
+                      style={{
+                        borderBottom: '1px solid rgba(255,255,255,0.03)',
+                        background: address === watchAddress ? 'rgba(120, 80, 255, 0.08)' : 'transparent'
+                      }}
+                    >
+                      <td style={cellStyle}>
+                        {label && <span style={{ color: '#fff', marginRight: '8px' }}>{label}</span>}
+                        <span style={{ fontFamily: 'monospace', color: '#888' }}>{shortenAddress(address)}</span>
+                      </td>
+                      {!position ? (
+                        <td colSpan={5} style={{ ...cellStyle, color: '#666' }}>{t('common.loading')}</td>
+                      ) : position.error ? (
+                        <td colSpan={5} style={{ ...cellStyle, color: '#ff6b6b' }}>{t('portfolio.loadFailed')}</td>
+                      ) : !data ? (
+                        <td colSpan={5} style={{ ...cellStyle, color: '#666' }}>{t('portfolio.notWhitelisted')}</td>
+                      ) : (
+                        <>
+                          <td style={{ ...cellStyle, textAlign: 'right' }}>{formatNumber(data.shares, 0)}</td>
+                          <td style={{ ...cellStyle, textAlign: 'right' }}>{formatUSD(data.value)}</td>
+                          <td style={{ ...cellStyle, textAlign: 'right' }}>{formatUSD(data.initialInvestment)}</td>
+                          <td style={{ ...cellStyle, textAlign: 'right', color: sign(data.returnRate) >= 0 ? '#00c896' : '#ff6b6b' }}>
+                            {formatReturn(data.returnRate)}
+                          </td>
+                          <td style={{ ...cellStyle, textAlign: 'right' }}>
+                            {sign(totals.value) > 0 ? `${formatNumber(mul(div(data.value, totals.value), HUNDRED), 1)}%` : '-'}
+                          </td>
+                        </>
+                      )}
+                      <td style={{ ...cellStyle, textAlign: 'right' }}>
+                        <button onClick={() => onWatch(address)} style={linkButtonStyle}>{t('portfolio.view')}</button>{' '}
+                        <button onClick={() => setWatchlist(removeFromWatchlist(address))} style={linkButtonStyle}>
+                          {t('common.remove')}
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import { fetchPrivateDocuments } from '../siwe';
+import { formatDate, formatDateTime } from '../utils';
+import { t } from '../i18n';
+import useSession from '../hooks/useSession';
+
+const buttonStyle = {
+  padding: '6px 12px',
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.1)',
+  borderRadius: '8px',
+  color: '#ccc',
+  cursor: 'pointer',
+  fontSize: '12px',
+  fontFamily: 'inherit'
+};
+
+// ============ 私有文档 ============
+// 需要先用钱包签名登录（SIWE），会话有效期内才显示文档列表
+export default function PrivateDocuments({ fund, account }) {
+  const { session, signingIn, error, signIn, signOut } = useSession(fund, account);
+  const [documents, setDocuments] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    setDocuments(null);
+    setLoadError(null);
+    if (!session) return;
+
+    let cancelled = false;
+    fetchPrivateDocuments(session)
+      .then((docs) => { if (!cancelled) setDocuments(docs); })
+      .catch((err) => {
+        console.error('Error loading private documents:', err);
+        if (!cancelled) setLoadError(err.message);
+      });
+    return () => { cancelled = true; };
+  }, [session]);
+
+  return (
+    <div style={{
+      background: 'rgba(255,255,255,0.02)',
+      borderRadius: '20px',
+      padding: '28px',
+      border: '1px solid rgba(255,255,255,0.06)',
+      marginBottom: '32px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', margin: '0 0 24px', gap: '12px', flexWrap: 'wrap' }}>
+        <h2 style={{ fontSize: '18px', fontWeight: '600', margin: 0, color: '#fff' }}>
+          {t('private.title')}
+        </h2>
+        {session && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+            <span style={{ color: '#666', fontSize: '12px' }}>
+              {t('private.expires', { time: formatDateTime(session.expiresAt) })}
+            </span>
+            <button onClick={signOut} style={buttonStyle}>{t('private.signOut')}</button>
+          </div>
+        )}
+      </div>
+
+      {!session ? (
+        <div style={{ textAlign: 'center', padding: '16px 0' }}>
+          <p style={{ color: '#888', fontSize: '14px', margin: '0 0 20px' }}>
+            {t('private.intro')}
+          </p>
+          <button
+            onClick={signIn}
+            disabled={signingIn}
+            style={{
+              padding: '12px 28px',
+              background: 'linear-gradient(135deg, #7850ff 0%, #00c896 100%)',
+              border: 'none',
+              borderRadius: '12px',
+              color: '#fff',
+              fontWeight: '600',
+              cursor: signingIn ? 'wait' : 'pointer',
+              opacity: signingIn ? 0.6 : 1,
+              fontSize: '14px'
+            }}
+          >
+            {signingIn ? t('common.waitingForSignature') : t('private.signIn')}
+          </button>
+          {error && (
+            <p style={{ color: '#ff6b6b', fontSize: '13px', margin: '16px 0 0' }}>{error}</p>
+          )}
+        </div>
+      ) : loadError ? (
+        <p style={{ color: '#ff6b6b', fontSize: '14px', margin: 0 }}>{t('private.loadFailed', { error: loadError })}</p>
+      ) : !documents ? (
+        <p style={{ color: '#666', fontSize: '14px', margin: 0 }}>{t('private.loading')}</p>
+      ) : documents.length === 0 ? (
+        <p style={{ color: '#666', fontSize: '14px', margin: 0 }}>{t('private.empty')}</p>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          {documents.map((doc) => (
+            <div
+              key={doc.url}
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                padding: '12px 16px',
+                background: 'rgba(255,255,255,0.02)',
+                borderRadius: '10px'
+              }}
+            >
+              <div>
+                <p style={{ color: '#fff', fontSize: '14px', margin: 0 }}>{doc.name}</p>
+                {doc.date && (
+                  <p style={{ color: '#666', fontSize: '12px', margin: '4px 0 0' }}>{formatDate(Date.parse(doc.date) / 1000)}</p>
+                )}
+              </div>
+              <a href={doc.url} target="_blank" rel="noopener noreferrer" style={{ ...buttonStyle, textDecoration: 'none' }}>
+                {t('common.open')}
+              </a>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
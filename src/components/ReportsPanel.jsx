@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { getGateway, setGateway, gatewayUrl, normalizeCid, fetchVerifiedFile, detectFileType } from '../ipfs';
+import { formatNumber, formatDate } from '../utils';
+import { t } from '../i18n';
+
+const STATUS_LABELS = {
+  verifying: { text: 'reports.verifying', color: '#888' },
+  verified: { text: 'reports.verified', color: '#00c896' },
+  failed: { text: 'reports.failed', color: '#ff6b6b' }
+};
+
+const buttonStyle = {
+  padding: '6px 12px',
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.1)',
+  borderRadius: '8px',
+  color: '#ccc',
+  cursor: 'pointer',
+  fontSize: '12px',
+  fontFamily: 'inherit'
+};
+
+// ============ 净值报告 ============
+// 列出每条净值记录对应的 IPFS 文档，打开或下载前先校验内容与链上 CID 一致
+export default function ReportsPanel({ navHistory }) {
+  const [gateway, setGatewayState] = useState(getGateway);
+  const [gatewayInput, setGatewayInput] = useState(gateway);
+  const [documents, setDocuments] = useState({});
+  const urlsRef = useRef([]);
+
+  // 卸载时释放生成的 object URL
+  useEffect(() => () => urlsRef.current.forEach((url) => URL.revokeObjectURL(url)), []);
+
+  const saveGateway = () => {
+    setGateway(gatewayInput);
+    const next = getGateway();
+    setGatewayState(next);
+    setGatewayInput(next);
+    setDocuments({});
+  };
+
+  // 取回并校验文档，结果按 CID 缓存
+  const loadDocument = async (cid) => {
+    if (documents[cid]?.status === 'verified') return documents[cid];
+    setDocuments((prev) => ({ ...prev, [cid]: { status: 'verifying' } }));
+    try {
+      const bytes = await fetchVerifiedFile(cid, gateway);
+      const type = detectFileType(bytes);
+      const url = URL.createObjectURL(new Blob([bytes], { type: type.mime }));
+      urlsRef.current.push(url);
+      const doc = { status: 'verified', url, ext: type.ext };
+      setDocuments((prev) => ({ ...prev, [cid]: doc }));
+      return doc;
+    } catch (err) {
+      console.error(`Error verifying ${cid}:`, err);
+      setDocuments((prev) => ({ ...prev, [cid]: { status: 'failed', error: err.message } }));
+      return null;
+    }
+  };
+
+  const openDocument = async (cid) => {
+    // 先同步打开窗口，避免校验完成后被浏览器当作弹窗拦截
+    const win = window.open('', '_blank');
+    const doc = await loadDocument(cid);
+    if (doc && win) {
+      win.location.href = doc.url;
+    } else if (win) {
+      win.close();
+    }
+  };
+
+  const downloadDocument = async (cid, record) => {
+    const doc = await loadDocument(cid);
+    if (!doc) return;
+    const link = document.createElement('a');
+    link.href = doc.url;
+    link.download = `nav-statement-${record.index}-${new Date(record.timestamp * 1000).toISOString().slice(0, 10)}.${doc.ext}`;
+    link.click();
+  };
+
+  const records = [...navHistory].reverse();
+
+  return (
+    <div style={{
+      background: 'rgba(255,255,255,0.02)',
+      borderRadius: '20px',
+      padding: '28px',
+      border: '1px solid rgba(255,255,255,0.06)',
+      marginBottom: '32px'
+    }}>
+      <div style={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        gap: '12px',
+        marginBottom: '24px'
+      }}>
+        <h2 style={{ fontSize: '18px', fontWeight: '600', margin: 0, color: '#fff' }}>
+          {t('reports.title')}
+        </h2>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <span style={{ color: '#888', fontSize: '13px' }}>{t('reports.gateway')}</span>
+          <input
+            value={gatewayInput}
+            onChange={(e) => setGatewayInput(e.target.value)}
+            placeholder="https://ipfs.io"
+            style={{
+              width: '220px',
+              padding: '6px 10px',
+              background: 'rgba(255,255,255,0.05)',
+              border: '1px solid rgba(255,255,255,0.1)',
+              borderRadius: '8px',
+              color: '#fff',
+              fontSize: '13px',
+              fontFamily: 'monospace'
+            }}
+          />
+          <button onClick={saveGateway} disabled={gatewayInput === gateway} style={buttonStyle}>
+            {t('common.save')}
+          </button>
+        </div>
+      </div>
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', color: '#ccc' }}>
+          <thead>
+            <tr style={{ color: '#666', textAlign: 'left', borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
+              <th style={{ padding: '8px' }}>{t('common.date')}</th>
+              <th style={{ padding: '8px', textAlign: 'right' }}>{t('common.nav')}</th>
+              <th style={{ padding: '8px' }}>{t('reports.document')}</th>
+              <th style={{ padding: '8px' }}>{t('common.status')}</th>
+              <th style={{ padding: '8px' }} />
+            </tr>
+          </thead>
+          <tbody>
+            {records.map((record) => {
+              const cid = normalizeCid(record.ipfsHash);
+              const doc = documents[cid];
+              const status = doc && STATUS_LABELS[doc.status];
+              return (
+                <tr key={record.index} style={{ borderBottom: '1px solid rgba(255,255,255,0.03)' }}>
+                  <td style={{ padding: '8px' }}>{formatDate(record.timestamp)}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>${formatNumber(record.nav, 4)}</td>
+                  <td style={{ padding: '8px', fontFamily: 'monospace' }}>
+                    {cid ? (
+                      <a
+                        href={gatewayUrl(cid, gateway)}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        title={cid}
+                        style={{ color: '#888' }}
+                      >
+                        {cid.slice(0, 10)}...{cid.slice(-6)}
+                      </a>
+                    ) : (
+                      <span style={{ color: '#555' }}>{t('reports.noDocument')}</span>
+                    )}
+                  </td>
+                  <td style={{ padding: '8px', color: status?.color }} title={doc?.error}>
+                    {status && t(status.text)}
+                  </td>
+                  <td style={{ padding: '8px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                    {cid && (
+                      <>
+                        <button
+                          onClick={() => openDocument(cid)}
+                          disabled={doc?.status === 'verifying'}
+                          style={buttonStyle}
+                        >
+                          {t('common.open')}
+                        </button>{' '}
+                        <button
+                          onClick={() => downloadDocument(cid, record)}
+                          disabled={doc?.status === 'verifying'}
+                          style={buttonStyle}
+                        >
+                          {t('common.download')}
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <p style={{ color: '#555', fontSize: '12px', margin: '12px 0 0' }}>
+        {t('reports.note')}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,18 @@
+import React from 'react';
+import { navigate, routeHref } from '../router';
+
+// ============ 页面链接 ============
+// 普通点击在页面内切换；带修饰键或中键点击时交给浏览器（新标签页打开等）
+export default function RouteLink({ to, children, ...props }) {
+  const onClick = (e) => {
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to);
+  };
+
+  return (
+    <a href={routeHref(to)} onClick={onClick} {...props}>
+      {children}
+    </a>
+  );
+}
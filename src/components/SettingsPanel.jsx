@@ -0,0 +1,224 @@
+import React, { useState } from 'react';
+import { NETWORK, DEMO_MODE } from '../config';
+import { shortenAddress } from '../utils';
+import { notificationPermission, requestNotificationPermission } from '../notifications';
+import { t } from '../i18n';
+import LanguageSwitcher from './LanguageSwitcher';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.1)',
+  borderRadius: '8px',
+  color: '#ccc',
+  cursor: 'pointer',
+  fontSize: '13px',
+  fontFamily: 'inherit'
+};
+
+const numberInputStyle = {
+  width: '64px',
+  padding: '6px 8px',
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.1)',
+  borderRadius: '8px',
+  color: '#fff',
+  fontSize: '13px',
+  fontFamily: 'inherit'
+};
+
+const PERMISSION_COLORS = {
+  granted: '#00c896',
+  denied: '#ff6b6b',
+  default: '#888',
+  unsupported: '#888'
+};
+
+const rowStyle = {
+  display: 'flex',
+  justifyContent: 'space-between',
+  alignItems: 'center',
+  gap: '16px',
+  padding: '12px 0',
+  borderBottom: '1px solid rgba(255,255,255,0.04)',
+  fontSize: '14px'
+};
+
+const Section = ({ title, children }) => (
+  <div style={{
+    background: 'rgba(255,255,255,0.02)',
+    borderRadius: '20px',
+    padding: '28px',
+    border: '1px solid rgba(255,255,255,0.06)',
+    marginBottom: '32px'
+  }}>
+    <h2 style={{ fontSize: '18px', fontWeight: '600', margin: '0 0 16px', color: '#fff' }}>
+      {title}
+    </h2>
+    {children}
+  </div>
+);
+
+const Row = ({ label, children }) => (
+  <div style={rowStyle}>
+    <span style={{ color: '#888' }}>{label}</span>
+    <span style={{ color: '#ccc', textAlign: 'right' }}>{children}</span>
+  </div>
+);
+
+// ============ 设置 ============
+// 钱包、网络和本地偏好；钱包和基金状态由 App 统一管理，这里只展示和触发操作
+export default function SettingsPanel({
+  fund,
+  account,
+  walletChainId,
+  onConnect,
+  onDisconnect,
+  onSwitchNetwork,
+  jumpThreshold,
+  onJumpThresholdChange,
+  locale,
+  onLocaleChange,
+  alertSettings,
+  onAlertSettingsChange
+}) {
+  const wrongChain = account && walletChainId !== null && walletChainId !== fund.chainId;
+  const [permission, setPermission] = useState(notificationPermission);
+
+  const updateAlerts = (changes) => onAlertSettingsChange({ ...alertSettings, ...changes });
+
+  // 开启时先请求通知权限，用户拒绝则保持关闭
+  const toggleAlerts = async () => {
+    if (alertSettings.enabled) {
+      updateAlerts({ enabled: false });
+      return;
+    }
+    const result = await requestNotificationPermission();
+    setPermission(result);
+    if (result === 'granted') updateAlerts({ enabled: true });
+  };
+
+  return (
+    <>
+      <Section title={t('settings.wallet')}>
+        <Row label={t('settings.status')}>
+          {account ? (
+            <><span style={{ color: '#00c896' }}>●</span> {t('settings.connected')}</>
+          ) : t('settings.notConnected')}
+        </Row>
+        {account && (
+          <Row label={t('common.address')}>
+            <span style={{ fontFamily: 'monospace' }} title={account}>{shortenAddress(account)}</span>
+          </Row>
+        )}
+        {account && walletChainId !== null && (
+          <Row label={t('settings.walletNetwork')}>
+            <span style={{ color: wrongChain ? '#ffc850' : '#ccc' }}>
+              {t('settings.chainId', { chainId: walletChainId })}{wrongChain && t('settings.fundChain', { chain: fund.chainName })}
+            </span>
+          </Row>
+        )}
+        <div style={{ display: 'flex', gap: '8px', marginTop: '16px' }}>
+          {account ? (
+            <>
+              {wrongChain && <button onClick={onSwitchNetwork} style={buttonStyle}>{t('wallet.switchNetwork')}</button>}
+              <button onClick={onDisconnect} style={buttonStyle}>{t('wallet.disconnect')}</button>
+            </>
+          ) : (
+            <button onClick={onConnect} style={buttonStyle}>{t('wallet.connect')}</button>
+          )}
+        </div>
+      </Section>
+
+      <Section title={t('settings.network')}>
+        <Row label={t('settings.network')}>{t(`network.${NETWORK.key}`)}{DEMO_MODE && t('settings.simulated')}</Row>
+        <Row label={t('settings.chain')}>{fund.chainName} · {fund.chainId}</Row>
+        <Row label={t('settings.fundContract')}>
+          {fund.blockExplorer ? (
+            <a
+              href={`${fund.blockExplorer}/address/${fund.contractAddress}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              style={{ color: '#888', fontFamily: 'monospace' }}
+            >
+              {fund.contractAddress}
+            </a>
+          ) : (
+            <span style={{ fontFamily: 'monospace' }}>{fund.contractAddress}</span>
+          )}
+        </Row>
+        {fund.rpcUrls.length > 0 && (
+          <Row label={t('settings.rpcEndpoints')}>
+            {fund.rpcUrls.map((url) => (
+              <span key={url} style={{ display: 'block', fontFamily: 'monospace', fontSize: '13px' }}>{url}</span>
+            ))}
+          </Row>
+        )}
+      </Section>
+
+      <Section title={t('settings.preferences')}>
+        <Row label={t('language.label')}>
+          <LanguageSwitcher locale={locale} onChange={onLocaleChange} />
+        </Row>
+        <Row label={t('settings.jumpThreshold')}>
+          <input
+            type="number"
+            step="1"
+            min="0"
+            value={jumpThreshold}
+            onChange={(e) => onJumpThresholdChange(e.target.value)}
+            style={numberInputStyle}
+          />{' '}%
+        </Row>
+      </Section>
+
+      <Section title={t('settings.notifications')}>
+        <Row label={t('settings.browserNotifications')}>
+          <span style={{ display: 'inline-flex', alignItems: 'center', gap: '12px' }}>
+            <span style={{ color: PERMISSION_COLORS[permission] }}>
+              {alertSettings.enabled ? t('settings.notificationsOn') : t(`settings.permission.${permission}`)}
+            </span>
+            {permission !== 'unsupported' && permission !== 'denied' && (
+              <button onClick={toggleAlerts} style={buttonStyle}>
+                {alertSettings.enabled ? t('settings.disable') : t('settings.enable')}
+              </button>
+            )}
+          </span>
+        </Row>
+        <Row label={t('settings.notifyNewNav')}>
+          <input
+            type="checkbox"
+            checked={alertSettings.newNav}
+            onChange={(e) => updateAlerts({ newNav: e.target.checked })}
+            disabled={!alertSettings.enabled}
+          />
+        </Row>
+        <Row label={t('settings.navThreshold')}>
+          <input
+            type="number"
+            step="1"
+            min="0"
+            value={alertSettings.navThreshold}
+            onChange={(e) => updateAlerts({ navThreshold: e.target.value })}
+            disabled={!alertSettings.enabled}
+            style={numberInputStyle}
+          />{' '}%
+        </Row>
+        <Row label={t('settings.valueThreshold')}>
+          <input
+            type="number"
+            step="1"
+            min="0"
+            value={alertSettings.valueThreshold}
+            onChange={(e) => updateAlerts({ valueThreshold: e.target.value })}
+            disabled={!alertSettings.enabled}
+            style={numberInputStyle}
+          />{' '}%
+        </Row>
+        <p style={{ color: '#555', fontSize: '12px', margin: '16px 0 0' }}>
+          {t('settings.notificationsNote')}
+        </p>
+      </Section>
+    </>
+  );
+}
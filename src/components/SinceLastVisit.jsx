@@ -0,0 +1,88 @@
+import React from 'react';
+import { ROUTES, historyPath } from '../router';
+import { formatUSD, formatDate, formatPercent, percentColor } from '../utils';
+import { t } from '../i18n';
+import RouteLink from './RouteLink';
+
+// ============ 上次访问以来 ============
+export default function SinceLastVisit({ summary, onDismiss }) {
+  const items = [];
+  if (summary.newRecords > 0) {
+    items.push(
+      <RouteLink key="records" to={historyPath()} style={{ color: '#b8a4ff' }}>
+        {t('visit.newRecords', { count: summary.newRecords })}
+      </RouteLink>
+    );
+  }
+  if (summary.navChange !== null) {
+    items.push(
+      <span key="nav">
+        {t('visit.navChange', {
+          change: <span style={{ color: percentColor(summary.navChange) }}>{formatPercent(summary.navChange)}</span>
+        })}
+      </span>
+    );
+  }
+  if (summary.valueChange !== null) {
+    items.push(
+      <span key="value">
+        {t('visit.valueChange', {
+          change: (
+            <span style={{ color: percentColor(summary.valueChange) }}>
+              {summary.valueChange >= 0 ? '+' : '-'}{formatUSD(Math.abs(summary.valueChange))}
+              {summary.valueChangePercent !== null && ` (${formatPercent(summary.valueChangePercent)})`}
+            </span>
+          )
+        })}
+      </span>
+    );
+  }
+  if (summary.newDocuments > 0) {
+    items.push(
+      <RouteLink key="documents" to={ROUTES.documents.path} style={{ color: '#b8a4ff' }}>
+        {t('visit.newDocuments', { count: summary.newDocuments })}
+      </RouteLink>
+    );
+  }
+
+  return (
+    <div style={{
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      gap: '16px',
+      padding: '16px 20px',
+      background: 'rgba(120, 80, 255, 0.1)',
+      border: '1px solid rgba(120, 80, 255, 0.2)',
+      borderRadius: '12px',
+      marginBottom: '32px'
+    }}>
+      <div>
+        <p style={{ color: '#fff', fontSize: '14px', fontWeight: '600', margin: '0 0 6px' }}>
+          {t('visit.title')}
+          <span style={{ color: '#666', fontWeight: '400', marginLeft: '8px' }}>
+            {t('visit.since', { date: formatDate(summary.since) })}
+          </span>
+        </p>
+        <p style={{ display: 'flex', flexWrap: 'wrap', gap: '8px 20px', color: '#ccc', fontSize: '13px', margin: 0 }}>
+          {items}
+        </p>
+      </div>
+      <button
+        onClick={onDismiss}
+        style={{
+          padding: '8px 16px',
+          background: 'rgba(120, 80, 255, 0.15)',
+          border: '1px solid rgba(120, 80, 255, 0.3)',
+          borderRadius: '8px',
+          color: '#fff',
+          cursor: 'pointer',
+          fontSize: '13px',
+          whiteSpace: 'nowrap'
+        }}
+      >
+        {t('visit.dismiss')}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+import React from 'react';
+
+// ============ 指标卡片 ============
+export default function Stat({ label, value, sub, color = '#fff' }) {
+  return (
+    <div>
+      <p style={{ color: '#888', fontSize: '13px', margin: '0 0 4px' }}>{label}</p>
+      <p style={{ fontSize: '24px', fontWeight: '600', margin: 0, color }}>{value}</p>
+      {sub && <p style={{ color: '#666', fontSize: '12px', margin: '4px 0 0' }}>{sub}</p>}
+    </div>
+  );
+}
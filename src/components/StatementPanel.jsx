@@ -0,0 +1,126 @@
+import React, { useState, useMemo } from 'react';
+import { buildStatement, statementPDF, navHistoryCSV, positionCSV, downloadFile } from '../statement';
+import { toNumber } from '../money';
+import { t } from '../i18n';
+
+// 最近的若干个自然季度（UTC），最新的在前
+const recentQuarters = (count = 8) => {
+  const now = new Date();
+  let year = now.getUTCFullYear();
+  let quarter = Math.floor(now.getUTCMonth() / 3);
+  const quarters = [];
+  for (let i = 0; i < count; i++) {
+    const start = Date.UTC(year, quarter * 3, 1) / 1000;
+    const end = Math.min(Date.UTC(year, quarter * 3 + 3, 1) / 1000 - 1, Math.floor(Date.now() / 1000));
+    quarters.push({ key: `${year}-Q${quarter + 1}`, year, quarter: quarter + 1, toDate: i === 0, start, end });
+    quarter -= 1;
+    if (quarter < 0) {
+      quarter = 3;
+      year -= 1;
+    }
+  }
+  return quarters;
+};
+
+const toDateInput = (timestamp) => new Date(timestamp * 1000).toISOString().slice(0, 10);
+const fromDateInput = (value, endOfDay = false) => Date.parse(`${value}T${endOfDay ? '23:59:59' : '00:00:00'}Z`) / 1000;
+
+const inputStyle = {
+  padding: '8px 12px',
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.1)',
+  borderRadius: '8px',
+  color: '#fff',
+  fontSize: '13px',
+  fontFamily: 'inherit',
+  colorScheme: 'dark'
+};
+
+const buttonStyle = {
+  ...inputStyle,
+  cursor: 'pointer'
+};
+
+// ============ 对账单下载 ============
+export default function StatementPanel({ fund, fundData, navHistory, entries, account }) {
+  const quarters = useMemo(() => recentQuarters(), []);
+  const [period, setPeriod] = useState(quarters[1].key);
+  const [customStart, setCustomStart] = useState(toDateInput(quarters[1].start));
+  const [customEnd, setCustomEnd] = useState(toDateInput(quarters[1].end));
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const range = period === 'custom'
+    ? { start: fromDateInput(customStart), end: fromDateInput(customEnd, true) }
+    : quarters.find((q) => q.key === period);
+  const valid = Boolean(range) && Number.isFinite(range.start) && Number.isFinite(range.end) && range.start < range.end;
+  const fileSuffix = valid ? `${fund.id}-${toDateInput(range.start)}_${toDateInput(range.end)}` : '';
+
+  const downloadPDF = async () => {
+    setGenerating(true);
+    setError(null);
+    try {
+      const statement = buildStatement({ fund, fundData, navHistory, entries, account, ...range });
+      downloadFile(`statement-${fileSuffix}.pdf`, await statementPDF(statement));
+    } catch (err) {
+      console.error('Error generating statement:', err);
+      setError(t('statement.pdfFailed'));
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const downloadNavCSV = () => {
+    const rows = navHistory.filter((r) => r.timestamp >= range.start && r.timestamp <= range.end);
+    downloadFile(`nav-history-${fileSuffix}.csv`, navHistoryCSV(rows), 'text/csv');
+  };
+
+  const downloadPositionCSV = () => {
+    const csv = positionCSV(navHistory, entries, toNumber(fundData.currentNav), range.start, range.end);
+    downloadFile(`position-${fileSuffix}.csv`, csv, 'text/csv');
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(255,255,255,0.02)',
+      borderRadius: '20px',
+      padding: '28px',
+      border: '1px solid rgba(255,255,255,0.06)',
+      marginBottom: '32px'
+    }}>
+      <h2 style={{ fontSize: '18px', fontWeight: '600', margin: '0 0 8px', color: '#fff' }}>
+        {t('statement.title')}
+      </h2>
+      <p style={{ color: '#666', fontSize: '13px', margin: '0 0 20px' }}>
+        {t('statement.intro')}
+      </p>
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '12px' }}>
+        <select value={period} onChange={(e) => setPeriod(e.target.value)} style={buttonStyle}>
+          {quarters.map((q) => (
+            <option key={q.key} value={q.key} style={{ background: '#1a1a2e' }}>
+              {t(q.toDate ? 'statement.quarterToDate' : 'statement.quarter', { year: q.year, quarter: q.quarter })}
+            </option>
+          ))}
+          <option value="custom" style={{ background: '#1a1a2e' }}>{t('statement.custom')}</option>
+        </select>
+        {period === 'custom' && (
+          <>
+            <input type="date" value={customStart} onChange={(e) => setCustomStart(e.target.value)} style={inputStyle} />
+            <span style={{ color: '#666' }}>{t('statement.to')}</span>
+            <input type="date" value={customEnd} onChange={(e) => setCustomEnd(e.target.value)} style={inputStyle} />
+          </>
+        )}
+        <button onClick={downloadPDF} disabled={!valid || generating} style={buttonStyle}>
+          {generating ? t('statement.generating') : t('statement.pdf')}
+        </button>
+        <button onClick={downloadNavCSV} disabled={!valid} style={buttonStyle}>
+          {t('statement.navCSV')}
+        </button>
+        <button onClick={downloadPositionCSV} disabled={!valid} style={buttonStyle}>
+          {t('statement.positionCSV')}
+        </button>
+      </div>
+      {error && <p style={{ color: '#ff6b6b', fontSize: '13px', margin: '16px 0 0' }}>{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import React from 'react';
+import { t } from '../i18n';
+
+// ============ 钱包选择 ============
+export default function WalletPicker({ wallets, onSelect, onClose }) {
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(0,0,0,0.6)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 10
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: '360px',
+          maxWidth: 'calc(100vw - 48px)',
+          background: '#1a1a2e',
+          borderRadius: '20px',
+          padding: '28px',
+          border: '1px solid rgba(255,255,255,0.08)'
+        }}
+      >
+        <h3 style={{ fontSize: '18px', fontWeight: '600', margin: '0 0 20px', color: '#fff' }}>
+          {t('wallet.choose')}
+        </h3>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          {wallets.map((wallet) => (
+            <button
+              key={wallet.info.uuid}
+              onClick={() => onSelect(wallet)}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '12px',
+                padding: '12px 16px',
+                background: 'rgba(255,255,255,0.03)',
+                border: '1px solid rgba(255,255,255,0.08)',
+                borderRadius: '12px',
+                color: '#fff',
+                cursor: 'pointer',
+                fontSize: '15px',
+                fontFamily: 'inherit',
+                textAlign: 'left'
+              }}
+            >
+              {wallet.info.icon ? (
+                <img src={wallet.info.icon} alt="" style={{ width: '28px', height: '28px', borderRadius: '6px' }} />
+              ) : (
+                <span style={{ width: '28px', textAlign: 'center', fontSize: '20px' }}>👛</span>
+              )}
+              {wallet.info.name}
+            </button>
+          ))}
+        </div>
+        <button
+          onClick={onClose}
+          style={{
+            marginTop: '16px',
+            width: '100%',
+            padding: '10px',
+            background: 'none',
+            border: 'none',
+            color: '#666',
+            cursor: 'pointer',
+            fontSize: '14px',
+            fontFamily: 'inherit'
+          }}
+        >
+          {t('common.cancel')}
+        </button>
+      </div>
+    </div>
+  );
+}
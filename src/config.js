@@ -0,0 +1,262 @@
+// ============ 网络配置 ============
+// 构建时通过 VITE_NETWORK 选择网络（testnet / mainnet / local），默认 testnet；
+// 未设置 VITE_LOCK_NETWORK=true 时，也可以用 URL 参数 ?network=<key> 临时覆盖。
+// 各网络的合约地址可以用 VITE_<KEY>_CONTRACT_ADDRESS 覆盖，见 .env.example
+const env = import.meta.env;
+
+// 逗号分隔的 RPC 列表，按顺序使用，前一个不可用时自动切换到下一个
+const rpcList = (value, defaults) => (value ? value.split(',').map((url) => url.trim()).filter(Boolean) : defaults);
+
+export const NETWORKS = {
+  testnet: {
+    key: 'testnet',
+    label: 'Testnet',
+    isMainnet: false,
+    chainId: 84532,
+    chainName: 'Base Sepolia',
+    rpcUrls: rpcList(env.VITE_TESTNET_RPC_URLS, ['https://sepolia.base.org', 'https://base-sepolia-rpc.publicnode.com']),
+    blockExplorer: 'https://sepolia.basescan.org',
+    multicall3: '0xcA11bde05977b3631167028862bE2a173976CA11',
+    // 公共 RPC 单次 eth_getLogs 的区块范围上限
+    logChunkSize: 10000,
+    // 检查新区块的间隔（毫秒）
+    pollingInterval: 12000,
+    funds: [
+      {
+        id: 'main',
+        name: 'Fund Portal',
+        contractAddress: env.VITE_TESTNET_CONTRACT_ADDRESS || '0xF4a8A48813b6edF75E53f21A993D9f72147d86C8',
+        // 合约部署区块，用于确定扫描事件的起点；不填写时会自动查找
+        deployBlock: Number(env.VITE_TESTNET_DEPLOY_BLOCK) || null
+      }
+    ]
+  },
+  mainnet: {
+    key: 'mainnet',
+    label: 'Mainnet',
+    isMainnet: true,
+    chainId: 8453,
+    chainName: 'Base',
+    rpcUrls: rpcList(env.VITE_MAINNET_RPC_URLS, ['https://mainnet.base.org', 'https://base-rpc.publicnode.com']),
+    blockExplorer: 'https://basescan.org',
+    multicall3: '0xcA11bde05977b3631167028862bE2a173976CA11',
+    // 公共 RPC 单次 eth_getLogs 的区块范围上限
+    logChunkSize: 10000,
+    // 检查新区块的间隔（毫秒）
+    pollingInterval: 12000,
+    funds: [
+      {
+        id: 'main',
+        name: 'Fund Portal',
+        contractAddress: env.VITE_MAINNET_CONTRACT_ADDRESS || '',
+        deployBlock: Number(env.VITE_MAINNET_DEPLOY_BLOCK) || null
+      }
+    ]
+  },
+  local: {
+    key: 'local',
+    label: 'Local',
+    isMainnet: false,
+    chainId: 31337,
+    chainName: 'Localhost',
+    rpcUrls: rpcList(env.VITE_LOCAL_RPC_URL, ['http://127.0.0.1:8545']),
+    blockExplorer: '',
+    // 本地链默认没有 Multicall3，净值历史改用 JSON-RPC batch 读取
+    multicall3: env.VITE_LOCAL_MULTICALL3_ADDRESS || '',
+    logChunkSize: 100000,
+    pollingInterval: 4000,
+    funds: [
+      {
+        id: 'main',
+        name: 'Fund Portal',
+        contractAddress: env.VITE_LOCAL_CONTRACT_ADDRESS || '',
+        deployBlock: 0
+      }
+    ]
+  },
+  // 演示模式的模拟网络，数据见 src/demo/fixtures.js；后三只基金用于演示各类读取失败
+  demo: {
+    key: 'demo',
+    label: 'Demo',
+    isMainnet: false,
+    chainId: 31337,
+    chainName: 'Simulated Chain',
+    rpcUrls: [],
+    blockExplorer: '',
+    multicall3: '',
+    logChunkSize: 1000000,
+    pollingInterval: 12000,
+    funds: [
+      { id: 'growth', name: 'Demo Growth Fund', contractAddress: '0x00000000000000000000000000000000000De001', deployBlock: 0 },
+      {
+        id: 'income',
+        name: 'Demo Income Fund',
+        contractAddress: '0x00000000000000000000000000000000000De002',
+        deployBlock: 0,
+        fees: { managementFee: 0.01, performanceFee: 0.1, hurdle: 0.04, crystallization: 'quarterly' }
+      },
+      { id: 'throttled', name: 'Demo: Rate Limited', contractAddress: '0x00000000000000000000000000000000000De003', deployBlock: 0 },
+      { id: 'offline', name: 'Demo: Network Down', contractAddress: '0x00000000000000000000000000000000000De004', deployBlock: 0 },
+      { id: 'undeployed', name: 'Demo: Not Deployed', contractAddress: '0x00000000000000000000000000000000000De005', deployBlock: 0 }
+    ]
+  }
+};
+
+// ============ 演示模式 ============
+// VITE_DEMO_MODE=true 或 URL 参数 ?demo（未锁定网络时）启用：
+// 合约数据来自内置的演示基金（src/demo），并提供一个模拟的已连接钱包，无需网络
+const isDemoMode = () => {
+  if (env.VITE_DEMO_MODE === 'true') return true;
+  if (env.VITE_LOCK_NETWORK === 'true' || typeof window === 'undefined') return false;
+  const flag = new URLSearchParams(window.location.search).get('demo');
+  return flag !== null && flag !== 'false' && flag !== '0';
+};
+
+export const DEMO_MODE = isDemoMode();
+
+// 解析当前网络：演示模式使用模拟网络；URL 参数优先（未锁定时），其次构建时环境变量
+const resolveNetwork = () => {
+  if (DEMO_MODE) return NETWORKS.demo;
+  // 模拟网络只能通过演示模式使用
+  const isReal = (key) => key && key !== 'demo' && NETWORKS[key];
+  if (env.VITE_LOCK_NETWORK !== 'true' && typeof window !== 'undefined') {
+    const key = new URLSearchParams(window.location.search).get('network');
+    if (isReal(key)) return NETWORKS[key];
+  }
+  return isReal(env.VITE_NETWORK) ? NETWORKS[env.VITE_NETWORK] : NETWORKS.testnet;
+};
+
+export const NETWORK = resolveNetwork();
+
+// ============ 基金注册表 ============
+// 当前网络下的基金列表，每只基金继承所在网络的链配置（也可以在基金上单独覆盖）；
+// 新增基金只需在对应网络的 funds 中追加一项，
+// id 会出现在 URL（?fund=<id>）中，请保持简短且不要随意修改；
+// 可选的 fees 字段覆盖该基金的默认费用参数（见 FEE_CONFIG）
+const { funds, ...networkFields } = NETWORK;
+export const FUNDS = funds.map((f) => ({ ...networkFields, ...f }));
+
+export const DEFAULT_FUND_ID = FUNDS[0].id;
+
+// 按 id 查找基金，找不到时回退到默认基金
+export const getFund = (id) => FUNDS.find((f) => f.id === id) || FUNDS[0];
+
+// ============ RPC 请求 ============
+// 每个请求的超时（毫秒）；所有节点都失败时按 retryDelay 指数退避重试 retries 次
+export const RPC_CONFIG = {
+  timeout: 8000,
+  retries: 2,
+  retryDelay: 500
+};
+
+// ============ 合约ABI ============
+export const FUND_TOKEN_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function totalSupply() view returns (uint256)",
+  "function whitelist(address) view returns (bool)",
+  "function getCurrentNAV() view returns (uint256)",
+  "function getNavHistoryLength() view returns (uint256)",
+  "function navHistory(uint256) view returns (uint256 timestamp, uint256 nav, uint256 totalShares, uint256 totalAssets, string ipfsHash)",
+  "function lpInfo(address) view returns (uint256 initialInvestment, uint256 investmentDate, bool isActive)",
+  "function getLPValue(address) view returns (uint256)",
+  "function getLPReturn(address) view returns (int256)",
+  "function getFundOverview() view returns (string name, string description, uint256 inceptionDate, uint256 currentNav, uint256 totalShares, uint256 totalAssets, uint256 lpCount)",
+  "function fundName() view returns (string)",
+  "function fundDescription() view returns (string)",
+  "function fundInceptionDate() view returns (uint256)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)"
+];
+
+// ============ 业绩分析 ============
+// 计算 Sharpe / Sortino 时默认使用的年化无风险利率，页面上可以修改
+export const DEFAULT_RISK_FREE_RATE = 0.04;
+
+// ============ 基准指数 ============
+// 预置的基准序列文件（CSV 或 JSON，格式与页面上传的文件相同），需允许跨域访问；
+// 放在 public/ 下时使用站内路径，例如 VITE_BENCHMARKS=BTC=/benchmarks/btc.csv,S&P 500=/benchmarks/spx.json
+export const BENCHMARK_SOURCES = (env.VITE_BENCHMARKS || '')
+  .split(',')
+  .map((entry) => entry.trim())
+  .filter(Boolean)
+  .map((entry) => {
+    const separator = entry.indexOf('=');
+    return separator > 0
+      ? { name: entry.slice(0, separator).trim(), url: entry.slice(separator + 1).trim() }
+      : { name: entry.split('/').pop(), url: entry };
+  });
+
+// ============ 净值校验 ============
+// navTolerance：nav 与 totalAssets / totalShares 允许的相对误差；
+// jumpThreshold：相邻两次净值的默认涨跌幅预警线（页面上可以修改）；
+// clockSkew：记录时间晚于当前时间多少秒才视为“未来时间”
+export const INTEGRITY_CONFIG = {
+  navTolerance: 0.001,
+  jumpThreshold: 0.1,
+  clockSkew: 300
+};
+
+// ============ 净值提醒 ============
+// 浏览器通知的默认阈值（相对上次提醒时的涨跌幅），用户可以在设置页修改
+export const ALERT_CONFIG = {
+  navThreshold: 0.05,
+  valueThreshold: 0.05
+};
+
+// ============ 费用模型 ============
+// 费用计算器的默认参数（费率为年化小数），基金可以在注册表中用 fees 字段单独覆盖部分参数，
+// LP 也可以在页面上修改；crystallization 为业绩报酬计提周期：monthly / quarterly / annual
+export const FEE_CONFIG = {
+  managementFee: 0.02,
+  performanceFee: 0.2,
+  hurdle: 0,
+  highWaterMark: true,
+  crystallization: 'annual'
+};
+
+// ============ IPFS ============
+// 读取净值报告使用的网关，需支持 ?format=raw（trustless gateway），
+// 例如本地 Kubo 节点 http://127.0.0.1:8080；用户也可以在页面上修改
+export const IPFS_GATEWAY = env.VITE_IPFS_GATEWAY || 'https://ipfs.io';
+
+// ============ 管理员合约接口 ============
+// 管理后台用到的权限查询与写入方法，需与部署的合约保持一致
+export const FUND_ADMIN_ABI = [
+  "function owner() view returns (address)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function addToWhitelist(address lp)",
+  "function removeFromWhitelist(address lp)",
+  "function registerLP(address lp, uint256 initialInvestment, uint256 investmentDate)",
+  "function updateNAV(uint256 totalAssets, uint256 totalShares, string ipfsHash)"
+];
+
+// 拥有以下任一角色的地址也可以进入管理后台
+export const ADMIN_ROLES = ['DEFAULT_ADMIN_ROLE', 'ADMIN_ROLE', 'NAV_UPDATER_ROLE'];
+
+// ============ 申购/赎回申请 ============
+// mode 为 'backend' 时以 EIP-712 签名提交到 endpoint（POST {endpoint}/requests，
+// 状态查询 GET {endpoint}/requests/:id）；为 'onchain' 时直接调用合约
+export const LP_REQUEST_CONFIG = {
+  mode: env.VITE_LP_REQUEST_MODE || 'backend',
+  endpoint: (env.VITE_LP_REQUEST_ENDPOINT || '').replace(/\/+$/, ''),
+  // 签名的有效期
+  deadlineSeconds: 7 * 24 * 60 * 60
+};
+
+export const LP_REQUEST_ABI = [
+  "function requestSubscription(uint256 amount)",
+  "function requestRedemption(uint256 shares)"
+];
+
+// ============ 登录（Sign-In with Ethereum） ============
+// verifier 默认为 'backend'，由 endpoint 提供 GET /siwe/nonce、POST /siwe/verify，
+// 以及受保护的 GET /documents；'local' 在浏览器内校验签名，仅用于开发（演示模式默认使用）
+export const SIWE_CONFIG = {
+  verifier: env.VITE_SIWE_VERIFIER || (DEMO_MODE ? 'local' : 'backend'),
+  endpoint: (env.VITE_SIWE_ENDPOINT || '').replace(/\/+$/, ''),
+  statement: 'Sign in to the Fund Portal to access LP documents.',
+  // 会话有效期
+  sessionSeconds: 24 * 60 * 60
+};
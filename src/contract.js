@@ -0,0 +1,46 @@
+import { ethers } from 'ethers';
+import { FUND_TOKEN_ABI, DEMO_MODE } from './config';
+import { getActiveProvider } from './wallets';
+import { getSharedProvider, rpcError } from './rpc';
+import { demoSource } from './demo/source';
+import { t } from './i18n';
+
+// ============ 数据源 ============
+// 页面只通过本文件的四个函数访问合约。数据源实现同样的接口：
+// getProvider / getContract(fund, abi) / getSigner / getWritableContract(fund, abi)；
+// ethersSource 读取链上合约，demoSource 在演示模式下返回内置的演示基金
+
+const ethersSource = {
+  // 只读provider（同一网络共用，带节点切换和重试，见 rpc.js）
+  getProvider: (fund) => getSharedProvider(fund),
+
+  getContract: (fund, abi = FUND_TOKEN_ABI) => new ethers.Contract(fund.contractAddress, abi, getSharedProvider(fund)),
+
+  // 钱包签名者，调用前确保钱包处于基金所在网络
+  getSigner: async (fund) => {
+    const walletProvider = getActiveProvider();
+    if (!walletProvider) throw new Error(t('wallet.notConnected'));
+    const browserProvider = new ethers.BrowserProvider(walletProvider);
+    const network = await browserProvider.getNetwork();
+    if (Number(network.chainId) !== fund.chainId) {
+      throw rpcError(t('wallet.switchTo', { chain: fund.chainName }), 'WRONG_CHAIN');
+    }
+    return browserProvider.getSigner();
+  },
+
+  getWritableContract: async (fund, abi) => new ethers.Contract(fund.contractAddress, abi, await ethersSource.getSigner(fund))
+};
+
+const dataSource = DEMO_MODE ? demoSource : ethersSource;
+
+// 获取只读provider
+export const getProvider = (fund) => dataSource.getProvider(fund);
+
+// 获取合约实例（只读），默认使用基金代币 ABI
+export const getContract = (fund, abi) => dataSource.getContract(fund, abi);
+
+// 获取钱包签名者
+export const getSigner = (fund) => dataSource.getSigner(fund);
+
+// 获取可写合约实例（通过钱包签名）
+export const getWritableContract = (fund, abi) => dataSource.getWritableContract(fund, abi);
@@ -0,0 +1,186 @@
+// ============ 演示数据 ============
+// 按基金 id 生成确定性的演示数据：每周一条净值记录、LP 持仓和份额转账。
+// 时间以页面加载时刻为终点，随机数使用固定种子，每次打开的走势相同
+
+// 演示钱包使用 Hardhat 默认测试账户 #0 的私钥（公开的测试私钥），只用于本地签名
+export const DEMO_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+// Hardhat 测试账户 #0 - #6：demo 为模拟钱包，outsider / applicant 不在任何白名单中
+export const DEMO_ADDRESSES = {
+  demo: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+  alice: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+  bob: '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC',
+  carol: '0x90F79bf6EB2c4f870365E785982E1f101E93b906',
+  dave: '0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65',
+  outsider: '0x9965507D1a55bcC2695C58ba16FB37d819B0A4dc',
+  applicant: '0x976EA74026E726554dB657fA54763abd0C3a0aa9'
+};
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const WAD = 10n ** 18n;
+const WEEK = 7 * 24 * 60 * 60;
+
+// ============ 模拟链 ============
+export const BLOCK_TIME = 12;
+const GENESIS = Math.floor(Date.now() / 1000) - 5 * 365 * 24 * 60 * 60;
+
+export const nowSeconds = () => Math.floor(Date.now() / 1000);
+export const blockAt = (timestamp) => Math.floor((timestamp - GENESIS) / BLOCK_TIME);
+export const timestampOf = (blockNumber) => GENESIS + blockNumber * BLOCK_TIME;
+
+// ============ 基金设定 ============
+// scenario：ok 正常；rateLimited 读取净值历史和交易记录时被限流；
+// network 节点不可用；notDeployed 地址上没有合约。
+// flows 的 at 为发生时间在整段历史中的位置（0 - 1），amount 为美元金额
+const FUND_PLANS = {
+  growth: {
+    scenario: 'ok',
+    description: 'A long-only global equity strategy focused on companies with durable growth.\n'
+      + 'Simulated data for demos and local development; no real assets are held.',
+    years: 3,
+    seed: 7,
+    drift: 0.12,
+    volatility: 0.18,
+    whitelist: ['demo', 'alice', 'bob', 'carol', 'dave'],
+    flows: [
+      { at: 0, type: 'mint', to: 'alice', amount: 500000 },
+      { at: 0.05, type: 'mint', to: 'demo', amount: 250000 },
+      { at: 0.2, type: 'mint', to: 'bob', amount: 1000000 },
+      { at: 0.4, type: 'mint', to: 'demo', amount: 100000 },
+      { at: 0.5, type: 'mint', to: 'carol', amount: 150000 },
+      { at: 0.6, type: 'transfer', from: 'demo', to: 'alice', amount: 20000 },
+      { at: 0.7, type: 'mint', to: 'dave', amount: 300000 },
+      { at: 0.8, type: 'burn', from: 'demo', amount: 50000 },
+      { at: 0.9, type: 'burn', from: 'dave', all: true }
+    ]
+  },
+  income: {
+    scenario: 'ok',
+    description: 'A short-duration credit portfolio targeting steady monthly income.\n'
+      + 'Simulated data; record #40 contains an unreported NAV jump to exercise the integrity checks.',
+    years: 1.5,
+    seed: 42,
+    drift: 0.06,
+    volatility: 0.04,
+    jumps: { 40: 0.15 },
+    whitelist: ['demo', 'bob', 'carol'],
+    flows: [
+      { at: 0, type: 'mint', to: 'bob', amount: 600000 },
+      { at: 0.1, type: 'mint', to: 'demo', amount: 400000 },
+      { at: 0.3, type: 'mint', to: 'carol', amount: 250000 }
+    ]
+  },
+  throttled: {
+    scenario: 'rateLimited',
+    description: 'Simulated fund whose RPC endpoint rate limits history queries; the overview still loads.',
+    years: 1,
+    seed: 3,
+    drift: 0.08,
+    volatility: 0.1,
+    whitelist: ['demo', 'alice'],
+    flows: [
+      { at: 0, type: 'mint', to: 'alice', amount: 200000 },
+      { at: 0.5, type: 'mint', to: 'demo', amount: 50000 }
+    ]
+  },
+  offline: { scenario: 'network' },
+  undeployed: { scenario: 'notDeployed' }
+};
+
+// ============ 生成 ============
+const mulberry32 = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const gaussian = (random) => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+const toWad = (value) => BigInt(Math.round(value * 1e8)) * 10n ** 10n;
+
+const buildFixture = (id, plan) => {
+  const fixture = {
+    id,
+    scenario: plan.scenario,
+    description: plan.description || '',
+    records: [],
+    events: [],
+    balances: new Map(),
+    lpInfo: new Map(),
+    whitelist: new Set((plan.whitelist || []).map((name) => DEMO_ADDRESSES[name].toLowerCase()))
+  };
+  if (!plan.flows) return fixture;
+
+  const count = Math.round(plan.years * 52);
+  const start = nowSeconds() - (count - 1) * WEEK - 60 * 60;
+  const random = mulberry32(plan.seed);
+
+  // 净值随机游走（周度），可以在指定记录上叠加跳变
+  const navs = [];
+  let nav = 1;
+  for (let k = 0; k < count; k++) {
+    if (k > 0) {
+      nav *= 1 + plan.drift / 52 + (plan.volatility / Math.sqrt(52)) * gaussian(random) + (plan.jumps?.[k] || 0);
+    }
+    navs.push(toWad(nav));
+  }
+
+  // 资金流发生在对应净值记录的一小时后，按当时净值折算份额
+  const balanceOf = (address) => fixture.balances.get(address) || 0n;
+  const flowsByRecord = new Map();
+  plan.flows.forEach((flow) => {
+    const k = Math.floor(flow.at * (count - 1));
+    flowsByRecord.set(k, [...(flowsByRecord.get(k) || []), flow]);
+  });
+
+  let supply = 0n;
+  for (let k = 0; k < count; k++) {
+    const timestamp = start + k * WEEK;
+    fixture.records.push({
+      timestamp,
+      nav: navs[k],
+      totalShares: supply,
+      totalAssets: (navs[k] * supply) / WAD,
+      ipfsHash: ''
+    });
+
+    (flowsByRecord.get(k) || []).forEach((flow) => {
+      const from = flow.from ? DEMO_ADDRESSES[flow.from].toLowerCase() : null;
+      const to = flow.to ? DEMO_ADDRESSES[flow.to].toLowerCase() : null;
+      const shares = flow.all ? balanceOf(from) : (toWad(flow.amount) * WAD) / navs[k];
+
+      if (from) fixture.balances.set(from, balanceOf(from) - shares);
+      if (to) fixture.balances.set(to, balanceOf(to) + shares);
+      if (flow.type === 'mint') {
+        supply += shares;
+        const info = fixture.lpInfo.get(to);
+        fixture.lpInfo.set(to, {
+          initialInvestment: (info?.initialInvestment || 0n) + toWad(flow.amount),
+          investmentDate: info?.investmentDate ?? BigInt(timestamp + 60 * 60)
+        });
+      }
+      if (flow.type === 'burn') supply -= shares;
+
+      fixture.events.push({
+        from: from || ZERO_ADDRESS,
+        to: to || ZERO_ADDRESS,
+        value: shares,
+        timestamp: timestamp + 60 * 60
+      });
+    });
+  }
+
+  fixture.currentNav = navs[count - 1];
+  return fixture;
+};
+
+// 每只基金只生成一次；演示中的管理操作会直接修改这份数据
+const fixtures = new Map();
+
+export const getFixture = (fundId) => {
+  if (!fixtures.has(fundId)) {
+    fixtures.set(fundId, buildFixture(fundId, FUND_PLANS[fundId] || { scenario: 'notDeployed' }));
+  }
+  return fixtures.get(fundId);
+};
@@ -0,0 +1,182 @@
+import { ethers } from 'ethers';
+import { rpcError } from '../rpc';
+import { DEMO_PRIVATE_KEY, DEMO_ADDRESSES, getFixture, blockAt, timestampOf, nowSeconds } from './fixtures';
+
+// ============ 演示数据源 ============
+// 与 ethers 数据源接口相同，返回模拟的合约和 provider；
+// 方法只覆盖页面实际用到的部分，结果形状与 ethers 解码后的返回值一致
+
+const WAD = 10n ** 18n;
+const LATENCY = 150;
+
+const delay = () => new Promise((resolve) => setTimeout(resolve, LATENCY));
+
+// 按基金的演示场景模拟读取失败，错误形状与真实节点一致，便于页面归类
+const scenarioError = (fixture, method) => {
+  switch (fixture.scenario) {
+    case 'network':
+      return rpcError('Demo RPC endpoint is unreachable', 'NETWORK_ERROR');
+    case 'notDeployed':
+      return Object.assign(new Error('could not decode result data (value="0x")'), { code: 'BAD_DATA', value: '0x' });
+    case 'rateLimited':
+      return method === 'navHistory' || method === 'queryFilter'
+        ? rpcError('Demo RPC endpoint is rate limiting requests', 'RATE_LIMITED')
+        : null;
+    default:
+      return null;
+  }
+};
+
+const transactionHash = (...parts) => ethers.id(parts.join(':'));
+
+// ============ 模拟 provider ============
+const receipts = new Map();
+
+// getCode 需要按地址找到基金，由 getContract 登记
+const DEMO_FUNDS = {};
+
+const provider = {
+  getBlockNumber: async () => blockAt(nowSeconds()),
+  getBlock: async (blockNumber) => ({ number: blockNumber, timestamp: timestampOf(blockNumber) }),
+  getCode: async (address) => {
+    const fund = Object.values(DEMO_FUNDS).find((f) => f.contractAddress.toLowerCase() === address.toLowerCase());
+    return fund && getFixture(fund.id).scenario !== 'notDeployed' ? '0x60806040' : '0x';
+  },
+  getTransactionReceipt: async (hash) => receipts.get(hash) ?? null
+};
+
+// ============ 模拟合约 ============
+const totalSupply = (fixture) => Array.from(fixture.balances.values()).reduce((sum, b) => sum + b, 0n);
+
+const lpValue = (fixture, address) => ((fixture.balances.get(address) || 0n) * fixture.currentNav) / WAD;
+
+const readMethods = (fund, fixture) => {
+  const key = (address) => address.toLowerCase();
+  return {
+    name: () => fund.name,
+    symbol: () => 'DEMO',
+    decimals: () => 18n,
+    owner: () => DEMO_ADDRESSES.demo,
+    hasRole: () => false,
+    fundName: () => fund.name,
+    fundDescription: () => fixture.description,
+    fundInceptionDate: () => BigInt(fixture.records[0]?.timestamp ?? 0),
+    balanceOf: (address) => fixture.balances.get(key(address)) || 0n,
+    totalSupply: () => totalSupply(fixture),
+    whitelist: (address) => fixture.whitelist.has(key(address)),
+    getCurrentNAV: () => fixture.currentNav,
+    getNavHistoryLength: () => BigInt(fixture.records.length),
+    navHistory: (index) => {
+      const record = fixture.records[Number(index)];
+      if (!record) throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' });
+      return { ...record, timestamp: BigInt(record.timestamp) };
+    },
+    lpInfo: (address) => {
+      const info = fixture.lpInfo.get(key(address));
+      return {
+        initialInvestment: info?.initialInvestment ?? 0n,
+        investmentDate: info?.investmentDate ?? 0n,
+        isActive: (fixture.balances.get(key(address)) || 0n) > 0n
+      };
+    },
+    getLPValue: (address) => lpValue(fixture, key(address)),
+    // 基点
+    getLPReturn: (address) => {
+      const initial = fixture.lpInfo.get(key(address))?.initialInvestment ?? 0n;
+      return initial > 0n ? ((lpValue(fixture, key(address)) - initial) * 10000n) / initial : 0n;
+    },
+    getFundOverview: () => {
+      const supply = totalSupply(fixture);
+      return {
+        name: fund.name,
+        description: fixture.description,
+        inceptionDate: BigInt(fixture.records[0]?.timestamp ?? 0),
+        currentNav: fixture.currentNav,
+        totalShares: supply,
+        totalAssets: (fixture.currentNav * supply) / WAD,
+        lpCount: BigInt(fixture.lpInfo.size)
+      };
+    },
+    queryFilter: (filter, fromBlock, toBlock) => fixture.events
+      .map((event, i) => ({ ...event, i, blockNumber: blockAt(event.timestamp) }))
+      .filter((event) => (
+        (!filter.from || event.from === filter.from.toLowerCase())
+        && (!filter.to || event.to === filter.to.toLowerCase())
+        && event.blockNumber >= fromBlock && event.blockNumber <= toBlock
+      ))
+      .map((event) => ({
+        args: { from: ethers.getAddress(event.from), to: ethers.getAddress(event.to), value: event.value },
+        blockNumber: event.blockNumber,
+        index: 0,
+        transactionHash: transactionHash(fund.id, event.i)
+      }))
+  };
+};
+
+// 写操作立即“上链”并修改演示数据
+const writeMethods = (fixture) => {
+  const key = (address) => address.toLowerCase();
+  return {
+    addToWhitelist: (address) => fixture.whitelist.add(key(address)),
+    removeFromWhitelist: (address) => fixture.whitelist.delete(key(address)),
+    registerLP: (address, initialInvestment, investmentDate) => {
+      fixture.lpInfo.set(key(address), { initialInvestment, investmentDate: BigInt(investmentDate) });
+    },
+    updateNAV: (totalAssets, totalShares, ipfsHash) => {
+      const nav = (totalAssets * WAD) / totalShares;
+      fixture.records.push({ timestamp: nowSeconds(), nav, totalShares, totalAssets, ipfsHash });
+      fixture.currentNav = nav;
+    },
+    requestSubscription: () => {},
+    requestRedemption: () => {}
+  };
+};
+
+const withLatency = (fixture, name, fn) => async (...args) => {
+  await delay();
+  const err = scenarioError(fixture, name);
+  if (err) throw err;
+  return fn(...args);
+};
+
+const asTransaction = (fixture, name, fn) => Object.assign(
+  async (...args) => {
+    await delay();
+    const err = scenarioError(fixture, name);
+    if (err) throw err;
+    fn(...args);
+    const hash = ethers.hexlify(ethers.randomBytes(32));
+    const receipt = { hash, status: 1, blockNumber: blockAt(nowSeconds()) };
+    receipts.set(hash, receipt);
+    return { hash, wait: async () => receipt };
+  },
+  { estimateGas: async () => 60000n }
+);
+
+const buildContract = (fund, writable) => {
+  DEMO_FUNDS[fund.id] = fund;
+  const fixture = getFixture(fund.id);
+  const contract = {
+    target: fund.contractAddress,
+    runner: provider,
+    filters: { Transfer: (from, to) => ({ from, to }) }
+  };
+  Object.entries(readMethods(fund, fixture)).forEach(([name, fn]) => {
+    contract[name] = withLatency(fixture, name, fn);
+  });
+  if (writable) {
+    Object.entries(writeMethods(fixture)).forEach(([name, fn]) => {
+      contract[name] = asTransaction(fixture, name, fn);
+    });
+  }
+  return contract;
+};
+
+// ============ 数据源接口 ============
+export const demoSource = {
+  getProvider: () => provider,
+  // 忽略 ABI：模拟合约同时提供基金、管理和申请相关的方法
+  getContract: (fund) => buildContract(fund, false),
+  getSigner: async () => new ethers.Wallet(DEMO_PRIVATE_KEY),
+  getWritableContract: async (fund) => buildContract(fund, true)
+};
@@ -0,0 +1,37 @@
+import { NETWORK } from '../config';
+import { DEMO_ADDRESSES } from './fixtures';
+
+// ============ 模拟钱包 ============
+// 最小的 EIP-1193 provider：始终处于已连接状态、位于演示网络；
+// 签名由演示数据源的 getSigner 完成，这里只负责账户和网络信息
+const listeners = new Map();
+let connected = true;
+
+const emit = (event, payload) => (listeners.get(event) || []).forEach((fn) => fn(payload));
+
+const provider = {
+  request: async ({ method }) => {
+    switch (method) {
+      case 'eth_requestAccounts':
+        connected = true;
+        emit('accountsChanged', [DEMO_ADDRESSES.demo]);
+        return [DEMO_ADDRESSES.demo];
+      case 'eth_accounts':
+        return connected ? [DEMO_ADDRESSES.demo] : [];
+      case 'eth_chainId':
+        return `0x${NETWORK.chainId.toString(16)}`;
+      case 'wallet_switchEthereumChain':
+      case 'wallet_addEthereumChain':
+        return null;
+      default:
+        throw Object.assign(new Error(`The demo wallet does not support ${method}`), { code: 4200 });
+    }
+  },
+  on: (event, fn) => listeners.set(event, [...(listeners.get(event) || []), fn]),
+  removeListener: (event, fn) => listeners.set(event, (listeners.get(event) || []).filter((f) => f !== fn))
+};
+
+export const DEMO_WALLET = {
+  info: { uuid: 'demo', rdns: 'demo', name: 'Demo Wallet', icon: null },
+  provider
+};
@@ -0,0 +1,135 @@
+import { FEE_CONFIG } from './config';
+import { getFundKey } from './navCache';
+
+// ============ 费用参数 ============
+// 费率以百分比保存（与页面输入一致）；默认值来自 FEE_CONFIG 和基金注册表中的 fees，
+// LP 修改后的参数按基金保存在本地浏览器
+const SECONDS_PER_YEAR = 365.25 * 24 * 60 * 60;
+
+const feeKey = (fund) => `fund-portal:fees:${getFundKey(fund)}`;
+
+export const CRYSTALLIZATION_FREQUENCIES = ['monthly', 'quarterly', 'annual'];
+
+// 避免 0.07 * 100 之类的浮点误差出现在输入框里
+const toPercent = (rate) => Math.round(rate * 1e8) / 1e6;
+
+export const defaultFeeSettings = (fund) => {
+  const model = { ...FEE_CONFIG, ...fund.fees };
+  return {
+    managementFee: toPercent(model.managementFee),
+    performanceFee: toPercent(model.performanceFee),
+    hurdle: toPercent(model.hurdle),
+    highWaterMark: model.highWaterMark,
+    crystallization: model.crystallization
+  };
+};
+
+export const loadFeeSettings = (fund) => {
+  const defaults = defaultFeeSettings(fund);
+  try {
+    return { ...defaults, ...JSON.parse(localStorage.getItem(feeKey(fund))) };
+  } catch {
+    return defaults;
+  }
+};
+
+export const saveFeeSettings = (fund, settings) => {
+  localStorage.setItem(feeKey(fund), JSON.stringify(settings));
+};
+
+// 恢复基金的默认参数
+export const resetFeeSettings = (fund) => {
+  localStorage.removeItem(feeKey(fund));
+  return defaultFeeSettings(fund);
+};
+
+// ============ 费用估算 ============
+// 计提周期的标识（UTC），相邻净值点的标识不同时视为跨过了计提日
+const periodKey = (timestamp, frequency) => {
+  const date = new Date(timestamp * 1000);
+  const year = date.getUTCFullYear();
+  if (frequency === 'monthly') return `${year}-${date.getUTCMonth()}`;
+  if (frequency === 'quarterly') return `${year}-Q${Math.floor(date.getUTCMonth() / 3)}`;
+  return `${year}`;
+};
+
+// 假设链上公布的净值为扣费前（gross）净值，从 LP 的投资时点开始按净值点逐期模拟扣费后的价值：
+// - 管理费按期初至期末的时长、以扣费后的价值逐期计提并立即扣除
+// - 业绩报酬对超过门槛的部分计提：门槛 = 高水位 ×（1 + 门槛收益率）^ 本计提周期已过年数；
+//   每个计提周期按周期内最后一个净值点的计提额结算扣除，并更新高水位
+//   （启用高水位时取历史最高，否则每个周期以期初价值为新的基准）
+// 结果以投资金额 amount 为单位换算成美元；amount 为 0 时金额均为 0，收益率仍然有效
+export const simulateFees = (navHistory, entry, settings) => {
+  const entryIndex = navHistory.reduce((found, point, i) => (point.timestamp <= entry.timestamp ? i : found), 0);
+  const points = navHistory.slice(entryIndex);
+  if (points.length < 2 || !(points[0].nav > 0)) return null;
+
+  const managementRate = (Number(settings.managementFee) || 0) / 100;
+  const performanceRate = (Number(settings.performanceFee) || 0) / 100;
+  const hurdle = (Number(settings.hurdle) || 0) / 100;
+  const entryNav = points[0].nav;
+
+  // 以投资时的 1 单位价值计算
+  let value = 1;
+  let highWaterMark = 1;
+  let periodStart = points[0].timestamp;
+  let managementFees = 0;
+  let crystallized = 0;
+  let accrued = 0;
+
+  const threshold = (timestamp) => highWaterMark
+    * Math.pow(1 + hurdle, Math.max(0, timestamp - periodStart) / SECONDS_PER_YEAR);
+
+  const series = [{ timestamp: points[0].timestamp, gross: 0, net: 0, highWaterMark: 0 }];
+
+  for (let k = 1; k < points.length; k++) {
+    const prev = points[k - 1];
+    const curr = points[k];
+
+    if (periodKey(curr.timestamp, settings.crystallization) !== periodKey(prev.timestamp, settings.crystallization)) {
+      value -= accrued;
+      crystallized += accrued;
+      accrued = 0;
+      highWaterMark = settings.highWaterMark ? Math.max(highWaterMark, value) : value;
+      periodStart = prev.timestamp;
+    }
+
+    const dt = Math.max(0, curr.timestamp - prev.timestamp) / SECONDS_PER_YEAR;
+    value *= curr.nav / prev.nav;
+    const management = value * managementRate * dt;
+    value -= management;
+    managementFees += management;
+    accrued = performanceRate * Math.max(0, value - threshold(curr.timestamp));
+
+    series.push({
+      timestamp: curr.timestamp,
+      gross: curr.nav / entryNav - 1,
+      net: value - accrued - 1,
+      highWaterMark: highWaterMark - 1
+    });
+  }
+
+  const last = points[points.length - 1];
+  const gross = last.nav / entryNav;
+  const net = value - accrued;
+  const amount = entry.amount || 0;
+
+  return {
+    entryTimestamp: points[0].timestamp,
+    entryNav,
+    series,
+    grossReturn: gross - 1,
+    netReturn: net - 1,
+    feeDrag: gross - net,
+    grossValue: gross * amount,
+    netValue: net * amount,
+    managementFees: managementFees * amount,
+    performanceFeesCrystallized: crystallized * amount,
+    performanceFeesAccrued: accrued * amount,
+    totalFees: (managementFees + crystallized + accrued) * amount,
+    // 高水位换算为与公布净值可比的每份额净值
+    highWaterMark: highWaterMark * entryNav,
+    // 扣除管理费和已结算业绩报酬后的价值相对高水位的距离，负数表示低于高水位
+    distanceToHighWaterMark: value / highWaterMark - 1
+  };
+};
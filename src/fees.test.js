@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { simulateFees } from './fees';
+
+const at = (date, nav) => ({ timestamp: Date.parse(date) / 1000, nav });
+
+// 1 月上涨 20%，2 月回落 20%，3 月回到 1 月末的水平
+const navHistory = [
+  at('2024-01-15', 1),
+  at('2024-01-31', 1.2),
+  at('2024-02-15', 0.96),
+  at('2024-03-15', 1.2)
+];
+
+const settings = (overrides) => ({
+  managementFee: 0,
+  performanceFee: 20,
+  hurdle: 0,
+  highWaterMark: true,
+  crystallization: 'monthly',
+  ...overrides
+});
+
+const entry = { timestamp: navHistory[0].timestamp, amount: 1000 };
+
+describe('simulateFees', () => {
+  it('crystallizes the accrued performance fee when a period boundary is crossed', () => {
+    const result = simulateFees(navHistory.slice(0, 3), entry, settings());
+    // 1 月计提 20% × 0.2 = 0.04，在 2 月第一个点结算
+    expect(result.performanceFeesCrystallized).toBeCloseTo(40, 9);
+    expect(result.performanceFeesAccrued).toBeCloseTo(0, 9);
+    expect(result.highWaterMark).toBeCloseTo(1.16, 12);
+    expect(result.netReturn).toBeCloseTo(1.16 * 0.8 - 1, 12);
+  });
+
+  it('charges nothing for recovering back to the high-water mark', () => {
+    const result = simulateFees(navHistory, entry, settings());
+    expect(result.performanceFeesCrystallized).toBeCloseTo(40, 9);
+    expect(result.performanceFeesAccrued).toBeCloseTo(0, 9);
+    expect(result.netValue).toBeCloseTo(1160, 9);
+    expect(result.distanceToHighWaterMark).toBeCloseTo(0, 12);
+  });
+
+  it('resets the mark to the period-start value without a high-water mark', () => {
+    const result = simulateFees(navHistory, entry, settings({ highWaterMark: false }));
+    // 3 月以 2 月末的 0.928 为基准，回升到 1.16 时计提 20% × 0.232
+    expect(result.performanceFeesCrystallized).toBeCloseTo(40, 9);
+    expect(result.performanceFeesAccrued).toBeCloseTo(46.4, 9);
+    expect(result.netValue).toBeCloseTo(1113.6, 9);
+    expect(result.totalFees).toBeCloseTo(86.4, 9);
+  });
+
+  it('does not crystallize within a single period', () => {
+    const result = simulateFees(navHistory, entry, settings({ crystallization: 'annual' }));
+    expect(result.performanceFeesCrystallized).toBe(0);
+    expect(result.performanceFeesAccrued).toBeCloseTo(40, 9);
+  });
+});
@@ -0,0 +1,72 @@
+import { useState, useMemo, useCallback } from 'react';
+import {
+  loadBenchmarks, saveBenchmarks, parseBenchmarkFile, fetchBenchmark,
+  alignBenchmark, rebaseBenchmark, BENCHMARK_COLORS
+} from '../benchmarks';
+
+// ============ 基准指数 ============
+// 已添加的基准在所有基金间共用；series 为对齐并缩放到当前基金净值后的序列，
+// values 与 navHistory 逐点对应（无数据为 null）
+export default function useBenchmarks(navHistory) {
+  const [benchmarks, setBenchmarks] = useState(loadBenchmarks);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // 同名基准会被替换
+  const add = useCallback((added) => {
+    setBenchmarks((prev) => {
+      const names = new Set(added.map((b) => b.name));
+      const next = [...prev.filter((b) => !names.has(b.name)), ...added];
+      saveBenchmarks(next);
+      return next;
+    });
+  }, []);
+
+  const addFiles = useCallback(async (files) => {
+    setError(null);
+    setLoading(true);
+    try {
+      const added = await Promise.all([...files].map(async (file) => ({
+        name: file.name.replace(/\.(csv|json|txt)$/i, ''),
+        points: parseBenchmarkFile(file.name, await file.text())
+      })));
+      add(added);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [add]);
+
+  const addSource = useCallback(async (source) => {
+    setError(null);
+    setLoading(true);
+    try {
+      add([await fetchBenchmark(source)]);
+    } catch (err) {
+      console.error('Error loading benchmark:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [add]);
+
+  const remove = useCallback((name) => {
+    setBenchmarks((prev) => {
+      const next = prev.filter((b) => b.name !== name);
+      saveBenchmarks(next);
+      return next;
+    });
+  }, []);
+
+  const series = useMemo(() => benchmarks.map((b, i) => ({
+    name: b.name,
+    source: b.source,
+    color: BENCHMARK_COLORS[i % BENCHMARK_COLORS.length],
+    start: b.points[0].timestamp,
+    end: b.points[b.points.length - 1].timestamp,
+    values: rebaseBenchmark(alignBenchmark(b.points, navHistory), navHistory)
+  })), [benchmarks, navHistory]);
+
+  return { series, loading, error, addFiles, addSource, remove };
+}
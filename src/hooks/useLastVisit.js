@@ -0,0 +1,33 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { loadLastVisit, saveLastVisit, recordVisit, summarizeSinceVisit } from '../visits';
+
+// ============ 上次访问以来 ============
+// 打开页面时读取上次访问的记录用于汇总；数据加载完成后把当前状态记为本次访问，
+// 页面打开期间的新净值也随之记录。ready 为 false 时净值历史仍在加载
+export default function useLastVisit(fund, navHistory, ready, address, value) {
+  const [visit, setVisit] = useState(() => loadLastVisit(fund));
+  const [dismissed, setDismissed] = useState(false);
+  const fundRef = useRef(fund);
+
+  useEffect(() => {
+    setVisit(loadLastVisit(fund));
+    setDismissed(false);
+  }, [fund]);
+
+  useEffect(() => {
+    // 切换基金后的第一次渲染中净值历史仍属于上一只基金
+    if (fundRef.current !== fund) {
+      fundRef.current = fund;
+      return;
+    }
+    if (!ready || navHistory.length === 0) return;
+    saveLastVisit(fund, recordVisit(loadLastVisit(fund), navHistory, address, value));
+  }, [fund, navHistory, ready, address, value]);
+
+  const summary = useMemo(
+    () => (dismissed ? null : summarizeSinceVisit(visit, navHistory, address, value)),
+    [dismissed, visit, navHistory, address, value]
+  );
+
+  return { summary, dismiss: () => setDismissed(true) };
+}
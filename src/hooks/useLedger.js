@@ -0,0 +1,42 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { loadLedger, withNav } from '../ledger';
+import { t } from '../i18n';
+
+// ============ 交易记录加载 ============
+// 交易记录同时用于交易列表和个人业绩计算，统一在这里加载；
+// 链上事件只在切换基金/账户或 reload 时重新扫描，净值变化只重新估值
+export default function useLedger(fund, account, navHistory) {
+  const [rawEntries, setRawEntries] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [version, setVersion] = useState(0);
+
+  // 切换基金或账户时清空旧数据；reload 时保留旧数据直到新数据就绪
+  useEffect(() => setRawEntries(null), [fund, account]);
+
+  useEffect(() => {
+    setError(null);
+    if (!account) return;
+    let cancelled = false;
+
+    loadLedger(fund, account, (done, total) => {
+      if (!cancelled) setProgress({ done, total });
+    })
+      .then((result) => { if (!cancelled) setRawEntries(result); })
+      .catch((err) => {
+        console.error('Error loading ledger:', err);
+        if (!cancelled) setError(t('ledger.loadFailed'));
+      })
+      .finally(() => { if (!cancelled) setProgress(null); });
+
+    return () => { cancelled = true; };
+  }, [fund, account, version]);
+
+  const entries = useMemo(() => (
+    rawEntries && navHistory.length > 0 ? withNav(rawEntries, navHistory) : null
+  ), [rawEntries, navHistory]);
+
+  const reload = useCallback(() => setVersion((v) => v + 1), []);
+
+  return { entries, progress, error, reload };
+}
@@ -0,0 +1,47 @@
+import { useState, useEffect, useRef } from 'react';
+import { getProvider } from '../contract';
+
+// ============ 实时更新 ============
+// 按网络配置的间隔轮询区块高度，出现新区块时调用 onNewBlock 做增量刷新；
+// 上一次刷新未完成时跳过本轮，避免请求堆积
+export default function useLiveUpdates(fund, onNewBlock, enabled) {
+  const [lastBlock, setLastBlock] = useState(null);
+  const callbackRef = useRef(onNewBlock);
+  callbackRef.current = onNewBlock;
+
+  useEffect(() => {
+    setLastBlock(null);
+    if (!enabled) return;
+
+    const provider = getProvider(fund);
+    let cancelled = false;
+    let busy = false;
+    let lastNumber = null;
+
+    const poll = async () => {
+      if (busy) return;
+      busy = true;
+      try {
+        const blockNumber = await provider.getBlockNumber();
+        if (blockNumber !== lastNumber) {
+          await callbackRef.current(blockNumber);
+          lastNumber = blockNumber;
+          if (!cancelled) setLastBlock({ number: blockNumber, updatedAt: Date.now() });
+        }
+      } catch (err) {
+        console.error('Error polling for new blocks:', err);
+      } finally {
+        busy = false;
+      }
+    };
+
+    poll();
+    const timer = setInterval(poll, fund.pollingInterval);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [fund, enabled]);
+
+  return lastBlock;
+}
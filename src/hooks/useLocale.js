@@ -0,0 +1,12 @@
+import { useState, useEffect } from 'react';
+import { getLocale, setLocale, subscribeLocale } from '../i18n';
+
+// ============ 当前语言 ============
+// 在 App 中使用：切换语言时整页重新渲染，t() 和格式化函数随之使用新语言
+export default function useLocale() {
+  const [locale, setLocaleState] = useState(getLocale);
+
+  useEffect(() => subscribeLocale(setLocaleState), []);
+
+  return [locale, setLocale];
+}
@@ -0,0 +1,35 @@
+import { useEffect, useRef } from 'react';
+import { checkAlerts, initialBaseline, showNotification } from '../notifications';
+
+// ============ 净值提醒 ============
+// 页面打开期间，实时更新带来新的净值记录或涨跌超过阈值时发送浏览器通知；
+// 以开启提醒或加载完成时的状态为基准，切换基金时重新建立
+export default function useNavAlerts(fund, fundName, navHistory, ready, address, value, settings) {
+  const baselineRef = useRef(null);
+  const fundRef = useRef(fund);
+
+  useEffect(() => {
+    // 切换基金后的第一次渲染中净值历史仍属于上一只基金
+    if (fundRef.current !== fund) {
+      fundRef.current = fund;
+      baselineRef.current = null;
+      return;
+    }
+    if (!settings.enabled) {
+      baselineRef.current = null;
+      return;
+    }
+    if (!ready || navHistory.length === 0) return;
+
+    const latest = navHistory[navHistory.length - 1];
+    const current = { index: latest.index, nav: latest.nav, address, value };
+    if (!baselineRef.current) {
+      baselineRef.current = initialBaseline(current);
+      return;
+    }
+
+    const { alerts, baseline } = checkAlerts(baselineRef.current, current, settings, fundName);
+    baselineRef.current = baseline;
+    alerts.forEach(showNotification);
+  }, [fund, fundName, navHistory, ready, address, value, settings]);
+}
@@ -0,0 +1,16 @@
+import { useState, useEffect } from 'react';
+import { currentRoute } from '../router';
+
+// ============ 当前页面 ============
+// 前进/后退和 navigate() 都会触发 popstate
+export default function useRoute() {
+  const [route, setRoute] = useState(currentRoute);
+
+  useEffect(() => {
+    const onPopState = () => setRoute(currentRoute());
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  return route;
+}
@@ -0,0 +1,41 @@
+import { useState, useEffect, useCallback } from 'react';
+import { signIn as siweSignIn, loadSession, clearSession } from '../siwe';
+
+// ============ 登录会话 ============
+// 会话到期时自动失效，受保护的内容随之隐藏
+export default function useSession(fund, address) {
+  const [session, setSession] = useState(null);
+  const [signingIn, setSigningIn] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setError(null);
+    setSession(address ? loadSession(fund, address) : null);
+  }, [fund, address]);
+
+  useEffect(() => {
+    if (!session) return;
+    const timer = setTimeout(() => setSession(null), Math.max(0, session.expiresAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [session]);
+
+  const signIn = useCallback(async () => {
+    setSigningIn(true);
+    setError(null);
+    try {
+      setSession(await siweSignIn(fund, address));
+    } catch (err) {
+      console.error('Error signing in:', err);
+      setError(err.shortMessage || err.message);
+    } finally {
+      setSigningIn(false);
+    }
+  }, [fund, address]);
+
+  const signOut = useCallback(() => {
+    clearSession(fund, address);
+    setSession(null);
+  }, [fund, address]);
+
+  return { session, signingIn, error, signIn, signOut };
+}
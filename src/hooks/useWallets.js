@@ -0,0 +1,23 @@
+import { useState, useEffect, useMemo } from 'react';
+import { DEMO_MODE } from '../config';
+import { discoverWallets, getLegacyWallet } from '../wallets';
+import { DEMO_WALLET } from '../demo/wallet';
+
+// ============ 可用钱包列表 ============
+export default function useWallets() {
+  const [announced, setAnnounced] = useState([]);
+
+  useEffect(() => discoverWallets((detail) => {
+    setAnnounced((prev) => (
+      prev.some((w) => w.info.uuid === detail.info.uuid) ? prev : [...prev, detail]
+    ));
+  }), []);
+
+  return useMemo(() => {
+    // 演示模式只提供模拟钱包
+    if (DEMO_MODE) return [DEMO_WALLET];
+    if (announced.length > 0) return announced;
+    const legacy = getLegacyWallet();
+    return legacy ? [legacy] : [];
+  }, [announced]);
+}
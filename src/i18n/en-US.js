@@ -0,0 +1,441 @@
+// ============ English ============
+// key 按页面和组件分组；{name} 为占位符
+
+export default {
+  // 通用
+  'common.retry': 'Retry',
+  'common.cancel': 'Cancel',
+  'common.close': 'Close',
+  'common.open': 'Open',
+  'common.download': 'Download',
+  'common.save': 'Save',
+  'common.remove': 'Remove',
+  'common.date': 'Date',
+  'common.type': 'Type',
+  'common.nav': 'NAV',
+  'common.shares': 'Shares',
+  'common.value': 'Value',
+  'common.status': 'Status',
+  'common.address': 'Address',
+  'common.loading': 'Loading...',
+  'common.waitingForSignature': 'Waiting for signature...',
+  'common.sinceDate': '{change}% since {date}',
+  'common.dateRange': '{start} → {end}',
+
+  // 页面与导航
+  'nav.overview': 'Overview',
+  'nav.investment': 'My Investment',
+  'nav.history': 'NAV History',
+  'nav.documents': 'Documents',
+  'nav.settings': 'Settings',
+  'notFound.title': 'Page Not Found',
+  'notFound.message': 'There is no page at {path}.',
+  'notFound.back': 'Back to Overview',
+
+  // 网络
+  'network.testnet': 'Testnet',
+  'network.mainnet': 'Mainnet',
+  'network.local': 'Local',
+  'network.demo': 'Demo',
+  'network.badgeTitle': 'Connected to {chain} (chain {chainId}). Figures shown are not from mainnet.',
+
+  // 顶部与钱包
+  'app.subtitle': 'LP Investment Portal',
+  'app.checkedAt': 'Checked at {time}',
+  'app.updatedAtBlock': 'Updated at block {block}',
+  'app.loadingFund': 'Loading fund data...',
+  'app.footerContract': 'Contract: {address}',
+  'app.footerNetwork': 'Network: {chain}',
+  'wallet.connect': 'Connect Wallet',
+  'wallet.connecting': 'Connecting...',
+  'wallet.disconnect': 'Disconnect',
+  'wallet.switchNetwork': 'Switch Network',
+  'wallet.install': 'Please install MetaMask or another Web3 wallet',
+  'wallet.wrongNetwork': 'Your wallet is on a different network. Switch to {chain} to sign transactions.',
+  'wallet.notConnected': 'Please connect your wallet',
+  'wallet.switchTo': 'Please switch your wallet to {chain}',
+  'wallet.choose': 'Choose a Wallet',
+  'language.label': 'Language',
+
+  // 读取失败
+  'error.partial': '{title}: {subject} could not be loaded',
+  'error.subject.fundData': 'some fund data',
+  'error.subject.position': 'position data',
+  'error.subject.yourPosition': 'your position',
+  'rpc.network.title': 'Network unavailable',
+  'rpc.network.message': 'None of the RPC endpoints could be reached. Check your connection and try again.',
+  'rpc.rateLimited.title': 'Rate limited',
+  'rpc.rateLimited.message': 'The RPC endpoints are throttling requests. Wait a moment and try again.',
+  'rpc.wrongChain.title': 'Wrong network',
+  'rpc.wrongChain.message': 'The RPC endpoints are connected to a different chain than this fund.',
+  'rpc.notDeployed.title': 'Contract not found',
+  'rpc.notDeployed.message': 'No fund contract is deployed at the configured address on this network.',
+  'rpc.unknown.title': 'Something went wrong',
+  'rpc.unknown.message': 'An unexpected error occurred while reading the fund contract.',
+
+  // 概览
+  'overview.currentNav': 'Current NAV',
+  'overview.integrityLink': 'View the NAV integrity report',
+  'overview.sinceInception': '{change}% since inception',
+  'overview.totalShares': 'Total Shares',
+  'overview.outstandingShares': 'Outstanding shares',
+  'overview.inceptionDate': 'Inception Date',
+  'overview.trackRecord': '{days} days track record',
+  'overview.about': 'About the Fund',
+  'overview.loadingHistory': 'Loading NAV history... {loaded} / {total}',
+  'stats.aum': 'Assets Under Management',
+  'stats.totalAssets': 'Total fund assets',
+  'stats.investors': 'Investors',
+  'stats.registeredLPs': 'Registered LPs',
+  'stats.averageTicket': 'Average Ticket',
+  'stats.aumPerLP': 'AUM per LP',
+
+  // 净值走势图
+  'chart.title': 'NAV Performance',
+  'chart.range.1M': '1M',
+  'chart.range.3M': '3M',
+  'chart.range.YTD': 'YTD',
+  'chart.range.1Y': '1Y',
+  'chart.range.All': 'All',
+  'chart.growthOf': 'Growth of {amount}',
+  'chart.aum': 'AUM',
+  'chart.sharesOutstanding': 'Shares Outstanding',
+  'chart.drawdown': 'Drawdown',
+
+  // 业绩分析
+  'analytics.title': 'Performance Analytics',
+  'analytics.riskFreeRate': 'Risk-free rate {input} %',
+  'analytics.cagr': 'Annualized Return',
+  'analytics.volatility': 'Annualized Volatility',
+  'analytics.sharpe': 'Sharpe Ratio',
+  'analytics.sortino': 'Sortino Ratio',
+  'analytics.maxDrawdown': 'Max Drawdown',
+  'analytics.bestPeriod': 'Best Period',
+  'analytics.worstPeriod': 'Worst Period',
+  'analytics.year': 'Year',
+  'analytics.calendarNote': 'Months without a published NAV are left blank; their return is included in the next month that has one.',
+
+  // 基准比较
+  'benchmark.title': 'Benchmark Comparison',
+  'benchmark.upload': 'Upload CSV / JSON',
+  'benchmark.addSource': 'Add {name}',
+  'benchmark.empty': 'Upload an index series (date and value columns) or add a preset benchmark to compare it with the fund.',
+  'benchmark.name': 'Benchmark',
+  'benchmark.fundReturn': 'Fund (ann.)',
+  'benchmark.benchmarkReturn': 'Benchmark (ann.)',
+  'benchmark.excessReturn': 'Excess Return',
+  'benchmark.trackingError': 'Tracking Error',
+  'benchmark.beta': 'Beta',
+  'benchmark.correlation': 'Correlation',
+  'benchmark.upCapture': 'Up Capture',
+  'benchmark.downCapture': 'Down Capture',
+  'benchmark.noOverlap': 'No overlap with the NAV history (data covers {range})',
+  'benchmark.note': 'Benchmarks are sampled at each NAV publication date and rebased to the fund NAV at the first common date. Statistics use the periods where both series have data.',
+  'benchmark.noData': 'The file contains fewer than two valid data points',
+  'benchmark.invalidRow': 'Could not read a date and value from row {row}: {content}',
+  'benchmark.invalidJSON': 'Unrecognized JSON format',
+  'benchmark.fetchFailed': 'Failed to load {name} (HTTP {status})',
+
+  // 净值校验
+  'integrity.title': 'NAV Integrity',
+  'integrity.threshold': 'Flag NAV moves over {input} %',
+  'integrity.summary': 'Checked {count} published records against their reported assets and shares, their timestamps, and the contract\'s current NAV and share supply.',
+  'integrity.noIssues': '✓ No issues found.',
+  'integrity.severity': 'Severity',
+  'integrity.record': 'Record',
+  'integrity.check': 'Check',
+  'integrity.details': 'Details',
+  'integrity.current': 'Current',
+  'integrity.badge.ok': '✓ Verified',
+  'integrity.badge.warning': '⚠ {count} warning(s)',
+  'integrity.badge.error': '✗ {count} issue(s)',
+  'integrity.severity.error': 'Error',
+  'integrity.severity.warning': 'Warning',
+  'integrity.severity.info': 'Note',
+  'integrity.check.ratio': 'NAV vs assets / shares',
+  'integrity.check.order': 'Timestamp order',
+  'integrity.check.future': 'Future timestamp',
+  'integrity.check.jump': 'NAV jump',
+  'integrity.check.currentNav': 'Current NAV',
+  'integrity.check.totalSupply': 'Share supply',
+  'integrity.ratio': 'NAV {nav} differs from assets / shares {implied} by {diff}',
+  'integrity.ratioZeroShares': 'Assets are reported with zero shares outstanding',
+  'integrity.future': 'Timestamp {timestamp} ({date}) is in the future',
+  'integrity.order': 'Timestamp is not after record #{index}',
+  'integrity.jumpReported': 'NAV moved {change} since record #{index}; check the attached report',
+  'integrity.jumpUnreported': 'NAV moved {change} since record #{index} with no report attached',
+  'integrity.currentNav': 'getCurrentNAV() returns {current} but the latest record is {latest}',
+  'integrity.totalSupply': 'totalSupply() is {supply} but the latest record reports {shares} shares',
+
+  // 净值历史
+  'history.title': 'NAV History',
+  'history.index': '#',
+  'history.change': 'Change',
+  'history.totalAssets': 'Total Assets',
+  'history.totalShares': 'Total Shares',
+  'history.report': 'Report',
+  'history.record': 'Record #{index}',
+  'history.notFound': 'Record #{index} does not exist. This fund has published {count} NAV records.',
+  'history.published': 'Published',
+  'history.reportLink': 'Report: {link}',
+  'history.noReport': 'No document published',
+  'history.loading': 'Loading NAV history...',
+  'history.empty': 'No NAV records have been published yet.',
+  'history.pageInfo': '{count} records · page {page} of {pages}',
+  'history.previous': '← Previous',
+  'history.next': 'Next →',
+
+  // 净值报告
+  'reports.title': 'Reports & Documents',
+  'reports.gateway': 'IPFS gateway',
+  'reports.document': 'Document',
+  'reports.noDocument': 'No document',
+  'reports.verifying': 'Verifying...',
+  'reports.verified': '✓ Matches CID',
+  'reports.failed': '✗ Verification failed',
+  'reports.note': 'Documents are fetched block by block and checked against the CID recorded on-chain before they are opened.',
+  'documents.signInHint': 'Private LP documents are available after connecting a whitelisted wallet on the {link} page.',
+
+  // 私有文档
+  'private.title': 'Private Documents',
+  'private.expires': 'Session expires {time}',
+  'private.signOut': 'Sign Out',
+  'private.intro': 'Side letters, tax documents and other LP materials require signing in with your wallet.',
+  'private.signIn': 'Sign In with Ethereum',
+  'private.loadFailed': 'Failed to load documents: {error}',
+  'private.loading': 'Loading documents...',
+  'private.empty': 'No private documents have been published for this account.',
+  'siwe.unknownVerifier': 'Unknown sign-in verifier "{verifier}" (expected backend or local)',
+  'siwe.notSiwe': 'Not a Sign-In with Ethereum message',
+  'siwe.badSignature': 'Signature does not match the address',
+  'siwe.wrongDomain': 'Message was issued for another domain',
+  'siwe.wrongChain': 'Message was issued for another chain',
+  'siwe.badNonce': 'Unknown or reused nonce',
+  'siwe.expired': 'Message has expired',
+  'siwe.nonceFailed': 'Nonce endpoint returned {status}',
+  'siwe.rejected': 'Sign-in was rejected ({status})',
+  'siwe.addressMismatch': 'Signed-in address does not match the connected wallet',
+  'siwe.notWhitelisted': 'This address is not whitelisted',
+  'siwe.documentsFailed': 'Document service returned {status}',
+
+  // 我的投资
+  'investment.watching': 'Watch-only view of {address}',
+  'investment.backToWallet': 'Back to My Wallet',
+  'investment.exitWatch': 'Exit Watch Mode',
+  'investment.title': 'Investment',
+  'investment.yourTitle': 'Your Investment',
+  'investment.currentValue': 'Current Value',
+  'investment.yourShares': 'Your Shares',
+  'investment.initialInvestment': 'Initial Investment',
+  'investment.totalReturn': 'Total Return',
+  'investment.investmentDate': 'Investment Date: {date}',
+  'investment.connectTitle': 'Connect Your Wallet',
+  'investment.connectMessage': 'Connect your whitelisted wallet to view your investment details, share balance, and performance.',
+  'investment.addressNotWhitelisted': 'Address Not Whitelisted',
+  'investment.walletNotWhitelisted': 'Wallet Not Whitelisted',
+  'investment.addressNotRegistered': 'The address {address} is not registered as an LP in this fund.',
+  'investment.walletNotRegistered': 'Your connected wallet ({address}) is not registered as an LP. Please contact the fund administrator if you believe this is an error.',
+  'myFunds.title': 'My Funds',
+  'myFunds.checking': 'Checking funds...',
+  'myFunds.none': 'This wallet is not whitelisted in any fund.',
+
+  // 关注地址与组合
+  'portfolio.title': 'Watch Addresses & Portfolio',
+  'portfolio.intro': 'View any address read-only, or save several to see them combined. Saved addresses stay in this browser.',
+  'portfolio.addressPlaceholder': 'Address (0x...)',
+  'portfolio.labelPlaceholder': 'Label (optional)',
+  'portfolio.watch': 'Watch',
+  'portfolio.save': 'Save to Portfolio',
+  'portfolio.invalidAddress': 'Please enter a valid address.',
+  'portfolio.value': 'Portfolio Value',
+  'portfolio.totalShares': 'Total Shares',
+  'portfolio.initialInvestment': 'Initial Investment',
+  'portfolio.blendedReturn': 'Blended Return',
+  'portfolio.initial': 'Initial',
+  'portfolio.return': 'Return',
+  'portfolio.share': 'Share of Portfolio',
+  'portfolio.loadFailed': 'Failed to load',
+  'portfolio.notWhitelisted': 'Not whitelisted in this fund',
+  'portfolio.view': 'View',
+
+  // 个人业绩
+  'performance.title': 'Your Performance',
+  'performance.positionValue': 'Position Value',
+  'performance.netInvested': 'Net Invested',
+  'performance.xirr': 'Money-Weighted Return (XIRR)',
+  'performance.xirrNote': 'Annualized rate implied by your actual subscriptions, redemptions and current value. Reflects when and how much you invested, unlike the contract figure, which only compares current value with the single initial investment in lpInfo.',
+  'performance.twr': 'Time-Weighted Return',
+  'performance.twrNote': 'Fund NAV growth over the periods you held shares. Removes the effect of flow size and timing, so it is comparable across LPs; the contract figure does not.',
+  'performance.twrNoteAnnualized': 'Fund NAV growth over the periods you held shares ({annualized} annualized). Removes the effect of flow size and timing, so it is comparable across LPs; the contract figure does not.',
+  'performance.contract': 'Contract Return (getLPReturn)',
+  'performance.contractNote': 'Simple return reported on-chain: current value against the initial investment recorded in lpInfo. Not annualized and ignores later subscriptions, redemptions and transfers.',
+
+  // 费用与高水位
+  'fees.title': 'Fees & High-Water Mark',
+  'fees.reset': 'Reset to fund defaults',
+  'fees.managementFee': 'Management fee',
+  'fees.performanceFee': 'Performance fee',
+  'fees.hurdle': 'Hurdle rate',
+  'fees.perYear': '% / yr',
+  'fees.crystallization': 'Crystallization',
+  'fees.frequency.monthly': 'Monthly',
+  'fees.frequency.quarterly': 'Quarterly',
+  'fees.frequency.annual': 'Annual',
+  'fees.highWaterMark': 'High-water mark',
+  'fees.applyHighWaterMark': 'Apply',
+  'fees.notEnoughData': 'At least two NAV records since your investment date are needed to estimate fees.',
+  'fees.grossReturn': 'Gross Return',
+  'fees.netReturn': 'Net Return (est.)',
+  'fees.totalFees': 'Estimated Fees',
+  'fees.feeDrag': '{drag} of your initial investment',
+  'fees.managementFees': 'Management Fees',
+  'fees.performanceFees': 'Performance Fees',
+  'fees.performanceFeesDetail': '{crystallized} crystallized · {accrued} accrued',
+  'fees.highWaterMarkNav': 'High-Water Mark (per share)',
+  'fees.aboveHighWaterMark': '{distance} above',
+  'fees.belowHighWaterMark': '{distance} below, needs {required} to recover',
+  'fees.note': 'Estimate assuming the published NAV is before fees, starting from your investment on {date} at NAV {nav} and ignoring later subscriptions and redemptions. Actual fees are set by the fund documents.',
+
+  // 申购/赎回
+  'lpRequest.title': 'Subscribe / Redeem',
+  'lpRequest.subscribe': 'Subscribe',
+  'lpRequest.redeem': 'Redeem',
+  'lpRequest.usd': 'USD',
+  'lpRequest.amountPlaceholder': 'Amount in USD',
+  'lpRequest.sharesPlaceholder': 'Number of shares',
+  'lpRequest.sign': 'Sign {kind} Request',
+  'lpRequest.estimate': 'Estimate at current NAV {nav}: {amount} ≈ {shares} shares. Final amounts are set at the NAV applied when the request is processed.',
+  'lpRequest.exceedsBalance': 'Exceeds your balance of {shares} shares.',
+  'lpRequest.noEndpoint': 'No request endpoint is configured; signed requests are kept in this browser only.',
+  'lpRequest.amount': 'Amount',
+  'lpRequest.reference': 'Reference',
+  'lpRequest.kind.subscription': 'Subscription',
+  'lpRequest.kind.redemption': 'Redemption',
+  'lpRequest.status.signed': 'Signed',
+  'lpRequest.status.submitted': 'Submitted',
+  'lpRequest.status.pending': 'Pending',
+  'lpRequest.status.approved': 'Approved',
+  'lpRequest.status.confirmed': 'Confirmed',
+  'lpRequest.status.settled': 'Settled',
+  'lpRequest.status.rejected': 'Rejected',
+  'lpRequest.status.failed': 'Failed',
+  'lpRequest.endpointFailed': 'Request endpoint returned {status}',
+  'lpRequest.zeroAmount': 'Amount must be greater than zero',
+
+  // 对账单
+  'statement.title': 'Download Statement',
+  'statement.intro': 'Generated in your browser from the on-chain data shown on this page.',
+  'statement.quarter': '{year} Q{quarter}',
+  'statement.quarterToDate': '{year} Q{quarter} (to date)',
+  'statement.custom': 'Custom range',
+  'statement.to': 'to',
+  'statement.generating': 'Generating...',
+  'statement.pdf': 'Statement (PDF)',
+  'statement.pdfFailed': 'Could not generate the PDF statement. Please try again.',
+  'statement.navCSV': 'NAV History (CSV)',
+  'statement.positionCSV': 'Position (CSV)',
+
+  // 交易记录
+  'ledger.title': 'Transaction History',
+  'ledger.scanning': 'Scanning transfers...',
+  'ledger.empty': 'No transactions found for this wallet.',
+  'ledger.loadFailed': 'Failed to load transaction history.',
+  'ledger.counterparty': 'Counterparty',
+  'ledger.tx': 'Tx',
+  'ledger.type.mint': 'Subscription',
+  'ledger.type.burn': 'Redemption',
+  'ledger.type.in': 'Transfer In',
+  'ledger.type.out': 'Transfer Out',
+
+  // 管理后台
+  'admin.title': 'Admin Console',
+  'admin.whitelist': 'Whitelist',
+  'admin.registerLP': 'Register LP',
+  'admin.publishNAV': 'Publish NAV',
+  'admin.lpAddressPlaceholder': 'LP address (0x...)',
+  'admin.initialInvestmentPlaceholder': 'Initial investment (USD)',
+  'admin.totalAssetsPlaceholder': 'Total assets (USD)',
+  'admin.totalSharesPlaceholder': 'Total shares',
+  'admin.ipfsPlaceholder': 'IPFS hash of NAV statement',
+  'admin.add': 'Add',
+  'admin.register': 'Register',
+  'admin.publish': 'Publish',
+  'admin.confirmTitle': 'Confirm: {title}',
+  'admin.contract': 'Contract',
+  'admin.function': 'Function',
+  'admin.estimatedGas': 'Estimated gas',
+  'admin.estimating': 'Estimating...',
+  'admin.confirm': 'Confirm & Sign',
+  'admin.block': 'block {block}',
+  'admin.txFailed': 'Transaction failed',
+  'admin.status.pending': 'Pending',
+  'admin.status.mined': 'Mined',
+  'admin.status.failed': 'Failed',
+  'admin.action.addToWhitelist': 'Add to whitelist',
+  'admin.action.removeFromWhitelist': 'Remove from whitelist',
+  'admin.action.registerLP': 'Register LP',
+  'admin.action.updateNAV': 'Publish NAV',
+  'admin.field.lpAddress': 'LP address',
+  'admin.field.initialInvestment': 'Initial investment',
+  'admin.field.investmentDate': 'Investment date',
+  'admin.field.totalAssets': 'Total assets',
+  'admin.field.totalShares': 'Total shares',
+  'admin.field.impliedNav': 'Implied NAV',
+  'admin.field.ipfsHash': 'IPFS hash',
+  'admin.none': '(none)',
+  'admin.invalidDate': 'Invalid investment date',
+  'admin.zeroShares': 'Share count must be greater than zero',
+
+  // 上次访问与通知
+  'visit.title': 'Since your last visit',
+  'visit.since': 'Last visit {date}',
+  'visit.newRecords': '{count} new NAV record(s)',
+  'visit.navChange': 'NAV {change}',
+  'visit.valueChange': 'Your position {change}',
+  'visit.newDocuments': '{count} new report(s)',
+  'visit.dismiss': 'Dismiss',
+  'alerts.newNav.title': '{fund}: new NAV published',
+  'alerts.newNav.body': 'NAV {nav}',
+  'alerts.newNav.bodyChange': 'NAV {nav} ({change})',
+  'alerts.navMove.title': '{fund}: NAV moved {change}',
+  'alerts.navMove.body': 'NAV {from} → {to}',
+  'alerts.valueMove.title': '{fund}: position value moved {change}',
+  'alerts.valueMove.body': 'Position value {from} → {to}',
+
+  // 设置
+  'settings.wallet': 'Wallet',
+  'settings.status': 'Status',
+  'settings.connected': 'Connected',
+  'settings.notConnected': 'Not connected',
+  'settings.walletNetwork': 'Wallet network',
+  'settings.chainId': 'Chain {chainId}',
+  'settings.fundChain': ' (fund is on {chain})',
+  'settings.network': 'Network',
+  'settings.simulated': ' (simulated data)',
+  'settings.chain': 'Chain',
+  'settings.fundContract': 'Fund contract',
+  'settings.rpcEndpoints': 'RPC endpoints',
+  'settings.preferences': 'Preferences',
+  'settings.jumpThreshold': 'Flag NAV moves larger than',
+  'settings.notifications': 'Notifications',
+  'settings.browserNotifications': 'Browser notifications',
+  'settings.notificationsOn': 'On',
+  'settings.permission.default': 'Off',
+  'settings.permission.granted': 'Off',
+  'settings.permission.denied': 'Blocked in browser settings',
+  'settings.permission.unsupported': 'Not supported by this browser',
+  'settings.enable': 'Enable',
+  'settings.disable': 'Disable',
+  'settings.notifyNewNav': 'New NAV publications',
+  'settings.navThreshold': 'NAV moves larger than',
+  'settings.valueThreshold': 'Position value moves larger than',
+  'settings.notificationsNote': 'Notifications are sent only while the portal is open in a browser tab. Moves are measured from the level at the previous notification.',
+
+  // IPFS
+  'ipfs.unsupportedHash': 'Unsupported hash function {code} in {cid}',
+  'ipfs.mismatch': 'Content returned by the gateway does not match {cid}',
+  'ipfs.gatewayFailed': 'Gateway returned {status} for {cid}',
+  'ipfs.unsupportedCodec': 'Unsupported codec {code} in {cid}',
+  'ipfs.notFile': '{cid} is not a file',
+  'ipfs.invalidCid': 'Invalid CID: {hash}'
+};
@@ -0,0 +1,79 @@
+import React from 'react';
+import enUS from './en-US';
+import zhCN from './zh-CN';
+
+// ============ 多语言 ============
+// 文案按 key 从当前语言的词条中读取，缺失时回退到英文；
+// units 为 formatUSD 使用的缩写单位（10 的幂次，从大到小）
+export const LOCALES = {
+  'en-US': {
+    label: 'English',
+    messages: enUS,
+    units: [{ exponent: 6, suffix: 'M' }, { exponent: 3, suffix: 'K' }]
+  },
+  'zh-CN': {
+    label: '简体中文',
+    messages: zhCN,
+    units: [{ exponent: 8, suffix: '亿' }, { exponent: 4, suffix: '万' }]
+  }
+};
+
+export const DEFAULT_LOCALE = 'en-US';
+
+const LOCALE_STORAGE_KEY = 'fund-portal:locale';
+
+// 优先使用用户选择过的语言，其次浏览器语言
+const detectLocale = () => {
+  try {
+    const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (LOCALES[stored]) return stored;
+  } catch {
+    // 无法访问 localStorage 时按浏览器语言
+  }
+  const languages = typeof navigator === 'undefined' ? [] : navigator.languages || [navigator.language];
+  return languages.some((lang) => /^zh/i.test(lang)) ? 'zh-CN' : DEFAULT_LOCALE;
+};
+
+let current = detectLocale();
+const listeners = new Set();
+
+const syncDocument = () => {
+  if (typeof document !== 'undefined') document.documentElement.lang = current;
+};
+syncDocument();
+
+export const getLocale = () => current;
+
+export const setLocale = (locale) => {
+  if (!LOCALES[locale] || locale === current) return;
+  current = locale;
+  localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+  syncDocument();
+  listeners.forEach((listener) => listener(locale));
+};
+
+// 返回取消订阅的函数
+export const subscribeLocale = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// 在指定语言下同步执行 fn，用于语言固定的导出文件
+export const withLocale = (locale, fn) => {
+  const previous = current;
+  current = locale;
+  try {
+    return fn();
+  } finally {
+    current = previous;
+  }
+};
+
+// 读取文案并替换 {name} 占位符；参数中有 React 元素时返回片段，便于在句中嵌入链接等
+export const t = (key, params = {}) => {
+  const template = LOCALES[current].messages[key] ?? LOCALES[DEFAULT_LOCALE].messages[key] ?? key;
+  const parts = template.split(/\{(\w+)\}/).map((part, i) => (i % 2 === 1 ? params[part] ?? `{${part}}` : part));
+  return parts.some((part) => React.isValidElement(part))
+    ? React.createElement(React.Fragment, null, ...parts)
+    : parts.join('');
+};
@@ -0,0 +1,441 @@
+// ============ 简体中文 ============
+// key 与 en-US.js 一致；缺失的 key 回退到英文
+
+export default {
+  // 通用
+  'common.retry': '重试',
+  'common.cancel': '取消',
+  'common.close': '关闭',
+  'common.open': '打开',
+  'common.download': '下载',
+  'common.save': '保存',
+  'common.remove': '移除',
+  'common.date': '日期',
+  'common.type': '类型',
+  'common.nav': '净值',
+  'common.shares': '份额',
+  'common.value': '市值',
+  'common.status': '状态',
+  'common.address': '地址',
+  'common.loading': '加载中...',
+  'common.waitingForSignature': '等待签名...',
+  'common.sinceDate': '自 {date} 起 {change}%',
+  'common.dateRange': '{start} → {end}',
+
+  // 页面与导航
+  'nav.overview': '概览',
+  'nav.investment': '我的投资',
+  'nav.history': '净值历史',
+  'nav.documents': '文档',
+  'nav.settings': '设置',
+  'notFound.title': '页面不存在',
+  'notFound.message': '没有找到 {path} 对应的页面。',
+  'notFound.back': '返回概览',
+
+  // 网络
+  'network.testnet': '测试网',
+  'network.mainnet': '主网',
+  'network.local': '本地',
+  'network.demo': '演示',
+  'network.badgeTitle': '当前连接 {chain}（链 ID {chainId}），显示的数据并非来自主网。',
+
+  // 顶部与钱包
+  'app.subtitle': 'LP 投资门户',
+  'app.checkedAt': '检查于 {time}',
+  'app.updatedAtBlock': '已更新至区块 {block}',
+  'app.loadingFund': '正在加载基金数据...',
+  'app.footerContract': '合约：{address}',
+  'app.footerNetwork': '网络：{chain}',
+  'wallet.connect': '连接钱包',
+  'wallet.connecting': '连接中...',
+  'wallet.disconnect': '断开连接',
+  'wallet.switchNetwork': '切换网络',
+  'wallet.install': '请安装 MetaMask 或其他 Web3 钱包',
+  'wallet.wrongNetwork': '钱包当前在其他网络上。请切换到 {chain} 后再签名交易。',
+  'wallet.notConnected': '请先连接钱包',
+  'wallet.switchTo': '请将钱包切换到 {chain}',
+  'wallet.choose': '选择钱包',
+  'language.label': '语言',
+
+  // 读取失败
+  'error.partial': '{title}：无法加载{subject}',
+  'error.subject.fundData': '部分基金数据',
+  'error.subject.position': '持仓数据',
+  'error.subject.yourPosition': '您的持仓',
+  'rpc.network.title': '网络不可用',
+  'rpc.network.message': '无法连接任何 RPC 节点，请检查网络后重试。',
+  'rpc.rateLimited.title': '请求被限流',
+  'rpc.rateLimited.message': 'RPC 节点正在限制请求频率，请稍后重试。',
+  'rpc.wrongChain.title': '网络不匹配',
+  'rpc.wrongChain.message': 'RPC 节点连接的链与该基金不一致。',
+  'rpc.notDeployed.title': '未找到合约',
+  'rpc.notDeployed.message': '当前网络上配置的地址没有部署基金合约。',
+  'rpc.unknown.title': '出现错误',
+  'rpc.unknown.message': '读取基金合约时发生意外错误。',
+
+  // 概览
+  'overview.currentNav': '当前净值',
+  'overview.integrityLink': '查看净值校验报告',
+  'overview.sinceInception': '成立以来 {change}%',
+  'overview.totalShares': '总份额',
+  'overview.outstandingShares': '流通份额',
+  'overview.inceptionDate': '成立日期',
+  'overview.trackRecord': '运作 {days} 天',
+  'overview.about': '基金简介',
+  'overview.loadingHistory': '正在加载净值历史... {loaded} / {total}',
+  'stats.aum': '管理规模',
+  'stats.totalAssets': '基金总资产',
+  'stats.investors': '投资人',
+  'stats.registeredLPs': '已登记 LP',
+  'stats.averageTicket': '平均投资额',
+  'stats.aumPerLP': '每位 LP 的平均规模',
+
+  // 净值走势图
+  'chart.title': '净值表现',
+  'chart.range.1M': '近1月',
+  'chart.range.3M': '近3月',
+  'chart.range.YTD': '今年以来',
+  'chart.range.1Y': '近1年',
+  'chart.range.All': '全部',
+  'chart.growthOf': '{amount} 投资增长',
+  'chart.aum': '规模',
+  'chart.sharesOutstanding': '流通份额',
+  'chart.drawdown': '回撤',
+
+  // 业绩分析
+  'analytics.title': '业绩分析',
+  'analytics.riskFreeRate': '无风险利率 {input} %',
+  'analytics.cagr': '年化收益率',
+  'analytics.volatility': '年化波动率',
+  'analytics.sharpe': '夏普比率',
+  'analytics.sortino': '索提诺比率',
+  'analytics.maxDrawdown': '最大回撤',
+  'analytics.bestPeriod': '最佳区间',
+  'analytics.worstPeriod': '最差区间',
+  'analytics.year': '年份',
+  'analytics.calendarNote': '没有公布净值的月份留空，其收益计入下一个有净值的月份。',
+
+  // 基准比较
+  'benchmark.title': '基准比较',
+  'benchmark.upload': '上传 CSV / JSON',
+  'benchmark.addSource': '添加 {name}',
+  'benchmark.empty': '上传指数序列（日期和数值两列）或添加预置基准，与基金进行比较。',
+  'benchmark.name': '基准',
+  'benchmark.fundReturn': '基金（年化）',
+  'benchmark.benchmarkReturn': '基准（年化）',
+  'benchmark.excessReturn': '超额收益',
+  'benchmark.trackingError': '跟踪误差',
+  'benchmark.beta': 'Beta',
+  'benchmark.correlation': '相关系数',
+  'benchmark.upCapture': '上涨捕获率',
+  'benchmark.downCapture': '下跌捕获率',
+  'benchmark.noOverlap': '与净值历史没有重叠（数据范围 {range}）',
+  'benchmark.note': '基准按每次净值公布日取值，并在第一个共同日期缩放到基金当时的净值。指标只使用两者都有数据的区间计算。',
+  'benchmark.noData': '文件中有效数据点少于两个',
+  'benchmark.invalidRow': '无法从第 {row} 行读取日期和数值：{content}',
+  'benchmark.invalidJSON': '无法识别的 JSON 格式',
+  'benchmark.fetchFailed': '加载 {name} 失败（HTTP {status}）',
+
+  // 净值校验
+  'integrity.title': '净值校验',
+  'integrity.threshold': '净值变动超过 {input} % 时标记',
+  'integrity.summary': '已核对 {count} 条公布记录的资产与份额、时间戳，以及合约当前净值和份额总量。',
+  'integrity.noIssues': '✓ 未发现问题。',
+  'integrity.severity': '级别',
+  'integrity.record': '记录',
+  'integrity.check': '检查项',
+  'integrity.details': '详情',
+  'integrity.current': '当前',
+  'integrity.badge.ok': '✓ 已校验',
+  'integrity.badge.warning': '⚠ {count} 项警告',
+  'integrity.badge.error': '✗ {count} 项问题',
+  'integrity.severity.error': '错误',
+  'integrity.severity.warning': '警告',
+  'integrity.severity.info': '提示',
+  'integrity.check.ratio': '净值与资产 / 份额',
+  'integrity.check.order': '时间顺序',
+  'integrity.check.future': '未来时间戳',
+  'integrity.check.jump': '净值跳变',
+  'integrity.check.currentNav': '当前净值',
+  'integrity.check.totalSupply': '份额总量',
+  'integrity.ratio': '净值 {nav} 与资产 / 份额 {implied} 相差 {diff}',
+  'integrity.ratioZeroShares': '流通份额为零时报告了资产',
+  'integrity.future': '时间戳 {timestamp}（{date}）晚于当前时间',
+  'integrity.order': '时间戳不晚于记录 #{index}',
+  'integrity.jumpReported': '净值较记录 #{index} 变动 {change}，请核对所附报告',
+  'integrity.jumpUnreported': '净值较记录 #{index} 变动 {change}，且未附报告',
+  'integrity.currentNav': 'getCurrentNAV() 返回 {current}，但最新记录为 {latest}',
+  'integrity.totalSupply': 'totalSupply() 为 {supply}，但最新记录报告的份额为 {shares}',
+
+  // 净值历史
+  'history.title': '净值历史',
+  'history.index': '#',
+  'history.change': '涨跌',
+  'history.totalAssets': '总资产',
+  'history.totalShares': '总份额',
+  'history.report': '报告',
+  'history.record': '记录 #{index}',
+  'history.notFound': '记录 #{index} 不存在。该基金共公布了 {count} 条净值记录。',
+  'history.published': '公布时间',
+  'history.reportLink': '报告：{link}',
+  'history.noReport': '未发布文档',
+  'history.loading': '正在加载净值历史...',
+  'history.empty': '尚未公布任何净值记录。',
+  'history.pageInfo': '共 {count} 条 · 第 {page} / {pages} 页',
+  'history.previous': '← 上一页',
+  'history.next': '下一页 →',
+
+  // 净值报告
+  'reports.title': '报告与文档',
+  'reports.gateway': 'IPFS 网关',
+  'reports.document': '文档',
+  'reports.noDocument': '无文档',
+  'reports.verifying': '校验中...',
+  'reports.verified': '✓ 与 CID 一致',
+  'reports.failed': '✗ 校验失败',
+  'reports.note': '文档按数据块取回，并在打开前与链上记录的 CID 核对。',
+  'documents.signInHint': '在{link}页面连接白名单钱包后，即可查看 LP 私有文档。',
+
+  // 私有文档
+  'private.title': '私有文档',
+  'private.expires': '会话于 {time} 过期',
+  'private.signOut': '退出登录',
+  'private.intro': '附函、税务文件等 LP 资料需要先用钱包签名登录。',
+  'private.signIn': '使用以太坊账户登录',
+  'private.loadFailed': '文档加载失败：{error}',
+  'private.loading': '正在加载文档...',
+  'private.empty': '该账户暂无私有文档。',
+  'siwe.unknownVerifier': '未知的登录校验方式“{verifier}”（应为 backend 或 local）',
+  'siwe.notSiwe': '不是 Sign-In with Ethereum 消息',
+  'siwe.badSignature': '签名与地址不符',
+  'siwe.wrongDomain': '消息签发给了其他域名',
+  'siwe.wrongChain': '消息签发给了其他链',
+  'siwe.badNonce': 'nonce 无效或已被使用',
+  'siwe.expired': '消息已过期',
+  'siwe.nonceFailed': 'nonce 接口返回 {status}',
+  'siwe.rejected': '登录被拒绝（{status}）',
+  'siwe.addressMismatch': '登录地址与当前连接的钱包不一致',
+  'siwe.notWhitelisted': '该地址不在白名单中',
+  'siwe.documentsFailed': '文档服务返回 {status}',
+
+  // 我的投资
+  'investment.watching': '正在只读查看 {address}',
+  'investment.backToWallet': '返回我的钱包',
+  'investment.exitWatch': '退出查看模式',
+  'investment.title': '投资',
+  'investment.yourTitle': '我的投资',
+  'investment.currentValue': '当前市值',
+  'investment.yourShares': '持有份额',
+  'investment.initialInvestment': '初始投资',
+  'investment.totalReturn': '累计收益',
+  'investment.investmentDate': '投资日期：{date}',
+  'investment.connectTitle': '连接钱包',
+  'investment.connectMessage': '连接已加入白名单的钱包，查看投资详情、份额余额和业绩。',
+  'investment.addressNotWhitelisted': '地址不在白名单中',
+  'investment.walletNotWhitelisted': '钱包不在白名单中',
+  'investment.addressNotRegistered': '地址 {address} 不是该基金登记的 LP。',
+  'investment.walletNotRegistered': '当前连接的钱包（{address}）不是登记的 LP。如有疑问，请联系基金管理人。',
+  'myFunds.title': '我的基金',
+  'myFunds.checking': '正在查询基金...',
+  'myFunds.none': '该钱包不在任何基金的白名单中。',
+
+  // 关注地址与组合
+  'portfolio.title': '关注地址与组合',
+  'portfolio.intro': '可以只读查看任意地址，或保存多个地址查看合计。保存的地址只保留在本浏览器中。',
+  'portfolio.addressPlaceholder': '地址（0x...）',
+  'portfolio.labelPlaceholder': '备注（可选）',
+  'portfolio.watch': '查看',
+  'portfolio.save': '保存到组合',
+  'portfolio.invalidAddress': '请输入有效的地址。',
+  'portfolio.value': '组合市值',
+  'portfolio.totalShares': '总份额',
+  'portfolio.initialInvestment': '初始投资',
+  'portfolio.blendedReturn': '综合收益率',
+  'portfolio.initial': '初始投资',
+  'portfolio.return': '收益率',
+  'portfolio.share': '组合占比',
+  'portfolio.loadFailed': '加载失败',
+  'portfolio.notWhitelisted': '不在该基金白名单中',
+  'portfolio.view': '查看',
+
+  // 个人业绩
+  'performance.title': '我的业绩',
+  'performance.positionValue': '持仓市值',
+  'performance.netInvested': '净投入',
+  'performance.xirr': '资金加权收益率（XIRR）',
+  'performance.xirrNote': '根据实际申购、赎回和当前市值推算的年化收益率，反映投入的时点和金额；合约数据只用当前市值对比 lpInfo 中记录的单笔初始投资。',
+  'performance.twr': '时间加权收益率',
+  'performance.twrNote': '持有份额期间基金净值的增长，剔除了资金进出规模和时点的影响，可在不同 LP 之间比较；合约数据不具备这一点。',
+  'performance.twrNoteAnnualized': '持有份额期间基金净值的增长（年化 {annualized}），剔除了资金进出规模和时点的影响，可在不同 LP 之间比较；合约数据不具备这一点。',
+  'performance.contract': '合约收益率（getLPReturn）',
+  'performance.contractNote': '链上报告的简单收益率：当前市值对比 lpInfo 中记录的初始投资。未年化，也不考虑之后的申购、赎回和转账。',
+
+  // 费用与高水位
+  'fees.title': '费用与高水位',
+  'fees.reset': '恢复基金默认参数',
+  'fees.managementFee': '管理费',
+  'fees.performanceFee': '业绩报酬',
+  'fees.hurdle': '门槛收益率',
+  'fees.perYear': '% / 年',
+  'fees.crystallization': '计提周期',
+  'fees.frequency.monthly': '每月',
+  'fees.frequency.quarterly': '每季度',
+  'fees.frequency.annual': '每年',
+  'fees.highWaterMark': '高水位',
+  'fees.applyHighWaterMark': '启用',
+  'fees.notEnoughData': '投资日期之后至少需要两条净值记录才能估算费用。',
+  'fees.grossReturn': '费前收益',
+  'fees.netReturn': '费后收益（估算）',
+  'fees.totalFees': '估算费用',
+  'fees.feeDrag': '占初始投资的 {drag}',
+  'fees.managementFees': '管理费',
+  'fees.performanceFees': '业绩报酬',
+  'fees.performanceFeesDetail': '已结算 {crystallized} · 计提中 {accrued}',
+  'fees.highWaterMarkNav': '高水位（每份额）',
+  'fees.aboveHighWaterMark': '高于高水位 {distance}',
+  'fees.belowHighWaterMark': '低于高水位 {distance}，需上涨 {required} 才能恢复',
+  'fees.note': '估算假设公布的净值为扣费前净值，从您 {date} 以净值 {nav} 的投资开始计算，不考虑之后的申购和赎回。实际费用以基金文件为准。',
+
+  // 申购/赎回
+  'lpRequest.title': '申购 / 赎回',
+  'lpRequest.subscribe': '申购',
+  'lpRequest.redeem': '赎回',
+  'lpRequest.usd': '美元',
+  'lpRequest.amountPlaceholder': '金额（美元）',
+  'lpRequest.sharesPlaceholder': '份额数量',
+  'lpRequest.sign': '签名{kind}申请',
+  'lpRequest.estimate': '按当前净值 {nav} 估算：{amount} ≈ {shares} 份。最终金额以处理申请时适用的净值为准。',
+  'lpRequest.exceedsBalance': '超过您持有的 {shares} 份。',
+  'lpRequest.noEndpoint': '未配置申请接口，签名后的申请只保存在本浏览器中。',
+  'lpRequest.amount': '金额',
+  'lpRequest.reference': '编号',
+  'lpRequest.kind.subscription': '申购',
+  'lpRequest.kind.redemption': '赎回',
+  'lpRequest.status.signed': '已签名',
+  'lpRequest.status.submitted': '已提交',
+  'lpRequest.status.pending': '处理中',
+  'lpRequest.status.approved': '已批准',
+  'lpRequest.status.confirmed': '已确认',
+  'lpRequest.status.settled': '已结算',
+  'lpRequest.status.rejected': '已拒绝',
+  'lpRequest.status.failed': '失败',
+  'lpRequest.endpointFailed': '申请接口返回 {status}',
+  'lpRequest.zeroAmount': '金额必须大于零',
+
+  // 对账单
+  'statement.title': '下载对账单',
+  'statement.intro': '根据本页显示的链上数据在浏览器中生成。',
+  'statement.quarter': '{year} 年第 {quarter} 季度',
+  'statement.quarterToDate': '{year} 年第 {quarter} 季度（至今）',
+  'statement.custom': '自定义区间',
+  'statement.to': '至',
+  'statement.generating': '生成中...',
+  'statement.pdf': '对账单（PDF，英文）',
+  'statement.pdfFailed': '无法生成 PDF 对账单，请重试。',
+  'statement.navCSV': '净值历史（CSV）',
+  'statement.positionCSV': '持仓（CSV）',
+
+  // 交易记录
+  'ledger.title': '交易记录',
+  'ledger.scanning': '正在扫描转账...',
+  'ledger.empty': '该钱包没有交易记录。',
+  'ledger.loadFailed': '交易记录加载失败。',
+  'ledger.counterparty': '对方地址',
+  'ledger.tx': '交易',
+  'ledger.type.mint': '申购',
+  'ledger.type.burn': '赎回',
+  'ledger.type.in': '转入',
+  'ledger.type.out': '转出',
+
+  // 管理后台
+  'admin.title': '管理后台',
+  'admin.whitelist': '白名单',
+  'admin.registerLP': '登记 LP',
+  'admin.publishNAV': '公布净值',
+  'admin.lpAddressPlaceholder': 'LP 地址（0x...）',
+  'admin.initialInvestmentPlaceholder': '初始投资（美元）',
+  'admin.totalAssetsPlaceholder': '总资产（美元）',
+  'admin.totalSharesPlaceholder': '总份额',
+  'admin.ipfsPlaceholder': '净值报告的 IPFS 哈希',
+  'admin.add': '添加',
+  'admin.register': '登记',
+  'admin.publish': '公布',
+  'admin.confirmTitle': '确认：{title}',
+  'admin.contract': '合约',
+  'admin.function': '方法',
+  'admin.estimatedGas': '预估 gas',
+  'admin.estimating': '估算中...',
+  'admin.confirm': '确认并签名',
+  'admin.block': '区块 {block}',
+  'admin.txFailed': '交易失败',
+  'admin.status.pending': '等待中',
+  'admin.status.mined': '已上链',
+  'admin.status.failed': '失败',
+  'admin.action.addToWhitelist': '加入白名单',
+  'admin.action.removeFromWhitelist': '移出白名单',
+  'admin.action.registerLP': '登记 LP',
+  'admin.action.updateNAV': '公布净值',
+  'admin.field.lpAddress': 'LP 地址',
+  'admin.field.initialInvestment': '初始投资',
+  'admin.field.investmentDate': '投资日期',
+  'admin.field.totalAssets': '总资产',
+  'admin.field.totalShares': '总份额',
+  'admin.field.impliedNav': '推算净值',
+  'admin.field.ipfsHash': 'IPFS 哈希',
+  'admin.none': '（无）',
+  'admin.invalidDate': '投资日期无效',
+  'admin.zeroShares': '份额必须大于零',
+
+  // 上次访问与通知
+  'visit.title': '自上次访问以来',
+  'visit.since': '上次访问：{date}',
+  'visit.newRecords': '新发布 {count} 条净值记录',
+  'visit.navChange': '净值 {change}',
+  'visit.valueChange': '您的持仓 {change}',
+  'visit.newDocuments': '{count} 份新报告',
+  'visit.dismiss': '知道了',
+  'alerts.newNav.title': '{fund}：发布了新净值',
+  'alerts.newNav.body': '净值 {nav}',
+  'alerts.newNav.bodyChange': '净值 {nav}（{change}）',
+  'alerts.navMove.title': '{fund}：净值变动 {change}',
+  'alerts.navMove.body': '净值 {from} → {to}',
+  'alerts.valueMove.title': '{fund}：持仓价值变动 {change}',
+  'alerts.valueMove.body': '持仓价值 {from} → {to}',
+
+  // 设置
+  'settings.wallet': '钱包',
+  'settings.status': '状态',
+  'settings.connected': '已连接',
+  'settings.notConnected': '未连接',
+  'settings.walletNetwork': '钱包网络',
+  'settings.chainId': '链 ID {chainId}',
+  'settings.fundChain': '（基金在 {chain} 上）',
+  'settings.network': '网络',
+  'settings.simulated': '（模拟数据）',
+  'settings.chain': '链',
+  'settings.fundContract': '基金合约',
+  'settings.rpcEndpoints': 'RPC 节点',
+  'settings.preferences': '偏好设置',
+  'settings.jumpThreshold': '标记超过该幅度的净值变动',
+  'settings.notifications': '通知',
+  'settings.browserNotifications': '浏览器通知',
+  'settings.notificationsOn': '已开启',
+  'settings.permission.default': '未开启',
+  'settings.permission.granted': '未开启',
+  'settings.permission.denied': '已在浏览器设置中禁止',
+  'settings.permission.unsupported': '当前浏览器不支持',
+  'settings.enable': '开启',
+  'settings.disable': '关闭',
+  'settings.notifyNewNav': '发布新净值时',
+  'settings.navThreshold': '净值变动超过',
+  'settings.valueThreshold': '持仓价值变动超过',
+  'settings.notificationsNote': '仅在浏览器标签页中打开本页面时发送通知。变动幅度相对上一次通知时的水平计算。',
+
+  // IPFS
+  'ipfs.unsupportedHash': '{cid} 使用了不支持的哈希函数 {code}',
+  'ipfs.mismatch': '网关返回的内容与 {cid} 不一致',
+  'ipfs.gatewayFailed': '网关对 {cid} 返回 {status}',
+  'ipfs.unsupportedCodec': '{cid} 使用了不支持的编码 {code}',
+  'ipfs.notFile': '{cid} 不是文件',
+  'ipfs.invalidCid': '无效的 CID：{hash}'
+};
@@ -0,0 +1,99 @@
+import { INTEGRITY_CONFIG } from './config';
+import { toNumber } from './money';
+import { formatDate } from './utils';
+import { t } from './i18n';
+
+// ============ 净值数据校验 ============
+// 逐条检查链上公布的净值记录，并与合约当前状态对照；
+// 每条结果为 { check, severity: 'error' | 'warning' | 'info', index, message }，index 为 null 表示针对当前状态；
+// message 按生成时的语言输出
+
+// 检查项名称（文案 key）
+export const INTEGRITY_CHECKS = {
+  ratio: 'integrity.check.ratio',
+  order: 'integrity.check.order',
+  future: 'integrity.check.future',
+  jump: 'integrity.check.jump',
+  currentNav: 'integrity.check.currentNav',
+  totalSupply: 'integrity.check.totalSupply'
+};
+
+const formatPct = (value) => `${(value * 100).toFixed(2)}%`;
+
+// 相对误差，基准为 0 时只有两者都为 0 才算一致
+const relativeDiff = (a, b) => (b === 0 ? (a === 0 ? 0 : Infinity) : Math.abs(a / b - 1));
+
+export const checkNavIntegrity = (navHistory, fundData, options = {}) => {
+  const {
+    navTolerance = INTEGRITY_CONFIG.navTolerance,
+    jumpThreshold = INTEGRITY_CONFIG.jumpThreshold,
+    now = Date.now() / 1000
+  } = options;
+  const findings = [];
+  const add = (check, severity, index, message) => findings.push({ check, severity, index, message });
+
+  navHistory.forEach((record, i) => {
+    if (record.totalShares > 0) {
+      const implied = record.totalAssets / record.totalShares;
+      const diff = relativeDiff(record.nav, implied);
+      if (diff > navTolerance) {
+        add('ratio', 'error', record.index,
+          t('integrity.ratio', { nav: record.nav.toFixed(6), implied: implied.toFixed(6), diff: formatPct(diff) }));
+      }
+    } else if (record.totalAssets > 0) {
+      add('ratio', 'error', record.index, t('integrity.ratioZeroShares'));
+    }
+
+    if (record.timestamp > now + INTEGRITY_CONFIG.clockSkew) {
+      add('future', 'error', record.index,
+        t('integrity.future', { timestamp: record.timestamp, date: formatDate(record.timestamp) }));
+    }
+
+    const previous = navHistory[i - 1];
+    if (!previous) return;
+
+    if (record.timestamp <= previous.timestamp) {
+      add('order', 'error', record.index, t('integrity.order', { index: previous.index }));
+    }
+
+    if (previous.nav > 0) {
+      const change = record.nav / previous.nav - 1;
+      if (Math.abs(change) > jumpThreshold) {
+        // 附有净值报告的大幅变动只提示核对报告
+        add('jump', record.ipfsHash ? 'info' : 'warning', record.index,
+          t(record.ipfsHash ? 'integrity.jumpReported' : 'integrity.jumpUnreported', {
+            change: `${change >= 0 ? '+' : ''}${formatPct(change)}`,
+            index: previous.index
+          }));
+      }
+    }
+  });
+
+  // 与合约当前状态对照：当前净值应等于最新记录，代币总量应等于最新记录的份额
+  const latest = navHistory[navHistory.length - 1];
+  if (latest && fundData) {
+    if (fundData.contractNav) {
+      const current = toNumber(fundData.contractNav);
+      if (relativeDiff(current, latest.nav) > 1e-9) {
+        add('currentNav', 'warning', null,
+          t('integrity.currentNav', { current: current.toFixed(6), latest: latest.nav.toFixed(6) }));
+      }
+    }
+    if (fundData.totalSupply) {
+      const supply = toNumber(fundData.totalSupply);
+      if (relativeDiff(supply, latest.totalShares) > 1e-9) {
+        add('totalSupply', 'warning', null,
+          t('integrity.totalSupply', { supply: supply.toFixed(4), shares: latest.totalShares.toFixed(4) }));
+      }
+    }
+  }
+
+  return findings;
+};
+
+// 汇总为卡片上的徽章状态
+export const integrityStatus = (findings) => {
+  if (findings.some((f) => f.severity === 'error')) return 'error';
+  if (findings.some((f) => f.severity === 'warning')) return 'warning';
+  return 'ok';
+};
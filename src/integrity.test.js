@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { checkNavIntegrity, integrityStatus } from './integrity';
+
+const NOW = 1704067200;
+const DAY = 24 * 60 * 60;
+
+const record = (index, nav, overrides = {}) => ({
+  index,
+  timestamp: NOW - (10 - index) * DAY,
+  nav,
+  totalShares: 1000,
+  totalAssets: nav * 1000,
+  ipfsHash: '',
+  ...overrides
+});
+
+const check = (navHistory, options = {}) => checkNavIntegrity(navHistory, null, { now: NOW, ...options });
+
+describe('checkNavIntegrity', () => {
+  it('reports nothing for a consistent history', () => {
+    const findings = check([record(0, 1), record(1, 1.02), record(2, 1.05)]);
+    expect(findings).toEqual([]);
+    expect(integrityStatus(findings)).toBe('ok');
+  });
+
+  it('flags NAV that disagrees with assets / shares beyond the tolerance', () => {
+    const findings = check([record(0, 1), record(1, 1.02, { totalAssets: 1000 })]);
+    expect(findings).toMatchObject([{ check: 'ratio', severity: 'error', index: 1 }]);
+    expect(check([record(0, 1), record(1, 1.02, { totalAssets: 1020.5 })])).toEqual([]);
+    expect(check([record(0, 1, { totalShares: 0, totalAssets: 5 })]))
+      .toMatchObject([{ check: 'ratio', severity: 'error', index: 0 }]);
+  });
+
+  it('flags records that do not move forward in time', () => {
+    const history = [record(0, 1), record(1, 1.01), record(2, 1.02, { timestamp: NOW - 9 * DAY })];
+    const findings = check(history);
+    expect(findings).toMatchObject([{ check: 'order', severity: 'error', index: 2 }]);
+    expect(integrityStatus(findings)).toBe('error');
+  });
+
+  it('flags jumps above the threshold, downgraded when a report is attached', () => {
+    const history = [record(0, 1), record(1, 1.2), record(2, 0.96, { ipfsHash: 'bafyreport' })];
+    const findings = check(history);
+    expect(findings).toMatchObject([
+      { check: 'jump', severity: 'warning', index: 1 },
+      { check: 'jump', severity: 'info', index: 2 }
+    ]);
+    expect(integrityStatus(findings)).toBe('warning');
+    expect(check(history, { jumpThreshold: 0.25 })).toEqual([]);
+  });
+});
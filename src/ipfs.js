@@ -0,0 +1,117 @@
+import { CID } from 'multiformats/cid';
+import { sha256 } from 'multiformats/hashes/sha2';
+import { identity } from 'multiformats/hashes/identity';
+import * as raw from 'multiformats/codecs/raw';
+import * as dagPb from '@ipld/dag-pb';
+import { UnixFS } from 'ipfs-unixfs';
+import { IPFS_GATEWAY } from './config';
+import { t } from './i18n';
+
+// ============ IPFS 网关 ============
+const GATEWAY_STORAGE_KEY = 'fund-portal:ipfsGateway';
+
+export const getGateway = () => {
+  try {
+    return localStorage.getItem(GATEWAY_STORAGE_KEY) || IPFS_GATEWAY;
+  } catch {
+    return IPFS_GATEWAY;
+  }
+};
+
+export const setGateway = (gateway) => {
+  const value = gateway.trim().replace(/\/+$/, '');
+  if (value && value !== IPFS_GATEWAY) {
+    localStorage.setItem(GATEWAY_STORAGE_KEY, value);
+  } else {
+    localStorage.removeItem(GATEWAY_STORAGE_KEY);
+  }
+};
+
+// 合约中的 ipfsHash 可能带 ipfs:// 或 /ipfs/ 前缀
+export const normalizeCid = (ipfsHash) => {
+  if (!ipfsHash) return '';
+  return ipfsHash.trim().replace(/^ipfs:\/\//, '').replace(/^\/?ipfs\//, '');
+};
+
+export const gatewayUrl = (cid, gateway = getGateway()) => {
+  return `${gateway.replace(/\/+$/, '')}/ipfs/${normalizeCid(cid)}`;
+};
+
+// ============ 内容校验 ============
+// 不信任网关：逐个区块以 ?format=raw 取回原始数据，校验哈希与 CID 一致后再拼装文件
+const bytesEqual = (a, b) => a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+const verifyBlock = async (cid, bytes) => {
+  let digest;
+  if (cid.multihash.code === sha256.code) {
+    digest = (await sha256.digest(bytes)).digest;
+  } else if (cid.multihash.code === identity.code) {
+    digest = bytes;
+  } else {
+    throw new Error(t('ipfs.unsupportedHash', { code: `0x${cid.multihash.code.toString(16)}`, cid }));
+  }
+  if (!bytesEqual(digest, cid.multihash.digest)) {
+    throw new Error(t('ipfs.mismatch', { cid }));
+  }
+};
+
+const fetchBlock = async (cid, gateway) => {
+  const response = await fetch(`${gatewayUrl(cid.toString(), gateway)}?format=raw`, {
+    headers: { Accept: 'application/vnd.ipld.raw' }
+  });
+  if (!response.ok) {
+    throw new Error(t('ipfs.gatewayFailed', { status: response.status, cid }));
+  }
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  await verifyBlock(cid, bytes);
+  return bytes;
+};
+
+// 递归读取 UnixFS 文件，返回按顺序排列的数据块
+const readFileChunks = async (cid, gateway) => {
+  const block = await fetchBlock(cid, gateway);
+  if (cid.code === raw.code) return [block];
+  if (cid.code !== dagPb.code) {
+    throw new Error(t('ipfs.unsupportedCodec', { code: `0x${cid.code.toString(16)}`, cid }));
+  }
+
+  const node = dagPb.decode(block);
+  const unixfs = node.Data ? UnixFS.unmarshal(node.Data) : null;
+  if (!unixfs || (unixfs.type !== 'file' && unixfs.type !== 'raw')) {
+    throw new Error(t('ipfs.notFile', { cid }));
+  }
+
+  const children = await Promise.all(node.Links.map((link) => readFileChunks(link.Hash, gateway)));
+  return [...(unixfs.data ? [unixfs.data] : []), ...children.flat()];
+};
+
+// 取回并校验文件内容，返回 Uint8Array
+export const fetchVerifiedFile = async (ipfsHash, gateway = getGateway()) => {
+  let cid;
+  try {
+    cid = CID.parse(normalizeCid(ipfsHash));
+  } catch {
+    throw new Error(t('ipfs.invalidCid', { hash: ipfsHash }));
+  }
+
+  const chunks = await readFileChunks(cid, gateway);
+  const size = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+};
+
+// 根据文件头判断类型，便于浏览器直接打开
+export const detectFileType = (bytes) => {
+  const startsWith = (...sig) => sig.every((byte, i) => bytes[i] === byte);
+  if (startsWith(0x25, 0x50, 0x44, 0x46)) return { mime: 'application/pdf', ext: 'pdf' };
+  if (startsWith(0x89, 0x50, 0x4e, 0x47)) return { mime: 'image/png', ext: 'png' };
+  if (startsWith(0xff, 0xd8, 0xff)) return { mime: 'image/jpeg', ext: 'jpg' };
+  const head = new TextDecoder().decode(bytes.slice(0, 64)).trimStart();
+  if (head.startsWith('{') || head.startsWith('[')) return { mime: 'application/json', ext: 'json' };
+  return { mime: 'application/octet-stream', ext: 'bin' };
+};
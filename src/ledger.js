@@ -0,0 +1,133 @@
+import { ethers } from 'ethers';
+import { getContract, getProvider } from './contract';
+import { getFundKey } from './navCache';
+import { fixed, toNumber, readDecimals } from './money';
+
+// ============ LP 交易记录 ============
+// 由基金份额代币的 ERC-20 Transfer 事件构建：
+// from 为零地址是申购（铸造），to 为零地址是赎回（销毁），其余为转入/转出
+const MIN_CHUNK_SIZE = 500;
+
+// 类型名称（文案 key）
+export const LEDGER_TYPES = {
+  mint: 'ledger.type.mint',
+  burn: 'ledger.type.burn',
+  in: 'ledger.type.in',
+  out: 'ledger.type.out'
+};
+
+// 二分查找合约部署区块（首个 getCode 非空的区块），结果缓存在 localStorage
+const findDeployBlock = async (provider, fund) => {
+  if (fund.deployBlock !== null && fund.deployBlock !== undefined) return fund.deployBlock;
+
+  const cacheKey = `fund-portal:deployBlock:${getFundKey(fund)}`;
+  const cached = localStorage.getItem(cacheKey);
+  if (cached !== null) return Number(cached);
+
+  let low = 0;
+  let high = await provider.getBlockNumber();
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    const code = await provider.getCode(fund.contractAddress, mid);
+    if (code && code !== '0x') {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
+  }
+  localStorage.setItem(cacheKey, String(low));
+  return low;
+};
+
+// 取交易发生时生效的净值：时间不晚于该笔交易的最后一条净值记录
+export const navAt = (navHistory, timestamp) => {
+  let nav = navHistory[0]?.nav ?? null;
+  for (const record of navHistory) {
+    if (record.timestamp > timestamp) break;
+    nav = record.nav;
+  }
+  return nav;
+};
+
+// 按区块范围分段拉取与该地址相关的 Transfer 事件；RPC 拒绝时缩小范围重试
+const fetchTransferLogs = async (contract, address, fromBlock, toBlock, chunkSize, onProgress) => {
+  const outFilter = contract.filters.Transfer(address, null);
+  const inFilter = contract.filters.Transfer(null, address);
+  const logs = [];
+  let size = chunkSize;
+  let start = fromBlock;
+
+  while (start <= toBlock) {
+    const end = Math.min(start + size - 1, toBlock);
+    try {
+      const [outLogs, inLogs] = await Promise.all([
+        contract.queryFilter(outFilter, start, end),
+        contract.queryFilter(inFilter, start, end)
+      ]);
+      logs.push(...outLogs, ...inLogs);
+      start = end + 1;
+      onProgress?.(start - fromBlock, toBlock - fromBlock + 1);
+    } catch (err) {
+      if (size <= MIN_CHUNK_SIZE) throw err;
+      size = Math.floor(size / 2);
+    }
+  }
+  return logs;
+};
+
+// Transfer 日志转换为交易记录（按区块和日志序号升序，不含时间戳）
+// 自己转给自己会同时出现在两个过滤器中，按 (交易, 日志序号) 去重；这类转账不改变持仓，不计入记录
+export const parseTransferLogs = (logs, address, decimals) => {
+  const account = address.toLowerCase();
+  const unique = new Map();
+  logs.forEach((log) => unique.set(`${log.transactionHash}:${log.index}`, log));
+  return Array.from(unique.values())
+    .filter((log) => log.args.from.toLowerCase() !== log.args.to.toLowerCase())
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+    .map((log) => {
+      const from = log.args.from.toLowerCase();
+      const to = log.args.to.toLowerCase();
+      const type = from === ethers.ZeroAddress ? 'mint'
+        : to === ethers.ZeroAddress ? 'burn'
+        : to === account ? 'in'
+        : 'out';
+      // 交易记录用于收益率等统计，份额转换为浮点数
+      const shares = toNumber(fixed(log.args.value, decimals));
+
+      return {
+        id: `${log.transactionHash}:${log.index}`,
+        type,
+        // 对该 LP 持仓的影响：流入为正，流出为负
+        shares: type === 'mint' || type === 'in' ? shares : -shares,
+        counterparty: type === 'in' ? log.args.from : type === 'out' ? log.args.to : null,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash
+      };
+    });
+};
+
+// 加载某地址的全部交易记录（按时间升序），净值与估值由 withNav 补充
+export const loadLedger = async (fund, address, onProgress) => {
+  const contract = getContract(fund);
+  const provider = getProvider(fund);
+
+  const [fromBlock, toBlock, decimals] = await Promise.all([
+    findDeployBlock(provider, fund),
+    provider.getBlockNumber(),
+    readDecimals(fund)
+  ]);
+  const logs = await fetchTransferLogs(contract, address, fromBlock, toBlock, fund.logChunkSize, onProgress);
+  const entries = parseTransferLogs(logs, address, decimals);
+
+  const blockNumbers = [...new Set(entries.map((entry) => entry.blockNumber))];
+  const blocks = await Promise.all(blockNumbers.map((n) => provider.getBlock(n)));
+  const timestamps = new Map(blocks.map((block) => [block.number, block.timestamp]));
+
+  return entries.map((entry) => ({ ...entry, timestamp: timestamps.get(entry.blockNumber) }));
+};
+
+// 按交易当时生效的净值补充估值；净值历史更新时只需重新计算这一步
+export const withNav = (entries, navHistory) => entries.map((entry) => {
+  const nav = navAt(navHistory, entry.timestamp);
+  return { ...entry, nav, value: nav === null ? null : Math.abs(entry.shares) * nav };
+});
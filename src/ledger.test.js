@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import { parseTransferLogs } from './ledger';
+
+const LP = '0x1111111111111111111111111111111111111111';
+const OTHER = '0x2222222222222222222222222222222222222222';
+
+const transfer = (from, to, value, blockNumber, index = 0) => ({
+  transactionHash: `0x${blockNumber.toString(16).padStart(64, '0')}`,
+  index,
+  blockNumber,
+  args: { from, to, value: BigInt(value) }
+});
+
+describe('parseTransferLogs', () => {
+  it('classifies mints, burns and transfers from the LP point of view', () => {
+    const entries = parseTransferLogs([
+      transfer(ethers.ZeroAddress, LP, 100, 1),
+      transfer(LP, OTHER, 30, 2),
+      transfer(OTHER, LP, 10, 3),
+      transfer(LP, ethers.ZeroAddress, 20, 4)
+    ], LP, 0);
+    expect(entries.map((e) => [e.type, e.shares, e.counterparty])).toEqual([
+      ['mint', 100, null],
+      ['out', -30, OTHER],
+      ['in', 10, OTHER],
+      ['burn', -20, null]
+    ]);
+  });
+
+  it('skips self-transfers, which show up in both log filters', () => {
+    const self = transfer(LP, LP, 50, 2);
+    const entries = parseTransferLogs([
+      transfer(ethers.ZeroAddress, LP, 100, 1),
+      self,
+      { ...self }
+    ], LP, 0);
+    expect(entries.map((e) => e.type)).toEqual(['mint']);
+    expect(entries.reduce((sum, e) => sum + e.shares, 0)).toBe(100);
+  });
+
+  it('deduplicates and orders logs by block and log index', () => {
+    const a = transfer(ethers.ZeroAddress, LP, 1, 5, 1);
+    const b = transfer(ethers.ZeroAddress, LP, 2, 5, 0);
+    const c = transfer(ethers.ZeroAddress, LP, 3, 2);
+    const entries = parseTransferLogs([a, b, c, a], LP.toUpperCase().replace('0X', '0x'), 0);
+    expect(entries.map((e) => e.shares)).toEqual([3, 2, 1]);
+  });
+
+  it('converts share amounts with the token decimals', () => {
+    const [entry] = parseTransferLogs([transfer(ethers.ZeroAddress, LP, 1500000, 1)], LP, 6);
+    expect(entry.shares).toBe(1.5);
+  });
+});
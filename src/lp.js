@@ -0,0 +1,31 @@
+import { getContract } from './contract';
+import { fixed, readDecimals } from './money';
+
+// ============ LP 持仓读取 ============
+// 读取任意地址在某只基金中的持仓；不在白名单时 data 为 null
+// 份额、金额和收益率都是定点数（见 money.js），收益率单位为百分比
+export const readLPPosition = async (fund, address) => {
+  const contract = getContract(fund);
+
+  const [isWL, balance, value, returnRate, info, decimals] = await Promise.all([
+    contract.whitelist(address),
+    contract.balanceOf(address),
+    contract.getLPValue(address),
+    contract.getLPReturn(address),
+    contract.lpInfo(address),
+    readDecimals(fund)
+  ]);
+
+  return {
+    isWhitelisted: isWL,
+    balance,
+    data: isWL ? {
+      shares: fixed(balance, decimals),
+      value: fixed(value),
+      initialInvestment: fixed(info.initialInvestment),
+      // 合约返回基点，即保留两位小数的百分比
+      returnRate: fixed(returnRate, 2),
+      investmentDate: Number(info.investmentDate)
+    } : null
+  };
+};
@@ -0,0 +1,158 @@
+import { ethers } from 'ethers';
+import { LP_REQUEST_CONFIG, LP_REQUEST_ABI } from './config';
+import { getContract, getProvider, getSigner, getWritableContract } from './contract';
+import { getFundKey } from './navCache';
+import { PRICE_DECIMALS, readDecimals } from './money';
+import { t } from './i18n';
+
+// ============ 申购/赎回申请 ============
+// 申购以美元金额、赎回以份额提交；用户也可以用另一种单位输入，按当前净值换算
+
+// 申请类型名称（文案 key）
+export const REQUEST_KINDS = {
+  subscription: 'lpRequest.kind.subscription',
+  redemption: 'lpRequest.kind.redemption'
+};
+
+const EIP712_TYPES = {
+  LPRequest: [
+    { name: 'lp', type: 'address' },
+    { name: 'kind', type: 'string' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'shares', type: 'uint256' },
+    { name: 'navEstimate', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// 按当前净值换算：返回 { amount（美元，18 位定点）, shares（份额最小单位） }
+export const estimateRequest = (unit, value, nav, decimals) => {
+  const scale = 10n ** BigInt(decimals);
+  if (unit === 'usd') {
+    const amount = ethers.parseUnits(String(value), PRICE_DECIMALS);
+    return { amount, shares: nav > 0n ? (amount * scale) / nav : 0n };
+  }
+  const shares = ethers.parseUnits(String(value), decimals);
+  return { amount: (shares * nav) / scale, shares };
+};
+
+// ============ 本地申请记录 ============
+const storageKey = (fund, account) => `fund-portal:lpRequests:${getFundKey(fund)}:${account.toLowerCase()}`;
+
+export const loadRequests = (fund, account) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(fund, account))) || [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveRequests = (fund, account, requests) => {
+  localStorage.setItem(storageKey(fund, account), JSON.stringify(requests));
+};
+
+// 把刷新得到的状态按 id 合并到最新的申请列表，刷新期间新提交的申请保持不变
+export const mergeRequestStatuses = (requests, refreshed) => {
+  const statuses = new Map(refreshed.map((r) => [r.id, r.status]));
+  return requests.map((r) => (statuses.has(r.id) ? { ...r, status: statuses.get(r.id) } : r));
+};
+
+// ============ 提交方式 ============
+// 每种方式实现 submit（返回要保存的申请记录）和 refresh（返回最新状态）
+
+// 后端：EIP-712 签名后 POST 到配置的接口，由后端校验签名并处理
+const backendTransport = {
+  submit: async (fund, account, kind, estimate, nav) => {
+    const signer = await getSigner(fund);
+    const domain = {
+      name: 'Fund Portal',
+      version: '1',
+      chainId: fund.chainId,
+      verifyingContract: fund.contractAddress
+    };
+    const message = {
+      lp: account,
+      kind,
+      amount: estimate.amount,
+      shares: estimate.shares,
+      navEstimate: nav,
+      nonce: BigInt(Date.now()),
+      deadline: BigInt(Math.floor(Date.now() / 1000) + LP_REQUEST_CONFIG.deadlineSeconds)
+    };
+    const signature = await signer.signTypedData(domain, EIP712_TYPES, message);
+    const payload = {
+      domain,
+      types: EIP712_TYPES,
+      message: Object.fromEntries(Object.entries(message).map(([k, v]) => [k, v.toString()])),
+      signature
+    };
+
+    if (!LP_REQUEST_CONFIG.endpoint) {
+      // 未配置后端时只保存签名，便于开发调试
+      return { id: `local-${message.nonce}`, status: 'signed', signature };
+    }
+
+    const response = await fetch(`${LP_REQUEST_CONFIG.endpoint}/requests`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    if (!response.ok) throw new Error(t('lpRequest.endpointFailed', { status: response.status }));
+    const result = await response.json();
+    return { id: result.id ?? `sig-${message.nonce}`, status: result.status || 'submitted', signature };
+  },
+
+  refresh: async (fund, request) => {
+    if (!LP_REQUEST_CONFIG.endpoint || request.status === 'signed') return request.status;
+    const response = await fetch(`${LP_REQUEST_CONFIG.endpoint}/requests/${encodeURIComponent(request.id)}`);
+    if (!response.ok) return request.status;
+    const result = await response.json();
+    return result.status || request.status;
+  }
+};
+
+// 链上：直接调用合约的申请方法，状态以交易回执为准
+const onchainTransport = {
+  submit: async (fund, account, kind, estimate) => {
+    const contract = await getWritableContract(fund, LP_REQUEST_ABI);
+    const tx = kind === 'subscription'
+      ? await contract.requestSubscription(estimate.amount)
+      : await contract.requestRedemption(estimate.shares);
+    return { id: tx.hash, status: 'pending', txHash: tx.hash };
+  },
+
+  refresh: async (fund, request) => {
+    if (request.status !== 'pending') return request.status;
+    const receipt = await getProvider(fund).getTransactionReceipt(request.txHash);
+    if (!receipt) return 'pending';
+    return receipt.status === 1 ? 'confirmed' : 'failed';
+  }
+};
+
+const TRANSPORTS = {
+  backend: backendTransport,
+  onchain: onchainTransport
+};
+
+// 已保存的申请按提交时的 mode 选择，切换配置后仍通过原来的渠道刷新状态
+export const getTransport = (mode = LP_REQUEST_CONFIG.mode) => TRANSPORTS[mode] || backendTransport;
+
+// 提交申请：读取最新净值做估算，签名/发送后返回完整的申请记录
+export const submitRequest = async (fund, account, kind, unit, value) => {
+  const [nav, decimals] = await Promise.all([getContract(fund).getCurrentNAV(), readDecimals(fund)]);
+  const estimate = estimateRequest(unit, value, nav, decimals);
+  if (estimate.amount === 0n || estimate.shares === 0n) throw new Error(t('lpRequest.zeroAmount'));
+
+  const result = await getTransport().submit(fund, account, kind, estimate, nav);
+  return {
+    ...result,
+    kind,
+    mode: LP_REQUEST_CONFIG.mode,
+    amount: estimate.amount.toString(),
+    shares: estimate.shares.toString(),
+    decimals,
+    nav: nav.toString(),
+    createdAt: Math.floor(Date.now() / 1000)
+  };
+};
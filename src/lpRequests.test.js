@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { mergeRequestStatuses } from './lpRequests';
+
+describe('mergeRequestStatuses', () => {
+  it('updates statuses by id and keeps requests submitted during the refresh', () => {
+    const refreshed = [
+      { id: 'a', status: 'confirmed' },
+      { id: 'b', status: 'failed' }
+    ];
+    const current = [
+      { id: 'c', status: 'pending', kind: 'subscription' },
+      { id: 'a', status: 'pending', kind: 'redemption' },
+      { id: 'b', status: 'pending', kind: 'subscription' }
+    ];
+    expect(mergeRequestStatuses(current, refreshed)).toEqual([
+      { id: 'c', status: 'pending', kind: 'subscription' },
+      { id: 'a', status: 'confirmed', kind: 'redemption' },
+      { id: 'b', status: 'failed', kind: 'subscription' }
+    ]);
+  });
+
+  it('ignores refreshed requests that are no longer in the list', () => {
+    expect(mergeRequestStatuses([], [{ id: 'a', status: 'confirmed' }])).toEqual([]);
+  });
+});
@@ -0,0 +1,82 @@
+import { ethers } from 'ethers';
+import { getContract } from './contract';
+import { getFundKey } from './navCache';
+
+// ============ 定点数 ============
+// 链上金额统一表示为 { value: bigint, decimals: number }，运算过程保持精确，
+// 只在 formatNumber / formatUSD 显示时四舍五入；图表和统计指标用 toNumber 转换
+
+// 净值和美元金额使用合约约定的 18 位定点数；份额的小数位数读取 decimals()
+export const PRICE_DECIMALS = 18;
+
+export const fixed = (value, decimals = PRICE_DECIMALS) => ({ value: BigInt(value), decimals });
+
+export const isFixed = (x) => typeof x === 'object' && x !== null && typeof x.value === 'bigint';
+
+// 解析用户输入的十进制字符串，超出精度时抛出错误
+export const parseFixed = (text, decimals = PRICE_DECIMALS) => fixed(ethers.parseUnits(String(text).trim(), decimals), decimals);
+
+const pow10 = (n) => 10n ** BigInt(n);
+
+// 调整到指定小数位数；位数减少时截断
+const rescale = (x, decimals) => (decimals >= x.decimals
+  ? fixed(x.value * pow10(decimals - x.decimals), decimals)
+  : fixed(x.value / pow10(x.decimals - decimals), decimals));
+
+export const add = (a, b) => {
+  const decimals = Math.max(a.decimals, b.decimals);
+  return fixed(rescale(a, decimals).value + rescale(b, decimals).value, decimals);
+};
+
+export const sub = (a, b) => add(a, fixed(-b.value, b.decimals));
+
+// 乘法的小数位数相加，结果精确
+export const mul = (a, b) => fixed(a.value * b.value, a.decimals + b.decimals);
+
+// 除法结果保留 decimals 位小数（截断）
+export const div = (a, b, decimals = PRICE_DECIMALS) => {
+  if (b.value === 0n) throw new RangeError('Division by zero');
+  return fixed((a.value * pow10(decimals + b.decimals)) / (b.value * pow10(a.decimals)), decimals);
+};
+
+export const compare = (a, b) => {
+  const decimals = Math.max(a.decimals, b.decimals);
+  const diff = rescale(a, decimals).value - rescale(b, decimals).value;
+  return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+};
+
+export const sign = (x) => (x.value > 0n ? 1 : x.value < 0n ? -1 : 0);
+
+// 乘以 10^-n，不损失精度（用于 K / M 等单位换算）
+export const shift = (x, n) => (n >= 0 ? fixed(x.value, x.decimals + n) : fixed(x.value * pow10(-n), x.decimals));
+
+// 四舍五入到 digits 位小数（0.5 远离零），返回放大 10^digits 倍的整数
+export const round = (x, digits) => {
+  if (digits >= x.decimals) return x.value * pow10(digits - x.decimals);
+  const divisor = pow10(x.decimals - digits);
+  const quotient = x.value / divisor;
+  const remainder = x.value % divisor;
+  const abs = remainder < 0n ? -remainder : remainder;
+  if (abs * 2n < divisor) return quotient;
+  return quotient + (x.value < 0n ? -1n : 1n);
+};
+
+export const toNumber = (x) => parseFloat(ethers.formatUnits(x.value, x.decimals));
+
+// ============ 份额精度 ============
+// 每只基金只读取一次，失败时不缓存
+const decimalsCache = new Map();
+
+export const readDecimals = (fund) => {
+  const key = getFundKey(fund);
+  if (!decimalsCache.has(key)) {
+    const pending = getContract(fund).decimals()
+      .then(Number)
+      .catch((err) => {
+        decimalsCache.delete(key);
+        throw err;
+      });
+    decimalsCache.set(key, pending);
+  }
+  return decimalsCache.get(key);
+};
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { fixed, parseFixed, add, sub, mul, div, compare, shift, round, toNumber } from './money';
+
+describe('round', () => {
+  it('rounds half away from zero', () => {
+    expect(round(fixed(15n, 1), 0)).toBe(2n);
+    expect(round(fixed(25n, 1), 0)).toBe(3n);
+    expect(round(fixed(-15n, 1), 0)).toBe(-2n);
+    expect(round(fixed(-25n, 1), 0)).toBe(-3n);
+    expect(round(fixed(-5n, 1), 0)).toBe(-1n);
+  });
+
+  it('rounds below half toward zero', () => {
+    expect(round(fixed(14n, 1), 0)).toBe(1n);
+    expect(round(fixed(-14n, 1), 0)).toBe(-1n);
+    expect(round(fixed(-4n, 1), 0)).toBe(0n);
+  });
+
+  it('rounds 18-decimal amounts to cents', () => {
+    expect(round(parseFixed('1.005'), 2)).toBe(101n);
+    expect(round(parseFixed('-1.005'), 2)).toBe(-101n);
+    expect(round(parseFixed('1.004999999999999999'), 2)).toBe(100n);
+  });
+
+  it('scales up when asking for more digits than stored', () => {
+    expect(round(fixed(5n, 0), 2)).toBe(500n);
+    expect(round(fixed(-123n, 1), 3)).toBe(-12300n);
+  });
+});
+
+describe('div', () => {
+  it('truncates instead of rounding', () => {
+    expect(div(fixed(2n, 0), fixed(3n, 0), 2)).toEqual(fixed(66n, 2));
+    expect(div(fixed(1n, 0), fixed(3n, 0), 2)).toEqual(fixed(33n, 2));
+  });
+
+  it('truncates negative results toward zero', () => {
+    expect(div(fixed(-2n, 0), fixed(3n, 0), 2)).toEqual(fixed(-66n, 2));
+  });
+
+  it('divides values with different decimals', () => {
+    // 1.5 / 0.000003 = 500000
+    expect(div(fixed(15n, 1), fixed(3n, 6), 0)).toEqual(fixed(500000n, 0));
+  });
+
+  it('throws on division by zero', () => {
+    expect(() => div(fixed(1n, 0), fixed(0n, 6))).toThrow(RangeError);
+  });
+});
+
+describe('shift', () => {
+  it('divides by powers of ten without losing precision', () => {
+    expect(shift(fixed(1234n, 0), 3)).toEqual(fixed(1234n, 3));
+    expect(toNumber(shift(parseFixed('1234.5'), 3))).toBe(1.2345);
+  });
+
+  it('multiplies for negative exponents', () => {
+    expect(shift(fixed(12n, 1), -2)).toEqual(fixed(1200n, 1));
+  });
+});
+
+describe('rescaling between decimals', () => {
+  it('adds 0-decimal and 6-decimal share amounts', () => {
+    expect(add(fixed(1n, 0), fixed(5n, 6))).toEqual(fixed(1000005n, 6));
+    expect(sub(fixed(1n, 0), fixed(5n, 6))).toEqual(fixed(999995n, 6));
+  });
+
+  it('compares values with different decimals', () => {
+    expect(compare(fixed(1n, 0), parseFixed('1'))).toBe(0);
+    expect(compare(fixed(1000001n, 6), fixed(1n, 0))).toBe(1);
+    expect(compare(fixed(-1n, 0), fixed(-999999n, 6))).toBe(-1);
+  });
+
+  it('values 0-decimal and 6-decimal shares at an 18-decimal NAV', () => {
+    const nav = parseFixed('1.25');
+    expect(toNumber(mul(fixed(1500n, 0), nav))).toBe(1875);
+    expect(toNumber(mul(parseFixed('1500.5', 6), nav))).toBe(1875.625);
+  });
+
+  it('rejects input with more decimals than the token supports', () => {
+    expect(() => parseFixed('1.5', 0)).toThrow();
+    expect(() => parseFixed('1.0000001', 6)).toThrow();
+  });
+});
@@ -0,0 +1,60 @@
+import { DEMO_MODE } from './config';
+
+// ============ 净值历史本地缓存（IndexedDB） ============
+// navHistory 只会追加不会修改，因此按 (基金, 索引) 缓存原始记录，
+// 下次访问时只需拉取缓存之后的新记录。演示数据每次加载都会重新生成，不做缓存
+const DB_NAME = 'fund-portal';
+const DB_VERSION = 1;
+const STORE = 'navHistory';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: ['fundKey', 'index'] });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // 打开失败时允许下次重试
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+// 基金缓存键：同一地址在不同链上是不同的基金
+export const getFundKey = (fund) => `${fund.chainId}:${fund.contractAddress.toLowerCase()}`;
+
+// 读取某只基金的全部缓存记录（按索引升序）
+export const readNavRecords = async (fundKey) => {
+  if (DEMO_MODE) return [];
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const request = db
+      .transaction(STORE, 'readonly')
+      .objectStore(STORE)
+      .getAll(IDBKeyRange.bound([fundKey, 0], [fundKey, Infinity]));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// 写入一批记录
+export const writeNavRecords = async (fundKey, records) => {
+  if (DEMO_MODE) return;
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    records.forEach((r) => store.put({ ...r, fundKey }));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+};
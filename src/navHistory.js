@@ -0,0 +1,77 @@
+import { ethers } from 'ethers';
+import { getProvider } from './contract';
+import { getFundKey, readNavRecords, writeNavRecords } from './navCache';
+
+// ============ 净值历史批量加载 ============
+// 每批读取的记录数：既要减少请求次数，也要避免单次 eth_call 过大
+const BATCH_SIZE = 100;
+
+const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)"
+];
+
+// 统一的原始记录格式：金额保留为 wei 字符串，便于缓存
+const toRawRecord = (index, record) => ({
+  index,
+  timestamp: Number(record.timestamp),
+  nav: record.nav.toString(),
+  totalShares: record.totalShares.toString(),
+  totalAssets: record.totalAssets.toString(),
+  ipfsHash: record.ipfsHash
+});
+
+// 通过 Multicall3 在一次 eth_call 中读取多条记录
+const fetchViaMulticall = async (fund, contract, indices) => {
+  const multicall = new ethers.Contract(fund.multicall3, MULTICALL3_ABI, getProvider(fund));
+  const calls = indices.map((i) => ({
+    target: fund.contractAddress,
+    allowFailure: false,
+    callData: contract.interface.encodeFunctionData('navHistory', [i])
+  }));
+  const results = await multicall.aggregate3.staticCall(calls);
+  return results.map(([, returnData], k) => (
+    toRawRecord(indices[k], contract.interface.decodeFunctionResult('navHistory', returnData))
+  ));
+};
+
+// 未部署 Multicall3 的网络（如本地链）：并发发起调用，由 provider 合并为 JSON-RPC batch
+const fetchViaBatch = async (contract, indices) => {
+  const records = await Promise.all(indices.map((i) => contract.navHistory(i)));
+  return records.map((record, k) => toRawRecord(indices[k], record));
+};
+
+// 读取缓存中从 0 开始连续的记录
+const readCachedPrefix = async (fundKey, length) => {
+  try {
+    const cached = await readNavRecords(fundKey);
+    let n = 0;
+    while (n < cached.length && n < length && cached[n].index === n) n++;
+    return cached.slice(0, n);
+  } catch (err) {
+    console.error('Error reading NAV cache:', err);
+    return [];
+  }
+};
+
+// 加载完整净值历史：先读本地缓存，再分批拉取缓存之后的新记录
+// onProgress(loaded, total) 用于显示首次加载进度
+export const loadNavHistory = async (fund, contract, length, onProgress) => {
+  const fundKey = getFundKey(fund);
+  const records = await readCachedPrefix(fundKey, length);
+  onProgress?.(records.length, length);
+
+  for (let start = records.length; start < length; start += BATCH_SIZE) {
+    const indices = [];
+    for (let i = start; i < Math.min(start + BATCH_SIZE, length); i++) indices.push(i);
+
+    const batch = fund.multicall3
+      ? await fetchViaMulticall(fund, contract, indices)
+      : await fetchViaBatch(contract, indices);
+    records.push(...batch);
+    onProgress?.(records.length, length);
+
+    writeNavRecords(fundKey, batch).catch((err) => console.error('Error writing NAV cache:', err));
+  }
+
+  return records;
+};
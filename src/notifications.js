@@ -0,0 +1,110 @@
+import { ALERT_CONFIG } from './config';
+import { formatNumber, formatUSD, formatPercent } from './utils';
+import { t } from './i18n';
+
+// ============ 提醒设置 ============
+// 阈值以百分比保存（与设置页的输入一致），0 表示不提醒
+const ALERT_SETTINGS_KEY = 'fund-portal:alerts';
+
+export const DEFAULT_ALERT_SETTINGS = {
+  enabled: false,
+  newNav: true,
+  navThreshold: ALERT_CONFIG.navThreshold * 100,
+  valueThreshold: ALERT_CONFIG.valueThreshold * 100
+};
+
+export const loadAlertSettings = () => {
+  try {
+    return { ...DEFAULT_ALERT_SETTINGS, ...JSON.parse(localStorage.getItem(ALERT_SETTINGS_KEY)) };
+  } catch {
+    return DEFAULT_ALERT_SETTINGS;
+  }
+};
+
+export const saveAlertSettings = (settings) => {
+  localStorage.setItem(ALERT_SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// ============ 浏览器通知 ============
+// 返回 'granted' / 'denied' / 'default'，浏览器不支持时为 'unsupported'
+export const notificationPermission = () => (
+  typeof Notification === 'undefined' ? 'unsupported' : Notification.permission
+);
+
+export const requestNotificationPermission = async () => {
+  if (typeof Notification === 'undefined') return 'unsupported';
+  return Notification.requestPermission();
+};
+
+export const showNotification = ({ title, body, tag }) => {
+  if (notificationPermission() !== 'granted') return;
+  try {
+    new Notification(title, { body, tag });
+  } catch (err) {
+    // 部分移动端浏览器只允许通过 Service Worker 发送通知
+    console.error('Error showing notification:', err);
+  }
+};
+
+// ============ 提醒检查 ============
+// 比较基准与当前状态，返回需要发送的提醒和新的基准。
+// 涨跌幅相对上次提醒时的水平计算，提醒后基准随之更新，持续同向变动时会再次提醒；
+// 展示的地址变化时重新以当前持仓价值为基准
+export const checkAlerts = (baseline, current, settings, fundName) => {
+  const alerts = [];
+  const next = { ...baseline, index: current.index };
+
+  const navThreshold = (Number(settings.navThreshold) || 0) / 100;
+  const navChange = baseline.nav > 0 ? current.nav / baseline.nav - 1 : null;
+  if (navThreshold > 0 && navChange !== null && Math.abs(navChange) >= navThreshold) {
+    alerts.push({
+      tag: `nav-move-${current.index}`,
+      title: t('alerts.navMove.title', { fund: fundName, change: formatPercent(navChange) }),
+      body: t('alerts.navMove.body', {
+        from: `$${formatNumber(baseline.nav, 4)}`,
+        to: `$${formatNumber(current.nav, 4)}`
+      })
+    });
+    next.nav = current.nav;
+  }
+
+  // 新净值同时触发涨跌提醒时只发送涨跌提醒
+  if (settings.newNav && current.index > baseline.index && alerts.length === 0) {
+    const change = baseline.publishedNav > 0 ? current.nav / baseline.publishedNav - 1 : null;
+    alerts.push({
+      tag: `nav-${current.index}`,
+      title: t('alerts.newNav.title', { fund: fundName }),
+      body: change === null
+        ? t('alerts.newNav.body', { nav: `$${formatNumber(current.nav, 4)}` })
+        : t('alerts.newNav.bodyChange', { nav: `$${formatNumber(current.nav, 4)}`, change: formatPercent(change) })
+    });
+  }
+  next.publishedNav = current.nav;
+
+  if (current.address !== baseline.address || baseline.value === null) {
+    next.address = current.address;
+    next.value = current.value;
+  } else if (current.value !== null) {
+    const valueThreshold = (Number(settings.valueThreshold) || 0) / 100;
+    const valueChange = baseline.value > 0 ? current.value / baseline.value - 1 : null;
+    if (valueThreshold > 0 && valueChange !== null && Math.abs(valueChange) >= valueThreshold) {
+      alerts.push({
+        tag: `value-move-${current.address}`,
+        title: t('alerts.valueMove.title', { fund: fundName, change: formatPercent(valueChange) }),
+        body: t('alerts.valueMove.body', { from: formatUSD(baseline.value), to: formatUSD(current.value) })
+      });
+      next.value = current.value;
+    }
+  }
+
+  return { alerts, baseline: next };
+};
+
+// 首次加载时的基准，不发送提醒
+export const initialBaseline = (current) => ({
+  index: current.index,
+  nav: current.nav,
+  publishedNav: current.nav,
+  address: current.address,
+  value: current.value
+});
@@ -0,0 +1,22 @@
+import { fixed, div, toNumber } from './money';
+
+// ============ 基金概览 ============
+
+// 平均单笔投资额：AUM / LP 数量
+export const calcAverageTicket = (fundData) => {
+  if (!fundData?.totalAssets || !fundData.lpCount) return null;
+  return div(fundData.totalAssets, fixed(fundData.lpCount, 0));
+};
+
+// 当前净值和 AUM 相对上一次净值更新的变化。当前值即最新一条记录，
+// 因此与倒数第二条记录比较；记录不足或数据缺失时对应项为 null
+export const calcOverviewChanges = (fundData, navHistory) => {
+  if (!fundData || navHistory.length < 2) return null;
+  const previous = navHistory[navHistory.length - 2];
+  const change = (current, before) => (current && before > 0 ? toNumber(current) / before - 1 : null);
+  return {
+    since: previous.timestamp,
+    nav: change(fundData.currentNav, previous.nav),
+    aum: change(fundData.totalAssets, previous.totalAssets)
+  };
+};
@@ -0,0 +1,100 @@
+// ============ 个人收益计算 ============
+// 基于交易记录（ledger.js）和净值历史计算 LP 个人的持仓走势与收益率
+const SECONDS_PER_YEAR = 365.25 * 24 * 60 * 60;
+const DUST = 1e-9;
+
+// 持仓走势：在每个净值点和每笔交易时点上的份额与市值，以及累计净投入
+// 交易按当时生效的净值（不晚于交易时间的最后一个净值点）估值
+export const calcPositionSeries = (navHistory, entries, currentNav, now = Date.now() / 1000) => {
+  if (!entries.length || !navHistory.length) return [];
+  const timeline = [
+    ...navHistory.map((p) => ({ timestamp: p.timestamp, nav: p.nav })),
+    ...entries.map((e) => ({ timestamp: e.timestamp, nav: null })),
+    { timestamp: now, nav: currentNav }
+  ].sort((a, b) => a.timestamp - b.timestamp);
+
+  const firstTrade = entries[0].timestamp;
+  const series = [];
+  let nav = navHistory[0].nav;
+  let shares = 0;
+  let invested = 0;
+  let k = 0;
+
+  timeline.forEach((point) => {
+    if (point.nav !== null) nav = point.nav;
+    while (k < entries.length && entries[k].timestamp <= point.timestamp) {
+      shares += entries[k].shares;
+      invested += Math.sign(entries[k].shares) * (entries[k].value ?? 0);
+      k++;
+    }
+    if (point.timestamp < firstTrade) return;
+    series.push({ timestamp: point.timestamp, nav, shares, value: shares * nav, invested });
+  });
+  return series;
+};
+
+// 现金流（LP 视角）：申购/转入为流出（负），赎回/转出为流入（正），期末市值视为流入
+export const buildCashFlows = (entries, currentValue, now = Date.now() / 1000) => {
+  const flows = entries
+    .filter((e) => e.value !== null)
+    .map((e) => ({ timestamp: e.timestamp, amount: -Math.sign(e.shares) * e.value }));
+  if (currentValue > 0) flows.push({ timestamp: now, amount: currentValue });
+  return flows;
+};
+
+// 资金加权收益率（XIRR）：使全部现金流净现值为零的年化收益率，二分法求解
+export const calcXIRR = (flows) => {
+  if (flows.length < 2) return null;
+  if (!flows.some((f) => f.amount > 0) || !flows.some((f) => f.amount < 0)) return null;
+
+  const t0 = Math.min(...flows.map((f) => f.timestamp));
+  const npv = (rate) => flows.reduce(
+    (sum, f) => sum + f.amount / Math.pow(1 + rate, (f.timestamp - t0) / SECONDS_PER_YEAR),
+    0
+  );
+
+  let low = -0.9999;
+  let high = 1;
+  while (npv(low) * npv(high) > 0 && high < 1e6) high *= 2;
+  if (npv(low) * npv(high) > 0) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (npv(low) * npv(mid) <= 0) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return (low + high) / 2;
+};
+
+// 时间加权收益率：只在持有份额的区间内链接净值变动，不受申购赎回金额和时点影响
+export const calcTWR = (navHistory, entries, currentNav, now = Date.now() / 1000) => {
+  if (!entries.length || !navHistory.length) return null;
+  const points = [...navHistory, { timestamp: now, nav: currentNav }];
+  let growth = 1;
+  let heldSeconds = 0;
+  let shares = 0;
+  let prev = null;
+  let k = 0;
+
+  points.forEach((point) => {
+    // 本净值点之前的交易按上一净值成交，从上一净值点起计入收益
+    while (k < entries.length && entries[k].timestamp < point.timestamp) {
+      shares += entries[k].shares;
+      k++;
+    }
+    if (prev && shares > DUST && prev.nav > 0) {
+      growth *= point.nav / prev.nav;
+      heldSeconds += point.timestamp - prev.timestamp;
+    }
+    prev = point;
+  });
+
+  const years = heldSeconds / SECONDS_PER_YEAR;
+  return {
+    cumulative: growth - 1,
+    annualized: years > 0 ? Math.pow(growth, 1 / years) - 1 : null
+  };
+};
@@ -0,0 +1,41 @@
+// ============ 页面路由 ============
+// 页面由路径决定，基金和网络仍由查询参数（?fund= / ?network= / ?demo）决定，切换页面时保留；
+// 静态部署时需要把未知路径回退到 index.html，否则直接打开深链接会得到服务器的 404
+
+// label 为导航文案的 key
+export const ROUTES = {
+  overview: { path: '/', label: 'nav.overview' },
+  investment: { path: '/investment', label: 'nav.investment' },
+  history: { path: '/history', label: 'nav.history' },
+  documents: { path: '/documents', label: 'nav.documents' },
+  settings: { path: '/settings', label: 'nav.settings' }
+};
+
+// 部署在子路径下时（vite base），路由只处理 base 之后的部分
+const BASE = (import.meta.env.BASE_URL || '/').replace(/\/$/, '');
+
+// 净值历史可以带记录序号：/history/<index>
+export const parseRoute = (pathname) => {
+  const path = (pathname.startsWith(BASE) ? pathname.slice(BASE.length) : pathname).replace(/\/+$/, '') || '/';
+  const history = path.match(/^\/history(?:\/(\d+))?$/);
+  if (history) return { name: 'history', record: history[1] === undefined ? null : Number(history[1]) };
+
+  const name = Object.keys(ROUTES).find((key) => ROUTES[key].path === path);
+  return name ? { name } : { name: 'notFound', path };
+};
+
+export const currentRoute = () => parseRoute(window.location.pathname);
+
+export const historyPath = (record = null) => (record === null ? ROUTES.history.path : `${ROUTES.history.path}/${record}`);
+
+// 链接地址保留当前的查询参数
+export const routeHref = (path) => `${BASE}${path}${window.location.search}`;
+
+// 切换页面：写入浏览器历史并通知 useRoute，与前进/后退走同一路径
+export const navigate = (path, { replace = false } = {}) => {
+  const href = routeHref(path);
+  if (href === `${window.location.pathname}${window.location.search}`) return;
+  window.history[replace ? 'replaceState' : 'pushState']({}, '', href);
+  window.dispatchEvent(new PopStateEvent('popstate'));
+  window.scrollTo(0, 0);
+};
@@ -0,0 +1,139 @@
+import { ethers } from 'ethers';
+import { RPC_CONFIG } from './config';
+
+// ============ RPC 请求 ============
+// 每个网络共用一个只读 provider：按顺序使用配置的节点，记住最近可用的一个；
+// 单个请求超时即切换节点，所有节点都失败后指数退避重试
+
+export const rpcError = (message, code, info = {}) => Object.assign(new Error(message), { code, ...info });
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isRateLimited = (status, body) => status === 429 || /rate.?limit|too many requests/i.test(body);
+
+class FallbackRpcProvider extends ethers.JsonRpcApiProvider {
+  #urls;
+  #chainId;
+  #current = 0;
+  #verified = new Map();
+
+  constructor(fund) {
+    const network = ethers.Network.from(fund.chainId);
+    super(network, { staticNetwork: network, pollingInterval: fund.pollingInterval });
+    this.#urls = fund.rpcUrls;
+    this.#chainId = fund.chainId;
+  }
+
+  // 向单个节点发送请求，超时后中止
+  async #post(url, payload) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), RPC_CONFIG.timeout);
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: controller.signal
+      });
+      const body = await response.text();
+      if (isRateLimited(response.status, body)) throw rpcError(`${url} is rate limiting requests`, 'RATE_LIMITED');
+      if (!response.ok) throw rpcError(`${url} returned ${response.status}`, 'NETWORK_ERROR');
+      return JSON.parse(body);
+    } catch (err) {
+      // 中止时 fetch 抛出的 AbortError 带有数字 code，需先于 rpcError 的字符串 code 判断
+      if (controller.signal.aborted) throw rpcError(`${url} timed out`, 'TIMEOUT');
+      if (typeof err.code === 'string') throw err;
+      throw rpcError(`${url} is unreachable`, 'NETWORK_ERROR', { cause: err });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // 首次使用某个节点时确认链 ID；链不一致的结果会一直保留，其他失败下次重新检查
+  #verifyChain(url) {
+    if (!this.#verified.has(url)) {
+      const pending = this.#post(url, { jsonrpc: '2.0', id: 0, method: 'eth_chainId', params: [] })
+        .then((response) => {
+          const chainId = Number(response.result);
+          if (chainId !== this.#chainId) {
+            throw rpcError(`${url} serves chain ${chainId} instead of ${this.#chainId}`, 'WRONG_CHAIN');
+          }
+        });
+      pending.catch((err) => {
+        if (err.code !== 'WRONG_CHAIN') this.#verified.delete(url);
+      });
+      this.#verified.set(url, pending);
+    }
+    return this.#verified.get(url);
+  }
+
+  async _send(payload) {
+    let errors = [];
+    for (let attempt = 0; attempt <= RPC_CONFIG.retries; attempt++) {
+      if (attempt > 0) await sleep(RPC_CONFIG.retryDelay * 2 ** (attempt - 1));
+      errors = [];
+
+      for (let i = 0; i < this.#urls.length; i++) {
+        const index = (this.#current + i) % this.#urls.length;
+        try {
+          await this.#verifyChain(this.#urls[index]);
+          const result = await this.#post(this.#urls[index], payload);
+          this.#current = index;
+          return Array.isArray(result) ? result : [result];
+        } catch (err) {
+          errors.push(err);
+        }
+      }
+
+      // 所有节点都在其他链上时重试没有意义
+      if (errors.every((err) => err.code === 'WRONG_CHAIN')) break;
+    }
+
+    // 优先报告最能说明问题的原因
+    throw errors.find((err) => err.code === 'RATE_LIMITED')
+      || errors.find((err) => err.code !== 'WRONG_CHAIN')
+      || errors[0];
+  }
+}
+
+// 按链和节点列表缓存，同一网络上的基金共用
+const providers = new Map();
+
+export const getSharedProvider = (fund) => {
+  const key = `${fund.chainId}:${fund.rpcUrls.join(',')}`;
+  if (!providers.has(key)) providers.set(key, new FallbackRpcProvider(fund));
+  return providers.get(key);
+};
+
+// ============ 错误分类 ============
+// 页面按类别显示不同的提示（文案 key）
+export const RPC_ERROR_KINDS = {
+  network: { title: 'rpc.network.title', message: 'rpc.network.message' },
+  rateLimited: { title: 'rpc.rateLimited.title', message: 'rpc.rateLimited.message' },
+  wrongChain: { title: 'rpc.wrongChain.title', message: 'rpc.wrongChain.message' },
+  notDeployed: { title: 'rpc.notDeployed.title', message: 'rpc.notDeployed.message' },
+  unknown: { title: 'rpc.unknown.title', message: 'rpc.unknown.message' }
+};
+
+export const classifyError = (err) => {
+  const code = err?.code;
+  if (code === 'RATE_LIMITED') return 'rateLimited';
+  if (code === 'WRONG_CHAIN') return 'wrongChain';
+  if (code === 'NOT_DEPLOYED' || (code === 'BAD_DATA' && err.value === '0x')) return 'notDeployed';
+  if (code === 'NETWORK_ERROR' || code === 'TIMEOUT') return 'network';
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return 'network';
+  return 'unknown';
+};
+
+// 无法直接归类时检查合约地址上是否有代码
+export const diagnoseError = async (fund, err) => {
+  const kind = classifyError(err);
+  if (kind !== 'unknown') return kind;
+  if (!fund.contractAddress) return 'notDeployed';
+  try {
+    const code = await getSharedProvider(fund).getCode(fund.contractAddress);
+    return code === '0x' ? 'notDeployed' : kind;
+  } catch (checkErr) {
+    return classifyError(checkErr);
+  }
+};
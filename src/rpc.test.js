@@ -0,0 +1,33 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import http from 'node:http';
+import { getSharedProvider, classifyError } from './rpc';
+
+vi.mock('./config', async (importOriginal) => ({
+  ...(await importOriginal()),
+  RPC_CONFIG: { timeout: 100, retries: 0, retryDelay: 0 }
+}));
+
+describe('FallbackRpcProvider', () => {
+  let server;
+  let url;
+
+  // 接受请求但从不响应的节点
+  beforeAll(async () => {
+    server = http.createServer(() => {});
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  it('reports a hanging endpoint as a timeout', async () => {
+    const provider = getSharedProvider({ chainId: 31337, rpcUrls: [url], pollingInterval: 1000 });
+    const error = await provider.send('eth_blockNumber', []).catch((err) => err);
+    expect(error.code).toBe('TIMEOUT');
+    expect(error.message).toBe(`${url} timed out`);
+    expect(classifyError(error)).toBe('network');
+  });
+});
@@ -0,0 +1,170 @@
+import { ethers } from 'ethers';
+import { SIWE_CONFIG } from './config';
+import { getContract, getSigner } from './contract';
+import { getFundKey } from './navCache';
+import { t } from './i18n';
+
+// ============ Sign-In with Ethereum（EIP-4361） ============
+
+// 按 EIP-4361 格式生成待签名消息
+export const buildSiweMessage = ({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) => [
+  `${domain} wants you to sign in with your Ethereum account:`,
+  address,
+  '',
+  statement,
+  '',
+  `URI: ${uri}`,
+  'Version: 1',
+  `Chain ID: ${chainId}`,
+  `Nonce: ${nonce}`,
+  `Issued At: ${issuedAt}`,
+  `Expiration Time: ${expirationTime}`
+].join('\n');
+
+// 解析消息中的字段，供校验使用
+export const parseSiweMessage = (message) => {
+  const lines = message.split('\n');
+  const header = lines[0].match(/^(.+) wants you to sign in with your Ethereum account:$/);
+  if (!header) throw new Error(t('siwe.notSiwe'));
+
+  const field = (name) => {
+    const line = lines.find((l) => l.startsWith(`${name}: `));
+    return line ? line.slice(name.length + 2) : null;
+  };
+
+  return {
+    domain: header[1],
+    address: lines[1],
+    uri: field('URI'),
+    version: field('Version'),
+    chainId: Number(field('Chain ID')),
+    nonce: field('Nonce'),
+    issuedAt: field('Issued At'),
+    expirationTime: field('Expiration Time')
+  };
+};
+
+// ============ 校验方式 ============
+// 每种方式实现 getNonce 和 verify（返回会话，签名无效时抛出错误）
+const NONCE_KEY = 'fund-portal:siweNonce';
+
+const localVerifier = {
+  getNonce: async () => {
+    const nonce = ethers.hexlify(ethers.randomBytes(16)).slice(2);
+    sessionStorage.setItem(NONCE_KEY, nonce);
+    return nonce;
+  },
+
+  verify: async (fund, message, signature) => {
+    const fields = parseSiweMessage(message);
+    const recovered = ethers.verifyMessage(message, signature);
+    if (recovered !== fields.address) throw new Error(t('siwe.badSignature'));
+    if (fields.domain !== window.location.host) throw new Error(t('siwe.wrongDomain'));
+    if (fields.chainId !== fund.chainId) throw new Error(t('siwe.wrongChain'));
+    if (fields.nonce !== sessionStorage.getItem(NONCE_KEY)) throw new Error(t('siwe.badNonce'));
+    if (Date.parse(fields.expirationTime) <= Date.now()) throw new Error(t('siwe.expired'));
+    sessionStorage.removeItem(NONCE_KEY);
+
+    return { address: fields.address, expiresAt: Date.parse(fields.expirationTime), token: null };
+  }
+};
+
+const backendVerifier = {
+  getNonce: async () => {
+    const response = await fetch(`${SIWE_CONFIG.endpoint}/siwe/nonce`, { credentials: 'include' });
+    if (!response.ok) throw new Error(t('siwe.nonceFailed', { status: response.status }));
+    const result = await response.json();
+    return result.nonce;
+  },
+
+  verify: async (fund, message, signature) => {
+    const response = await fetch(`${SIWE_CONFIG.endpoint}/siwe/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ message, signature })
+    });
+    if (!response.ok) throw new Error(t('siwe.rejected', { status: response.status }));
+    const result = await response.json();
+    return {
+      address: ethers.getAddress(result.address),
+      expiresAt: result.expiresAt ? Date.parse(result.expiresAt) : Date.parse(parseSiweMessage(message).expirationTime),
+      token: result.token ?? null
+    };
+  }
+};
+
+const VERIFIERS = {
+  local: localVerifier,
+  backend: backendVerifier
+};
+
+// 配置错误时不回退到浏览器内校验
+const getVerifier = () => {
+  const verifier = VERIFIERS[SIWE_CONFIG.verifier];
+  if (!verifier) throw new Error(t('siwe.unknownVerifier', { verifier: SIWE_CONFIG.verifier }));
+  return verifier;
+};
+
+// ============ 会话 ============
+const sessionKey = (fund, address) => `fund-portal:session:${getFundKey(fund)}:${address.toLowerCase()}`;
+
+export const isSessionValid = (session, address) => Boolean(
+  session && address && session.address.toLowerCase() === address.toLowerCase() && session.expiresAt > Date.now()
+);
+
+export const loadSession = (fund, address) => {
+  try {
+    const session = JSON.parse(localStorage.getItem(sessionKey(fund, address)));
+    return isSessionValid(session, address) ? session : null;
+  } catch {
+    return null;
+  }
+};
+
+export const clearSession = (fund, address) => {
+  localStorage.removeItem(sessionKey(fund, address));
+};
+
+// 登录：签名 → 校验签名 → 确认地址在白名单 → 保存会话
+export const signIn = async (fund, address) => {
+  const verifier = getVerifier();
+  const now = new Date();
+  const message = buildSiweMessage({
+    domain: window.location.host,
+    address: ethers.getAddress(address),
+    statement: SIWE_CONFIG.statement,
+    uri: window.location.origin,
+    chainId: fund.chainId,
+    nonce: await verifier.getNonce(),
+    issuedAt: now.toISOString(),
+    expirationTime: new Date(now.getTime() + SIWE_CONFIG.sessionSeconds * 1000).toISOString()
+  });
+
+  const signer = await getSigner(fund);
+  const signature = await signer.signMessage(message);
+  const session = await verifier.verify(fund, message, signature);
+
+  if (session.address.toLowerCase() !== address.toLowerCase()) {
+    throw new Error(t('siwe.addressMismatch'));
+  }
+  if (!(await getContract(fund).whitelist(session.address))) {
+    throw new Error(t('siwe.notWhitelisted'));
+  }
+
+  localStorage.setItem(sessionKey(fund, address), JSON.stringify(session));
+  return session;
+};
+
+// ============ 受保护内容 ============
+// 列出当前会话可见的私有文档（side letter、K-1 等），需要后端提供
+export const fetchPrivateDocuments = async (session) => {
+  if (!SIWE_CONFIG.endpoint) return [];
+  const response = await fetch(`${SIWE_CONFIG.endpoint}/documents`, {
+    headers: session.token ? { Authorization: `Bearer ${session.token}` } : {},
+    credentials: 'include'
+  });
+  if (!response.ok) throw new Error(t('siwe.documentsFailed', { status: response.status }));
+  const result = await response.json();
+  return result.documents || [];
+};
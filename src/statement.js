@@ -0,0 +1,165 @@
+import { navAt } from './ledger';
+import { calcPositionSeries } from './returns';
+import { formatNumber, formatUSD, formatDate, shortenAddress } from './utils';
+import { withLocale } from './i18n';
+
+// ============ LP 对账单 ============
+// 全部在浏览器端生成，数据来自页面已经读取的净值历史、LP 数据和交易记录
+
+// 某时点持有的份额
+const sharesAt = (entries, timestamp) => entries
+  .filter((e) => e.timestamp <= timestamp)
+  .reduce((sum, e) => sum + e.shares, 0);
+
+// 统计期内的对账单数据；start/end 为秒级时间戳
+export const buildStatement = ({ fund, fundData, navHistory, entries, account, start, end }) => {
+  const startNav = navAt(navHistory, start);
+  const endNav = navAt(navHistory, end);
+  const startShares = sharesAt(entries, start);
+  const endShares = sharesAt(entries, end);
+  const startValue = startNav === null ? null : startShares * startNav;
+  const endValue = endNav === null ? null : endShares * endNav;
+  const periodEntries = entries.filter((e) => e.timestamp > start && e.timestamp <= end);
+  const netFlows = periodEntries.reduce((sum, e) => sum + Math.sign(e.shares) * (e.value ?? 0), 0);
+
+  return {
+    fundName: fundData?.name || fund.name,
+    contractAddress: fund.contractAddress,
+    chainName: fund.chainName,
+    account,
+    start,
+    end,
+    startNav,
+    endNav,
+    startShares,
+    endShares,
+    startValue,
+    endValue,
+    netFlows,
+    gain: startValue === null || endValue === null ? null : endValue - startValue - netFlows,
+    navReturn: startNav && endNav ? endNav / startNav - 1 : null,
+    transactions: periodEntries,
+    generatedAt: Math.floor(Date.now() / 1000)
+  };
+};
+
+// ============ CSV ============
+// 文本单元格以 = + - @ 等开头时 Excel 会当作公式执行，加 ' 前缀作为纯文本；数值保持原样
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCSV = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCSV = (columns, rows) => [
+  columns.map((c) => escapeCSV(c.label)).join(','),
+  ...rows.map((row) => columns.map((c) => escapeCSV(c.value(row))).join(','))
+].join('\n');
+
+const isoDate = (timestamp) => new Date(timestamp * 1000).toISOString().slice(0, 10);
+
+export const navHistoryCSV = (navHistory) => toCSV([
+  { label: 'index', value: (r) => r.index },
+  { label: 'date', value: (r) => isoDate(r.timestamp) },
+  { label: 'timestamp', value: (r) => r.timestamp },
+  { label: 'nav', value: (r) => r.nav },
+  { label: 'total_shares', value: (r) => r.totalShares },
+  { label: 'total_assets', value: (r) => r.totalAssets },
+  { label: 'ipfs_hash', value: (r) => r.ipfsHash }
+], navHistory);
+
+export const positionCSV = (navHistory, entries, currentNav, start, end) => toCSV([
+  { label: 'date', value: (r) => isoDate(r.timestamp) },
+  { label: 'timestamp', value: (r) => Math.floor(r.timestamp) },
+  { label: 'nav', value: (r) => r.nav },
+  { label: 'shares', value: (r) => r.shares },
+  { label: 'value', value: (r) => r.value },
+  { label: 'net_invested', value: (r) => r.invested }
+], calcPositionSeries(navHistory, entries, currentNav).filter((r) => r.timestamp >= start && r.timestamp <= end));
+
+// 触发浏览器下载
+export const downloadFile = (filename, content, mime) => {
+  const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type: mime }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// ============ PDF ============
+export const statementPDF = async (statement) => {
+  // jsPDF 体积较大，只在生成对账单时加载
+  const { jsPDF } = await import('jspdf');
+  // jsPDF 的内置字体没有中文字形，对账单固定使用英文和英文数字格式
+  return withLocale('en-US', () => {
+    const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+    const left = 56;
+    let y = 64;
+
+    doc.setFontSize(20);
+    doc.text(statement.fundName, left, y);
+    y += 24;
+    doc.setFontSize(12);
+    doc.setTextColor(100);
+    doc.text(`LP Statement  ·  ${formatDate(statement.start)} – ${formatDate(statement.end)}`, left, y);
+    y += 36;
+
+    const row = (label, value) => {
+      doc.setTextColor(100);
+      doc.text(label, left, y);
+      doc.setTextColor(0);
+      doc.text(String(value), left + 200, y);
+      y += 20;
+    };
+    const percent = (v) => (v === null ? '-' : `${v >= 0 ? '+' : ''}${formatNumber(v * 100)}%`);
+    const nav = (v) => (v === null ? '-' : `$${formatNumber(v, 4)}`);
+
+    row('Investor address', statement.account);
+    row('Fund contract', `${statement.contractAddress} (${statement.chainName})`);
+    y += 12;
+    row('Period-start NAV', nav(statement.startNav));
+    row('Period-end NAV', nav(statement.endNav));
+    row('NAV return', percent(statement.navReturn));
+    y += 12;
+    row('Shares held at start', formatNumber(statement.startShares, 4));
+    row('Shares held at end', formatNumber(statement.endShares, 4));
+    row('Value at start', formatUSD(statement.startValue));
+    row('Value at end', formatUSD(statement.endValue));
+    row('Net subscriptions / (redemptions)', formatUSD(statement.netFlows));
+    row('Investment gain / (loss)', formatUSD(statement.gain));
+
+    if (statement.transactions.length > 0) {
+      y += 16;
+      doc.setFontSize(14);
+      doc.setTextColor(0);
+      doc.text('Transactions in period', left, y);
+      y += 20;
+      doc.setFontSize(10);
+      statement.transactions.forEach((tx) => {
+        if (y > 780) {
+          doc.addPage();
+          y = 64;
+        }
+        doc.text(formatDate(tx.timestamp), left, y);
+        doc.text(`${tx.shares >= 0 ? '+' : ''}${formatNumber(tx.shares, 4)} shares`, left + 110, y);
+        doc.text(formatUSD(tx.value), left + 260, y);
+        doc.text(shortenAddress(tx.transactionHash), left + 360, y);
+        y += 16;
+      });
+    }
+
+    doc.setFontSize(9);
+    doc.setTextColor(140);
+    doc.text(
+      `Generated ${new Date(statement.generatedAt * 1000).toISOString()} from on-chain data. Values are estimates at published NAV.`,
+      left,
+      810
+    );
+
+    return doc.output('blob');
+  });
+};
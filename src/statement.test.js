@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { navHistoryCSV } from './statement';
+
+const record = (ipfsHash, nav = 1.05) => ({
+  index: 0,
+  timestamp: 1704067200,
+  nav,
+  totalShares: 1000,
+  totalAssets: 1050,
+  ipfsHash
+});
+
+const lastCell = (csv) => {
+  const line = csv.split('\n')[1];
+  return line.slice(line.indexOf(',1050,') + ',1050,'.length);
+};
+
+describe('navHistoryCSV', () => {
+  it('writes plain values unquoted', () => {
+    expect(navHistoryCSV([record('bafyhash')]).split('\n')).toEqual([
+      'index,date,timestamp,nav,total_shares,total_assets,ipfs_hash',
+      '0,2024-01-01,1704067200,1.05,1000,1050,bafyhash'
+    ]);
+  });
+
+  it('neutralises text cells that Excel would run as formulas', () => {
+    expect(lastCell(navHistoryCSV([record('=HYPERLINK("http://x","y")')]))).toBe('"\'=HYPERLINK(""http://x"",""y"")"');
+    expect(lastCell(navHistoryCSV([record('+1+1')]))).toBe("'+1+1");
+    expect(lastCell(navHistoryCSV([record('-2+3')]))).toBe("'-2+3");
+    expect(lastCell(navHistoryCSV([record('@SUM(A1)')]))).toBe("'@SUM(A1)");
+  });
+
+  it('keeps negative numbers numeric', () => {
+    expect(navHistoryCSV([record('', -0.5)]).split('\n')[1]).toBe('0,2024-01-01,1704067200,-0.5,1000,1050,');
+  });
+
+  it('quotes cells containing carriage returns, newlines, commas or quotes', () => {
+    expect(lastCell(navHistoryCSV([record('a\rb')]))).toBe('"a\rb"');
+    expect(lastCell(navHistoryCSV([record('a,b')]))).toBe('"a,b"');
+    expect(lastCell(navHistoryCSV([record('say "hi"')]))).toBe('"say ""hi"""');
+  });
+});
@@ -0,0 +1,64 @@
+import { isFixed, round, shift, compare, fixed } from './money';
+import { LOCALES, getLocale } from './i18n';
+
+// ============ 工具函数 ============
+// 数字和日期按当前语言格式化（见 i18n）
+// 定点数在这里四舍五入，整数部分用 BigInt 分组，避免转换成浮点数
+const formatFixed = (x, decimals) => {
+  const rounded = round(x, decimals);
+  const abs = rounded < 0n ? -rounded : rounded;
+  const divisor = 10n ** BigInt(decimals);
+  const integer = new Intl.NumberFormat(getLocale()).format(abs / divisor);
+  const fraction = decimals > 0 ? `.${(abs % divisor).toString().padStart(decimals, '0')}` : '';
+  return `${rounded < 0n ? '-' : ''}${integer}${fraction}`;
+};
+
+export const formatNumber = (num, decimals = 2) => {
+  if (num === null || num === undefined) return '-';
+  if (isFixed(num)) return formatFixed(num, decimals);
+  return new Intl.NumberFormat(getLocale(), {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  }).format(num);
+};
+
+// 按语言使用缩写单位：英文 K / M，中文 万 / 亿
+export const formatUSD = (num) => {
+  if (num === null || num === undefined) return '-';
+  const { units } = LOCALES[getLocale()];
+  if (isFixed(num)) {
+    const unit = units.find(({ exponent }) => compare(num, fixed(10n ** BigInt(exponent), 0)) >= 0);
+    return unit ? `$${formatNumber(shift(num, unit.exponent))}${unit.suffix}` : `$${formatNumber(num)}`;
+  }
+  const unit = units.find(({ exponent }) => num >= 10 ** exponent);
+  return unit ? `$${formatNumber(num / 10 ** unit.exponent)}${unit.suffix}` : `$${formatNumber(num)}`;
+};
+
+// 收益率等小数按百分比显示，signed 时正数带 +；无效值显示为 -
+export const formatPercent = (value, signed = true) => {
+  if (value === null || value === undefined || !isFinite(value)) return '-';
+  return `${signed && value >= 0 ? '+' : ''}${formatNumber(value * 100)}%`;
+};
+
+// 涨跌颜色，没有数据时为灰色
+export const percentColor = (value) => {
+  if (value === null || value === undefined) return '#666';
+  return value >= 0 ? '#00c896' : '#ff6b6b';
+};
+
+export const formatDate = (timestamp) => {
+  if (!timestamp) return '-';
+  return new Date(timestamp * 1000).toLocaleDateString(getLocale(), {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+// 完整的日期和时间（毫秒时间戳）
+export const formatDateTime = (ms) => new Date(ms).toLocaleString(getLocale());
+
+export const shortenAddress = (address) => {
+  if (!address) return '';
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+};
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { formatNumber, formatUSD, formatPercent } from './utils';
+import { fixed, parseFixed } from './money';
+import { withLocale } from './i18n';
+
+const en = (fn) => withLocale('en-US', fn);
+const zh = (fn) => withLocale('zh-CN', fn);
+
+describe('formatNumber with fixed-point values', () => {
+  it('rounds half away from zero', () => {
+    en(() => {
+      expect(formatNumber(parseFixed('1.005'))).toBe('1.01');
+      expect(formatNumber(parseFixed('-1.005'))).toBe('-1.01');
+      expect(formatNumber(parseFixed('-1.004'))).toBe('-1.00');
+    });
+  });
+
+  it('drops the sign when a negative value rounds to zero', () => {
+    en(() => expect(formatNumber(parseFixed('-0.004'))).toBe('0.00'));
+  });
+
+  it('carries rounding into the integer part', () => {
+    en(() => expect(formatNumber(parseFixed('999999.995'))).toBe('1,000,000.00'));
+  });
+
+  it('formats 0-decimal share balances', () => {
+    en(() => {
+      expect(formatNumber(fixed(1500n, 0), 0)).toBe('1,500');
+      expect(formatNumber(fixed(1500n, 0))).toBe('1,500.00');
+    });
+  });
+
+  it('formats 6-decimal share balances', () => {
+    en(() => {
+      expect(formatNumber(fixed(1234565n, 6), 5)).toBe('1.23457');
+      expect(formatNumber(fixed(-1234565n, 6), 5)).toBe('-1.23457');
+      expect(formatNumber(fixed(1234567n, 6), 8)).toBe('1.23456700');
+    });
+  });
+});
+
+describe('formatUSD units', () => {
+  it('switches to K and M at exactly 10^3 and 10^6 in en-US', () => {
+    en(() => {
+      expect(formatUSD(parseFixed('999.99'))).toBe('$999.99');
+      expect(formatUSD(parseFixed('1000'))).toBe('$1.00K');
+      expect(formatUSD(parseFixed('999990'))).toBe('$999.99K');
+      expect(formatUSD(parseFixed('1000000'))).toBe('$1.00M');
+      expect(formatUSD(1000)).toBe('$1.00K');
+      expect(formatUSD(999.99)).toBe('$999.99');
+    });
+  });
+
+  it('switches to 万 and 亿 at exactly 10^4 and 10^8 in zh-CN', () => {
+    zh(() => {
+      expect(formatUSD(parseFixed('9999.99'))).toBe('$9,999.99');
+      expect(formatUSD(parseFixed('10000'))).toBe('$1.00万');
+      expect(formatUSD(parseFixed('99990000'))).toBe('$9,999.00万');
+      expect(formatUSD(parseFixed('100000000'))).toBe('$1.00亿');
+      expect(formatUSD(10000)).toBe('$1.00万');
+      expect(formatUSD(9999.99)).toBe('$9,999.99');
+    });
+  });
+
+  it('uses units for 0-decimal amounts', () => {
+    en(() => expect(formatUSD(fixed(2500n, 0))).toBe('$2.50K'));
+  });
+});
+
+describe('formatPercent', () => {
+  it('signs positive values unless asked not to', () => {
+    en(() => {
+      expect(formatPercent(0.0123)).toBe('+1.23%');
+      expect(formatPercent(-0.0123)).toBe('-1.23%');
+      expect(formatPercent(0.0123, false)).toBe('1.23%');
+    });
+  });
+
+  it('shows a dash for missing values', () => {
+    expect(formatPercent(null)).toBe('-');
+    expect(formatPercent(undefined)).toBe('-');
+    expect(formatPercent(Infinity)).toBe('-');
+  });
+});
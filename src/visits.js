@@ -0,0 +1,55 @@
+import { getFundKey } from './navCache';
+
+// ============ 上次访问 ============
+// 每只基金记录上次看到的最新净值记录和各地址的持仓价值，仅保存在本地浏览器；
+// 下次打开时据此汇总期间发布的净值、价值变化和新报告
+const visitKey = (fund) => `fund-portal:lastVisit:${getFundKey(fund)}`;
+
+// 持仓价值变化小于 1 美分时视为没有变化
+const VALUE_EPSILON = 0.005;
+
+export const loadLastVisit = (fund) => {
+  try {
+    return JSON.parse(localStorage.getItem(visitKey(fund)));
+  } catch {
+    return null;
+  }
+};
+
+export const saveLastVisit = (fund, visit) => {
+  localStorage.setItem(visitKey(fund), JSON.stringify(visit));
+};
+
+// 本次看到的状态；values 按地址（小写）记录持仓价值，保留其他地址上次的值
+export const recordVisit = (previous, navHistory, address, value) => {
+  const latest = navHistory[navHistory.length - 1];
+  const values = { ...previous?.values };
+  if (address && value !== null) values[address.toLowerCase()] = value;
+  return {
+    index: latest.index,
+    nav: latest.nav,
+    visitedAt: Math.floor(Date.now() / 1000),
+    values
+  };
+};
+
+// 与上次访问相比的变化；首次访问或没有新内容时返回 null
+export const summarizeSinceVisit = (visit, navHistory, address, value) => {
+  if (!visit || navHistory.length === 0) return null;
+
+  const newRecords = navHistory.filter((r) => r.index > visit.index);
+  const latest = navHistory[navHistory.length - 1];
+  const previousValue = address ? visit.values?.[address.toLowerCase()] : undefined;
+  const valueChange = previousValue !== undefined && value !== null ? value - previousValue : null;
+  const valueChanged = valueChange !== null && Math.abs(valueChange) >= VALUE_EPSILON;
+  if (newRecords.length === 0 && !valueChanged) return null;
+
+  return {
+    since: visit.visitedAt,
+    newRecords: newRecords.length,
+    navChange: newRecords.length > 0 && visit.nav > 0 ? latest.nav / visit.nav - 1 : null,
+    valueChange: valueChanged ? valueChange : null,
+    valueChangePercent: valueChanged && previousValue > 0 ? valueChange / previousValue : null,
+    newDocuments: newRecords.filter((r) => r.ipfsHash).length
+  };
+};
@@ -0,0 +1,43 @@
+// ============ 钱包发现（EIP-6963） ============
+// 浏览器中每个钱包插件通过 eip6963:announceProvider 事件声明自己，
+// 不再依赖谁抢先写入 window.ethereum
+const SELECTED_WALLET_KEY = 'fund-portal:wallet';
+
+// 没有钱包支持 EIP-6963 时，退回到旧的 window.ethereum
+export const LEGACY_WALLET_ID = 'legacy';
+
+export const getLegacyWallet = () => {
+  if (typeof window === 'undefined' || !window.ethereum) return null;
+  return {
+    info: { uuid: LEGACY_WALLET_ID, rdns: LEGACY_WALLET_ID, name: 'Browser Wallet', icon: null },
+    provider: window.ethereum
+  };
+};
+
+// 监听钱包声明；返回取消监听的函数
+export const discoverWallets = (onAnnounce) => {
+  const handler = (event) => onAnnounce(event.detail);
+  window.addEventListener('eip6963:announceProvider', handler);
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+  return () => window.removeEventListener('eip6963:announceProvider', handler);
+};
+
+// 记住用户上次选择的钱包（按 rdns 识别，uuid 每次加载都会变化）
+export const getRememberedWallet = () => localStorage.getItem(SELECTED_WALLET_KEY);
+
+export const rememberWallet = (wallet) => {
+  if (wallet) {
+    localStorage.setItem(SELECTED_WALLET_KEY, wallet.info.rdns);
+  } else {
+    localStorage.removeItem(SELECTED_WALLET_KEY);
+  }
+};
+
+// 当前选中钱包的 EIP-1193 provider，供签名操作使用
+let activeProvider = null;
+
+export const setActiveProvider = (provider) => {
+  activeProvider = provider;
+};
+
+export const getActiveProvider = () => activeProvider;
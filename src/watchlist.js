@@ -0,0 +1,32 @@
+import { ethers } from 'ethers';
+
+// ============ 关注地址 ============
+// 顾问或多钱包 LP 保存的地址列表，仅保存在本地浏览器
+const WATCHLIST_KEY = 'fund-portal:watchlist';
+
+export const loadWatchlist = () => {
+  try {
+    return JSON.parse(localStorage.getItem(WATCHLIST_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const saveWatchlist = (list) => {
+  localStorage.setItem(WATCHLIST_KEY, JSON.stringify(list));
+};
+
+// 添加地址（校验并规范化为 checksum 格式），重复添加时更新备注
+export const addToWatchlist = (address, label) => {
+  const normalized = ethers.getAddress(address.trim());
+  const list = loadWatchlist().filter((item) => item.address !== normalized);
+  const next = [...list, { address: normalized, label: label.trim() }];
+  saveWatchlist(next);
+  return next;
+};
+
+export const removeFromWatchlist = (address) => {
+  const next = loadWatchlist().filter((item) => item.address !== address);
+  saveWatchlist(next);
+  return next;
+};